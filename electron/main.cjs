@@ -3,6 +3,8 @@
 
 const path = require('path')
 const fs = require('fs/promises')
+const crypto = require('crypto')
+const os = require('os')
 
 // Import Electron modules
 // When running in Electron context, these should be available
@@ -317,6 +319,116 @@ ipcMain.handle('fs:writeBinaryFile', async (event, filePath, base64Data) => {
   }
 })
 
+// Render an HTML document to a PDF file (used by conversation export)
+ipcMain.handle('fs:printToPDF', async (event, html, filePath) => {
+  // Loaded from a temp file because large documents (inline images) exceed data URL limits
+  const tempPath = path.join(os.tmpdir(), `export-${Date.now()}-${Math.random().toString(36).substring(7)}.html`)
+  const printWindow = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      javascript: false,
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
+    }
+  })
+
+  try {
+    await fs.writeFile(tempPath, html, 'utf-8')
+    await printWindow.loadFile(tempPath)
+    const pdf = await printWindow.webContents.printToPDF({ printBackground: true, pageSize: 'A4' })
+    await fs.writeFile(filePath, pdf)
+    return { success: true, path: filePath }
+  } catch (error) {
+    return { success: false, error: error.message }
+  } finally {
+    printWindow.destroy()
+    fs.unlink(tempPath).catch(() => {})
+  }
+})
+
+// ===== Blob Store =====
+// Images and files from conversations are stored once under userData/blobs/<sha256>
+// so conversation JSON only holds references to them
+
+// Blobs younger than this are kept by garbage collection, since a save that refers to them may still be pending
+const BLOB_GC_GRACE_MS = 10 * 60 * 1000
+
+const getBlobsDir = () => path.join(app.getPath('userData'), 'blobs')
+const isBlobHash = (hash) => typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash)
+
+// Store a base64 data URL, returning its hash and media type
+ipcMain.handle('blobs:put', async (event, dataUrl) => {
+  try {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(dataUrl || '')
+    if (!match) {
+      return { success: false, error: 'Not a base64 data URL' }
+    }
+
+    const buffer = Buffer.from(match[2], 'base64')
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex')
+    const blobPath = path.join(getBlobsDir(), hash)
+
+    try {
+      // Already stored - refresh its time so garbage collection sees it as recently used
+      const now = new Date()
+      await fs.utimes(blobPath, now, now)
+    } catch {
+      await fs.mkdir(getBlobsDir(), { recursive: true })
+      const tempPath = `${blobPath}.tmp.${Date.now()}.${Math.random().toString(36).substring(7)}`
+      await fs.writeFile(tempPath, buffer)
+      await fs.rename(tempPath, blobPath)
+    }
+
+    return { success: true, hash, mediaType: match[1] }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+// Read a blob as base64
+ipcMain.handle('blobs:get', async (event, hash) => {
+  if (!isBlobHash(hash)) {
+    return { success: false, error: 'Invalid blob hash' }
+  }
+  try {
+    const buffer = await fs.readFile(path.join(getBlobsDir(), hash))
+    return { success: true, data: buffer.toString('base64') }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+// Delete blobs that aren't in referencedHashes (and weren't stored or used recently)
+ipcMain.handle('blobs:collectGarbage', async (event, referencedHashes) => {
+  try {
+    const keep = new Set(referencedHashes)
+    let files
+    try {
+      files = await fs.readdir(getBlobsDir())
+    } catch {
+      return { success: true, deleted: [] } // No blobs stored yet
+    }
+
+    const deleted = []
+    for (const file of files) {
+      if (!isBlobHash(file) || keep.has(file)) continue
+      const blobPath = path.join(getBlobsDir(), file)
+      const stats = await fs.stat(blobPath)
+      if (Date.now() - stats.mtimeMs < BLOB_GC_GRACE_MS) continue
+      await fs.unlink(blobPath)
+      deleted.push(file)
+    }
+
+    if (deleted.length > 0) {
+      console.log(`Blob garbage collection deleted ${deleted.length} blob(s)`)
+    }
+    return { success: true, deleted }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
 // Show open dialog
 ipcMain.handle('dialog:openFile', async (event, options) => {
   try {
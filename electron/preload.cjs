@@ -8,12 +8,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     readFile: (filePath) => ipcRenderer.invoke('fs:readFile', filePath),
     writeFile: (filePath, content) => ipcRenderer.invoke('fs:writeFile', filePath, content),
     writeBinaryFile: (filePath, base64Data) => ipcRenderer.invoke('fs:writeBinaryFile', filePath, base64Data),
+    printToPDF: (html, filePath) => ipcRenderer.invoke('fs:printToPDF', html, filePath),
     deleteFile: (filePath) => ipcRenderer.invoke('fs:deleteFile', filePath),
     readDir: (dirPath) => ipcRenderer.invoke('fs:readDir', dirPath),
     exists: (filePath) => ipcRenderer.invoke('fs:exists', filePath),
     mkdir: (dirPath) => ipcRenderer.invoke('fs:mkdir', dirPath)
   },
 
+  // Blob store for images and files referenced from conversations
+  blobs: {
+    put: (dataUrl) => ipcRenderer.invoke('blobs:put', dataUrl),
+    get: (hash) => ipcRenderer.invoke('blobs:get', hash),
+    collectGarbage: (referencedHashes) => ipcRenderer.invoke('blobs:collectGarbage', referencedHashes)
+  },
+
   // Dialog operations
   dialog: {
     openFile: (options) => ipcRenderer.invoke('dialog:openFile', options),
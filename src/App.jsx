@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react'
 import { Toaster } from 'sonner'
 import { ProviderProvider, useProvider } from './contexts/ProviderContext'
 import { ConversationProvider, useConversation } from './contexts/ConversationContext'
+import { PromptLibraryProvider } from './contexts/PromptLibraryContext'
+import { OrganizerProvider } from './contexts/OrganizerContext'
 import { ErrorProvider } from './contexts/ErrorContext'
 import TitleBar from './components/TitleBar'
 import Sidebar from './components/Sidebar'
@@ -70,42 +72,46 @@ function App() {
   return (
     <ErrorProvider>
       <ProviderProvider>
-        <ConversationProvider>
-          {/* Signal Electron to show window when app is ready */}
-          <AppReadySignal />
-
-          <div className="flex flex-col h-screen bg-background overflow-hidden">
-            {/* Custom Title Bar (Electron only) */}
-            <TitleBar />
-
-            {/* Main Content Area */}
-            <div className="flex flex-1 overflow-hidden">
-              {/* Collapsible Sidebar */}
-              <Sidebar
-                isOpen={sidebarOpen}
-                currentConversation={currentConversation}
-                onSelectConversation={setCurrentConversation}
-                onOpenSettings={() => setShowSettings(true)}
-              />
-
-              {/* Main Chat Area */}
-              <ChatWindow
-                conversationId={currentConversation}
-                onOpenSettings={() => setShowSettings(true)}
-                sidebarOpen={sidebarOpen}
-                onToggleSidebar={() => setSidebarOpen(prev => !prev)}
-              />
-
-              {/* Settings Modal */}
-              {showSettings && (
-                <SettingsModal onClose={() => setShowSettings(false)} />
-              )}
-            </div>
-          </div>
-
-          {/* Toast Notifications */}
-          <Toaster richColors position="bottom-right" />
-        </ConversationProvider>
+        <PromptLibraryProvider>
+          <ConversationProvider>
+            <OrganizerProvider>
+              {/* Signal Electron to show window when app is ready */}
+              <AppReadySignal />
+
+              <div className="flex flex-col h-screen bg-background overflow-hidden">
+                {/* Custom Title Bar (Electron only) */}
+                <TitleBar />
+
+                {/* Main Content Area */}
+                <div className="flex flex-1 overflow-hidden">
+                  {/* Collapsible Sidebar */}
+                  <Sidebar
+                    isOpen={sidebarOpen}
+                    currentConversation={currentConversation}
+                    onSelectConversation={setCurrentConversation}
+                    onOpenSettings={() => setShowSettings(true)}
+                  />
+
+                  {/* Main Chat Area */}
+                  <ChatWindow
+                    conversationId={currentConversation}
+                    onOpenSettings={() => setShowSettings(true)}
+                    sidebarOpen={sidebarOpen}
+                    onToggleSidebar={() => setSidebarOpen(prev => !prev)}
+                  />
+
+                  {/* Settings Modal */}
+                  {showSettings && (
+                    <SettingsModal onClose={() => setShowSettings(false)} />
+                  )}
+                </div>
+              </div>
+
+              {/* Toast Notifications */}
+              <Toaster richColors position="bottom-right" />
+            </OrganizerProvider>
+          </ConversationProvider>
+        </PromptLibraryProvider>
       </ProviderProvider>
     </ErrorProvider>
   )
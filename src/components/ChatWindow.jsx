@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import MessageList from './MessageList'
 import MessageInput from './MessageInput'
 import { Badge } from '@/components/ui/badge'
@@ -8,17 +8,28 @@ import { Skeleton } from '@/components/ui/skeleton'
 import { Spinner } from '@/components/ui/spinner'
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
 import { SearchableSelect } from './SearchableSelect'
+import { GenerationParamsPanel } from './GenerationParamsPanel'
+import { FallbackChainPanel } from './FallbackChainPanel'
+import { SystemPromptDialog } from './SystemPromptDialog'
+import { CompareModelsPanel, MIN_COMPARE_TARGETS } from './CompareModelsPanel'
+import { CompareResponses } from './CompareResponses'
 import { PROVIDERS, getAllModels, getFallbackModels, getProviderById } from '@/config/providers'
 import { useProvider } from '@/contexts/ProviderContext'
 import { useConversation } from '@/contexts/ConversationContext'
 import { useModelFetcher, ERROR_TYPES } from '@/hooks/useModelFetcher'
 import { useError } from '@/contexts/ErrorContext'
 import { sendStreamingMessage } from '@/services/chat/chatClient'
+import { toast } from 'sonner'
 import { RefreshCw as RefreshCwIcon, AlertTriangle as AlertTriangleIcon, WifiOff as WifiOffIcon, Key as KeyIcon, PanelLeftClose as ChevronsLeftIcon, PanelLeftOpen as ChevronsRightIcon } from 'lucide-react'
-import { formatMessageForAPI, formatMessagesForAPI } from '@/utils/messageFormatters'
-import { isThinkingModel, isImageGenerationModel, getModalitiesForModel } from '@/utils/modelHelpers'
+import { formatMessagesForAPI, isExcludedFromContext } from '@/utils/messageFormatters'
+import { isThinkingModel, isImageGenerationModel, getModalitiesForModel, supportsToolCalling } from '@/utils/modelHelpers'
+import { getToolDefinitions } from '@/services/tools/toolRegistry'
 import { handleStreamingError } from '@/utils/errorHandlers'
 import { createStreamingCallbacks } from '@/utils/streamingHelpers'
+import { getBudgetStatus, calculateCost } from '@/utils/usageHelpers'
+import { generateConversationTitle, summarizeMessages } from '@/services/utilityModel'
+import { DEFAULT_CONTEXT_STRATEGY, parseContextWindow, estimateTextTokens, estimateMessagesTokens, getResponseReserve, fitMessagesToBudget } from '@/utils/contextWindow'
+import { ContextMeter } from './ContextMeter'
 
 function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSidebar }) {
   const {
@@ -30,6 +41,13 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     modelsFetchStatus,
     apiKeys,
     customProviders,
+    monthlyBudgets,
+    spendLedger,
+    recordSpend,
+    utilityModel,
+    autoTitles,
+    maxRetries,
+    fallbackChain,
     isLoading
   } = useProvider()
 
@@ -48,7 +66,9 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     latestProviderRef.current = provider
   }, [provider])
   const {
+    conversations,
     messages,
+    isCurrentConversationLoaded,
     isConversationStreaming,
     startStreaming,
     stopStreaming,
@@ -56,14 +76,30 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     updateLastMessage,
     updateLastMessageReasoning,
     markReasoningComplete,
-    replaceMessages,
+    updateLastMessageToolCalls,
+    updateConversationSettings,
+    applyGeneratedTitle,
+    messageBranches,
+    selectBranch,
+    focusRequest,
+    forkConversation,
     deleteMessage,
+    setMessageContextFlag,
     currentConversationId,
     getCurrentConversation,
     getConversationById
   } = useConversation()
   const { fetchModels } = useModelFetcher()
-  const { showMissingApiKeyAlert, showFetchErrorAlert, showInvalidApiKeyAlert } = useError()
+  const { showMissingApiKeyAlert, showFetchErrorAlert, showInvalidApiKeyAlert, showBudgetExceededAlert } = useError()
+
+  const currentConversation = getCurrentConversation()
+
+  // Compare mode: each prompt fans out to every target ({ provider, model }) when there are 2 or more
+  const [compareTargets, setCompareTargets] = useState([])
+  // Responses of the latest compare prompt: { conversationId, userMessageId, responses }
+  const [compareSession, setCompareSession] = useState(null)
+  const [retryStatuses, setRetryStatuses] = useState({}) // conversationId -> pending automatic retry
+  const compareControllersRef = useRef([]) // One AbortController per compare response
 
   // Combine built-in and custom providers
   const allProviders = [...PROVIDERS, ...customProviders]
@@ -174,6 +210,47 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     return isThinkingModel(modelId, models)
   }
 
+  // Get tool definitions to offer the model, or null if it can't call tools
+  const getToolsForModel = (modelId, providerId = null) => {
+    const targetProvider = providerId || provider
+    const fetchedModels = getModelsForProvider(targetProvider)
+    const fallbackModels = getFallbackModels(targetProvider)
+    const models = fetchedModels.length > 0 ? fetchedModels : fallbackModels
+
+    if (!supportsToolCalling(modelId, targetProvider, models)) return null
+    const tools = getToolDefinitions()
+    return tools.length > 0 ? tools : null
+  }
+
+  // Get cached pricing for a model (only some providers report it)
+  const getPricingForModel = (modelId, providerId = null) => {
+    const targetProvider = providerId || provider
+    const fetchedModels = getModelsForProvider(targetProvider)
+    const fallbackModels = getFallbackModels(targetProvider)
+    const models = fetchedModels.length > 0 ? fetchedModels : fallbackModels
+
+    return models.find(m => m.id === modelId)?.pricing || null
+  }
+
+  // Context window in tokens, or null if the model list doesn't say
+  const getContextWindow = (modelId, providerId = null) => {
+    const models = getModelOptions(providerId || provider)
+    return parseContextWindow(models.find(m => m.id === modelId)?.contextWindow)
+  }
+
+  // Models offered for a provider (fetched if available, fallback otherwise)
+  const getModelOptions = (providerId) => {
+    const fetchedModels = getModelsForProvider(providerId)
+    return fetchedModels.length > 0 ? fetchedModels : getFallbackModels(providerId)
+  }
+
+  // Prepend the conversation's system prompt (if any) to the messages sent to the API
+  const withSystemPrompt = (apiMessages, conversationId) => {
+    const systemPrompt = getConversationById(conversationId)?.systemPrompt
+    if (!systemPrompt || !systemPrompt.trim()) return apiMessages
+    return [{ role: 'system', content: systemPrompt }, ...apiMessages]
+  }
+
   // Restore conversation's last used model when switching conversations
   // Note: Provider restoration is handled by Sidebar.handleSelectConversation
   useEffect(() => {
@@ -235,7 +312,144 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     }
   }
 
-  const handleSendMessage = async (messageContent, attachments = []) => {
+  // Connection for background tasks: the utility model, or the chat's own model if none is set
+  const getUtilityConnection = (chatProvider, chatModel) => {
+    const target = utilityModel?.provider && utilityModel?.model
+      ? utilityModel
+      : { provider: chatProvider, model: chatModel }
+    const apiKey = apiKeys[target.provider]
+    if (!apiKey) return null
+
+    return {
+      providerId: target.provider,
+      providerConfig: customProviders.find(p => p.id === target.provider),
+      apiKey,
+      model: target.model
+    }
+  }
+
+  // Connections to fail over to, from the conversation's chain or else the default one
+  // Entries without a key, repeating the requested model, or over a blocking budget are skipped
+  const getFallbackConnections = (conversationId, chatProvider, chatModel) => {
+    const chain = getConversationById(conversationId)?.fallbackChain ?? fallbackChain
+    return chain
+      .filter(entry => entry.provider && entry.model && apiKeys[entry.provider])
+      .filter(entry => !(entry.provider === chatProvider && entry.model === chatModel))
+      .filter(entry => {
+        const budgetStatus = getBudgetStatus(conversations, entry.provider, monthlyBudgets[entry.provider], spendLedger)
+        return !(budgetStatus?.exceeded && budgetStatus.block)
+      })
+      .map(entry => ({
+        providerId: entry.provider,
+        providerConfig: customProviders.find(p => p.id === entry.provider),
+        apiKey: apiKeys[entry.provider],
+        model: entry.model,
+        modalities: getModalitiesForCurrentModel(entry.model, entry.provider),
+        reasoning: isModelThinking(entry.model, entry.provider) ? { effort: 'high' } : null
+      }))
+  }
+
+  // Name a new conversation with the utility model
+  // Runs in the background; on failure the conversation keeps its truncated first-message title
+  const generateTitleInBackground = async (conversationId, chatProvider, chatModel, userContent, assistantContent) => {
+    if (!autoTitles || !assistantContent?.trim()) return
+
+    const connection = getUtilityConnection(chatProvider, chatModel)
+    if (!connection) return
+
+    try {
+      const title = await generateConversationTitle({
+        ...connection,
+        userContent: typeof userContent === 'string' ? userContent : '',
+        assistantContent
+      })
+      await applyGeneratedTitle(conversationId, title)
+    } catch (error) {
+      console.warn('Title generation failed, keeping the truncated title:', error.message)
+    }
+  }
+
+  // Build the API messages for a request, fitting the history into the context window
+  // with the conversation's strategy. history ends with the user message being answered.
+  // With several targets (compare mode) the smallest known context window applies.
+  const prepareMessagesForApi = async (conversationId, history, targets, abortSignal = null) => {
+    const conversation = getConversationById(conversationId)
+    const strategy = conversation?.contextStrategy || DEFAULT_CONTEXT_STRATEGY
+    const contextWindows = targets.map(t => getContextWindow(t.model, t.provider)).filter(Boolean)
+
+    if (strategy === 'none' || contextWindows.length === 0) {
+      return withSystemPrompt(formatMessagesForAPI(history), conversationId)
+    }
+
+    const contextWindow = Math.min(...contextWindows)
+    const systemPrompt = conversation?.systemPrompt?.trim() || ''
+    const budget = contextWindow
+      - getResponseReserve(contextWindow, conversation?.generationParams?.maxTokens)
+      - estimateTextTokens(systemPrompt)
+
+    if (strategy !== 'summarize') {
+      const { kept, dropped } = fitMessagesToBudget(history, budget)
+      if (dropped.length > 0) {
+        console.log(`Context: leaving out ${dropped.length} older message(s) to fit ${contextWindow} tokens`)
+      }
+      return withSystemPrompt(formatMessagesForAPI(kept), conversationId)
+    }
+
+    // Messages up to summary.throughMessageId are replaced by the saved summary (pinned ones are still sent)
+    let summary = conversation?.contextSummary || null
+    const summarizedCount = summary ? history.findIndex(m => m.id === summary.throughMessageId) + 1 : 0
+    if (summary && summarizedCount === 0) summary = null // Summary belongs to another branch
+    const remaining = history.filter((m, i) => i >= summarizedCount || m.pinned)
+
+    let { kept, dropped } = fitMessagesToBudget(remaining, budget - estimateTextTokens(summary?.content))
+    if (dropped.length > 0) {
+      // Summarize down to half the budget so the next few sends can reuse this summary
+      const connection = getUtilityConnection(targets[0].provider, targets[0].model)
+      const halfBudget = Math.floor(budget / 2) - estimateTextTokens(summary?.content)
+      const fit = fitMessagesToBudget(remaining, halfBudget)
+      // Excluded messages stay out of the summary too
+      const toSummarize = fit.dropped.filter(m => !isExcludedFromContext(m))
+      try {
+        if (toSummarize.length > 0) {
+          if (!connection) throw new Error('No API key for the utility model')
+          const content = await summarizeMessages({ ...connection, abortSignal, messages: toSummarize, previousSummary: summary?.content })
+          summary = { throughMessageId: fit.dropped[fit.dropped.length - 1].id, content }
+          updateConversationSettings(conversationId, { contextSummary: summary })
+        }
+        kept = fit.kept
+      } catch (error) {
+        // Fall back to dropping the messages
+        console.warn('Context summarization failed, leaving out older messages instead:', error.message)
+      }
+    }
+
+    const apiMessages = formatMessagesForAPI(kept)
+    const systemContent = [
+      systemPrompt,
+      summary ? `Summary of the earlier conversation:\n${summary.content}` : ''
+    ].filter(Boolean).join('\n\n')
+    return systemContent ? [{ role: 'system', content: systemContent }, ...apiMessages] : apiMessages
+  }
+
+  // Show the budget alert if this month's spend has reached the provider's budget
+  // Returns true if the request must wait; onSendAnyway repeats it past the check
+  const isOverBudget = (providerId, onSendAnyway) => {
+    const budgetStatus = getBudgetStatus(conversations, providerId, monthlyBudgets[providerId], spendLedger)
+    if (!budgetStatus?.exceeded) return false
+
+    const providerName = getProviderById(providerId)?.name || customProviders.find(p => p.id === providerId)?.name
+    showBudgetExceededAlert(providerName, budgetStatus, onSendAnyway)
+    return true
+  }
+
+  const handleSendMessage = async (messageContent, attachments = [], { skipBudgetCheck = false } = {}) => {
+    if (compareTargets.length >= MIN_COMPARE_TARGETS) {
+      return handleCompareSend(messageContent, attachments, { skipBudgetCheck })
+    }
+
+    // A new message continues from the active branch, so close any unpicked comparison
+    setCompareSession(null)
+
     // Use refs to get the absolutely latest model/provider selection
     const currentModel = latestModelRef.current
     const currentProvider = latestProviderRef.current
@@ -250,6 +464,13 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       return
     }
 
+    // Check this month's spend against the provider's budget
+    if (!skipBudgetCheck && isOverBudget(currentProvider, () => {
+      handleSendMessage(messageContent, attachments, { skipBudgetCheck: true })
+    })) {
+      return
+    }
+
     // Capture conversation ID at the very start (before any async operations)
     const targetConversationId = currentConversationId
 
@@ -258,15 +479,20 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       return
     }
 
+    // The first reply of a conversation triggers title generation
+    const isFirstExchange = messages.length === 0
+
     try {
       // Add user message with attachments to the captured conversation
-      await addMessage({
+      const userMessage = await addMessage({
         role: 'user',
         content: messageContent,
         model: currentModel,
         provider: currentProvider,
         attachments: attachments.length > 0 ? attachments : undefined
       }, targetConversationId)
+      // addMessage returns null when the conversation can't be loaded
+      if (!userMessage) throw new Error('Conversation could not be loaded')
 
       // Create placeholder for assistant message in the same conversation
       const assistantMessage = await addMessage({
@@ -275,6 +501,7 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
         model: currentModel,
         provider: currentProvider
       }, targetConversationId)
+      if (!assistantMessage) throw new Error('Conversation could not be loaded')
     } catch (error) {
       console.error('Error adding messages:', error)
       const providerName = getProviderById(currentProvider)?.name || customProviders.find(p => p.id === currentProvider)?.name
@@ -282,19 +509,6 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       return
     }
 
-    // Build messages array for API call (since state may not be updated yet)
-    // Format current message with attachments for multimodal API
-    const currentUserMessage = formatMessageForAPI(
-      { role: 'user', content: messageContent },
-      attachments
-    )
-
-    // Format message history with attachments support
-    const messagesForApi = [
-      ...formatMessagesForAPI(messages),
-      currentUserMessage
-    ]
-
     // Start streaming for this conversation
     const abortSignal = startStreaming(targetConversationId)
 
@@ -311,9 +525,13 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       updateLastMessage,
       updateLastMessageReasoning,
       markReasoningComplete,
+      updateLastMessageToolCalls,
       getConversationById,
       stopStreaming,
       metadata: sendMetadata,
+      pricing: getPricingForModel(currentModel, currentProvider),
+      getPricing: getPricingForModel,
+      onSpend: recordSpend,
       onError: (error) => {
         handleStreamingError({
           error,
@@ -324,7 +542,23 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       }
     })
 
+    if (isFirstExchange) {
+      const { onComplete } = streamingCallbacks
+      streamingCallbacks.onComplete = (fullContent, extra) => {
+        onComplete(fullContent, extra)
+        generateTitleInBackground(targetConversationId, currentProvider, currentModel, messageContent, fullContent)
+      }
+    }
+
     try {
+      // History plus the new message (state may not be updated yet)
+      const messagesForApi = await prepareMessagesForApi(
+        targetConversationId,
+        [...messages, { role: 'user', content: messageContent, attachments }],
+        [{ provider: currentProvider, model: currentModel }],
+        abortSignal
+      )
+
       await sendStreamingMessage({
         providerId: currentProvider,
         providerConfig: customProviders.find(p => p.id === currentProvider),
@@ -334,7 +568,12 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
         ...streamingCallbacks,
         abortSignal,
         modalities: getModalitiesForCurrentModel(currentModel, currentProvider),
-        reasoning: isModelThinking(currentModel, currentProvider) ? { effort: 'high' } : null
+        reasoning: isModelThinking(currentModel, currentProvider) ? { effort: 'high' } : null,
+        generationParams: getConversationById(targetConversationId)?.generationParams,
+        tools: getToolsForModel(currentModel, currentProvider),
+        maxRetries,
+        onRetry: (status) => setRetryStatus(targetConversationId, status),
+        fallbacks: getFallbackConnections(targetConversationId, currentProvider, currentModel)
       })
     } catch (error) {
       console.error('Unexpected error:', error)
@@ -342,6 +581,216 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     }
   }
 
+  // Show or clear the countdown of an automatic retry on the waiting message
+  const setRetryStatus = (conversationId, status) => {
+    setRetryStatuses(prev => {
+      if (!status && !prev[conversationId]) return prev
+      const next = { ...prev }
+      if (status) {
+        next[conversationId] = status
+      } else {
+        delete next[conversationId]
+      }
+      return next
+    })
+  }
+
+  const updateCompareResponse = (index, updates) => {
+    setCompareSession(prev => prev && {
+      ...prev,
+      responses: prev.responses.map((response, i) => i === index ? { ...response, ...updates } : response)
+    })
+  }
+
+  // Stream one compare response into its column and resolve with the final result
+  const streamCompareResponse = async ({ target, index, messagesForApi, conversationId, abortSignal }) => {
+    let result = null
+    let reasoning = ''
+    let latestContent = ''
+    let latestToolCalls
+
+    try {
+      await sendStreamingMessage({
+        providerId: target.provider,
+        providerConfig: customProviders.find(p => p.id === target.provider),
+        apiKey: apiKeys[target.provider],
+        model: target.model,
+        messages: messagesForApi,
+        abortSignal,
+        modalities: getModalitiesForCurrentModel(target.model, target.provider),
+        reasoning: isModelThinking(target.model, target.provider) ? { effort: 'high' } : null,
+        generationParams: getConversationById(conversationId)?.generationParams,
+        tools: getToolsForModel(target.model, target.provider),
+        maxRetries,
+        onRetry: (retryStatus) => updateCompareResponse(index, { retryStatus }),
+        onChunk: (chunk, fullContent) => {
+          latestContent = fullContent
+          updateCompareResponse(index, { content: fullContent })
+        },
+        onReasoningChunk: (reasoningChunk, fullReasoning) => {
+          reasoning = fullReasoning
+          updateCompareResponse(index, { reasoning: fullReasoning })
+        },
+        onReasoningComplete: () => {},
+        onToolCalls: (toolCalls) => {
+          latestToolCalls = toolCalls
+          updateCompareResponse(index, { toolCalls })
+        },
+        onComplete: (fullContent, extra = {}) => {
+          const usage = extra.usage
+            ? { ...extra.usage, cost: calculateCost(extra.usage, getPricingForModel(target.model, target.provider)) }
+            : undefined
+          result = { content: fullContent, reasoning, toolCalls: latestToolCalls, thinkingBlocks: extra.thinkingBlocks, usage }
+          if (typeof usage?.cost === 'number') recordSpend(target.provider, usage.cost)
+          updateCompareResponse(index, { content: fullContent, usage, status: abortSignal.aborted ? 'stopped' : 'complete' })
+        },
+        onError: (error) => {
+          console.error('Compare streaming error:', error)
+          result = { error }
+          updateCompareResponse(index, { status: 'error', error: error.message })
+        }
+      })
+    } catch (error) {
+      console.error('Unexpected compare error:', error)
+      result = { error }
+      updateCompareResponse(index, { status: 'error', error: error.message })
+    }
+
+    // An aborted stream may end without a final callback
+    if (!result) {
+      result = { content: latestContent, reasoning, toolCalls: latestToolCalls }
+      updateCompareResponse(index, { status: 'stopped' })
+    }
+    return result
+  }
+
+  // Send one prompt to every compare target and save the replies as sibling branches
+  const handleCompareSend = async (messageContent, attachments = [], { skipBudgetCheck = false } = {}) => {
+    const targetConversationId = currentConversationId
+    const targets = compareTargets.filter(t => t.provider && t.model)
+    if (targets.length < MIN_COMPARE_TARGETS) return
+    if (isConversationStreaming(targetConversationId)) return
+
+    const getProviderName = (providerId) => getProviderById(providerId)?.name || customProviders.find(p => p.id === providerId)?.name
+
+    // Every target needs an API key
+    const missingKeyTarget = targets.find(t => !apiKeys[t.provider])
+    if (missingKeyTarget) {
+      showMissingApiKeyAlert(getProviderName(missingKeyTarget.provider), () => {
+        if (onOpenSettings) onOpenSettings()
+      })
+      return
+    }
+
+    // Check budgets for each provider taking part
+    if (!skipBudgetCheck) {
+      for (const providerId of new Set(targets.map(t => t.provider))) {
+        const budgetStatus = getBudgetStatus(conversations, providerId, monthlyBudgets[providerId], spendLedger)
+        if (budgetStatus?.exceeded) {
+          showBudgetExceededAlert(getProviderName(providerId), budgetStatus, () => {
+            handleCompareSend(messageContent, attachments, { skipBudgetCheck: true })
+          })
+          return
+        }
+      }
+    }
+
+    let userMessage
+    try {
+      userMessage = await addMessage({
+        role: 'user',
+        content: messageContent,
+        model: targets[0].model,
+        provider: targets[0].provider,
+        attachments: attachments.length > 0 ? attachments : undefined
+      }, targetConversationId)
+      // addMessage returns null when the conversation can't be loaded
+      if (!userMessage) throw new Error('Conversation could not be loaded')
+    } catch (error) {
+      console.error('Error adding message:', error)
+      showFetchErrorAlert(getProviderName(targets[0].provider), 'Failed to save message. Please try again.')
+      return
+    }
+
+    // The conversation's stop button stops every column; each column can also be stopped alone
+    const conversationSignal = startStreaming(targetConversationId)
+    const controllers = targets.map(() => new AbortController())
+    conversationSignal.addEventListener('abort', () => controllers.forEach(c => c.abort()))
+    compareControllersRef.current = controllers
+
+    setCompareSession({
+      conversationId: targetConversationId,
+      userMessageId: userMessage.id,
+      responses: targets.map(target => ({ ...target, content: '', reasoning: '', status: 'streaming' }))
+    })
+
+    const savedIds = []
+    try {
+      const messagesForApi = await prepareMessagesForApi(
+        targetConversationId,
+        [...messages, { role: 'user', content: messageContent, attachments }],
+        targets,
+        conversationSignal
+      )
+
+      const results = await Promise.all(targets.map((target, index) => streamCompareResponse({
+        target,
+        index,
+        messagesForApi,
+        conversationId: targetConversationId,
+        abortSignal: controllers[index].signal
+      })))
+
+      // Keep every reply that produced content as a branch of the user message
+      for (const [index, result] of results.entries()) {
+        if (result.error || !result.content) continue
+        try {
+          const saved = await addMessage({
+            role: 'assistant',
+            content: result.content,
+            reasoning: result.reasoning,
+            isReasoningComplete: Boolean(result.reasoning),
+            model: targets[index].model,
+            provider: targets[index].provider,
+            toolCalls: result.toolCalls,
+            thinkingBlocks: result.thinkingBlocks,
+            usage: result.usage,
+            parentId: userMessage.id
+          }, targetConversationId)
+          if (!saved) continue
+          savedIds[index] = saved.id
+          updateCompareResponse(index, { messageId: saved.id })
+        } catch (error) {
+          console.error('Error saving compare response:', error)
+        }
+      }
+    } catch (error) {
+      console.error('Unexpected compare error:', error)
+      setCompareSession(null)
+    } finally {
+      // Always leave the streaming state, or the conversation could never send again
+      stopStreaming(targetConversationId)
+      compareControllersRef.current = []
+    }
+
+    // Continue from the first reply until the user picks another
+    const firstSavedId = savedIds.find(Boolean)
+    if (firstSavedId) {
+      selectBranch(firstSavedId, targetConversationId)
+    }
+  }
+
+  const handleStopCompareResponse = (index) => {
+    compareControllersRef.current[index]?.abort()
+  }
+
+  const handlePickCompareResponse = (index) => {
+    const response = compareSession?.responses[index]
+    if (!response?.messageId) return
+    selectBranch(response.messageId, compareSession.conversationId)
+    setCompareSession(null)
+  }
+
   const handleStopGeneration = () => {
     // Stop streaming only for the current conversation
     if (isConversationStreaming(currentConversationId)) {
@@ -349,7 +798,7 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     }
   }
 
-  const handleRetry = async (assistantMessage) => {
+  const handleRetry = async (assistantMessage, { skipBudgetCheck = false } = {}) => {
     if (isConversationStreaming(currentConversationId)) return
 
     // Find the user message that triggered this assistant response
@@ -374,24 +823,32 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     const currentModel = latestModelRef.current
     const currentProvider = latestProviderRef.current
 
-    // Build messages for API call (all messages up to but not including this assistant response)
-    // Use formatMessagesForAPI to properly handle attachments
-    const messagesForApi = formatMessagesForAPI(messages.slice(0, messageIndex))
-
-    // Clear the assistant message content for regeneration
-    // First, clear with full metadata including reasoning reset
-    const clearMetadata = {
-      timestamp: new Date().toISOString(),
-      model: currentModel,
-      provider: currentProvider,
-      reasoning: '',
-      isReasoningComplete: false
+    // Check this month's spend against the provider's budget
+    if (!skipBudgetCheck && isOverBudget(currentProvider, () => {
+      handleRetry(assistantMessage, { skipBudgetCheck: true })
+    })) {
+      return
     }
-    updateLastMessage('', false, clearMetadata)
 
     // Capture conversation ID at start of streaming
     const retryConversationId = currentConversationId
 
+    // Regenerate as a sibling of the old response so it stays available as another branch
+    try {
+      const retryMessage = await addMessage({
+        role: 'assistant',
+        content: '',
+        model: currentModel,
+        provider: currentProvider,
+        parentId: userMessage.id
+      }, retryConversationId)
+      if (!retryMessage) throw new Error('Conversation could not be loaded')
+    } catch (error) {
+      console.error('Error adding retry message:', error)
+      showFetchErrorAlert(providerInfo.name, 'Failed to save message. Please try again.')
+      return
+    }
+
     // Start streaming
     const abortSignal = startStreaming(retryConversationId)
 
@@ -408,9 +865,13 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       updateLastMessage,
       updateLastMessageReasoning,
       markReasoningComplete,
+      updateLastMessageToolCalls,
       getConversationById,
       stopStreaming,
       metadata: streamingMetadata,
+      pricing: getPricingForModel(currentModel, currentProvider),
+      getPricing: getPricingForModel,
+      onSpend: recordSpend,
       onError: (error) => {
         handleStreamingError({
           error,
@@ -425,6 +886,14 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       const modalities = getModalitiesForCurrentModel(currentModel, currentProvider)
       const reasoning = isModelThinking(currentModel, currentProvider) ? { effort: 'high' } : null
 
+      // All messages up to but not including the response being regenerated
+      const messagesForApi = await prepareMessagesForApi(
+        retryConversationId,
+        messages.slice(0, messageIndex),
+        [{ provider: currentProvider, model: currentModel }],
+        abortSignal
+      )
+
       await sendStreamingMessage({
         providerId: currentProvider,
         providerConfig: customProviders.find(p => p.id === currentProvider),
@@ -434,7 +903,12 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
         ...streamingCallbacks,
         abortSignal,
         modalities,
-        reasoning
+        reasoning,
+        generationParams: getConversationById(retryConversationId)?.generationParams,
+        tools: getToolsForModel(currentModel, currentProvider),
+        maxRetries,
+        onRetry: (status) => setRetryStatus(retryConversationId, status),
+        fallbacks: getFallbackConnections(retryConversationId, currentProvider, currentModel)
       })
     } catch (error) {
       console.error('Unexpected retry error:', error)
@@ -442,7 +916,28 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     }
   }
 
-  const handleEditUserMessage = async (userMessage, newContent) => {
+  const handleForkMessage = async (message) => {
+    try {
+      await forkConversation(currentConversationId, message.id)
+    } catch (error) {
+      console.error('Error forking conversation:', error)
+      showFetchErrorAlert(providerInfo?.name, 'Failed to create the new conversation. Please try again.')
+    }
+  }
+
+  const handleDeleteMessage = async (messageId) => {
+    const undo = await deleteMessage(messageId)
+    if (!undo) return
+
+    toast('Message deleted', {
+      action: {
+        label: 'Undo',
+        onClick: () => undo()
+      }
+    })
+  }
+
+  const handleEditUserMessage = async (userMessage, newContent, { skipBudgetCheck = false } = {}) => {
     if (isConversationStreaming(currentConversationId)) return
 
     // Capture conversation ID at the very start (before any async operations)
@@ -466,27 +961,30 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       return
     }
 
-    let messagesForApi
+    // Check this month's spend against the provider's budget
+    if (!skipBudgetCheck && isOverBudget(currentProvider, () => {
+      handleEditUserMessage(userMessage, newContent, { skipBudgetCheck: true })
+    })) {
+      return
+    }
+
+    let messagesUpToEdit
     try {
-      // Update the user message content in state
-      const updatedMessages = [...messages]
-      updatedMessages[messageIndex] = {
-        ...updatedMessages[messageIndex],
+      // Add the edited message as a sibling of the original, so the old branch is kept
+      const editedMessage = await addMessage({
+        role: 'user',
         content: newContent,
-        timestamp: new Date().toISOString()
-      }
-
-      // Remove all messages after this user message (assistant response and any following)
-      const messagesUpToEdit = updatedMessages.slice(0, messageIndex + 1)
-
-      // Update state and storage immediately
-      await replaceMessages(messagesUpToEdit)
+        model: currentModel,
+        provider: currentProvider,
+        attachments: userMessage.attachments,
+        parentId: messageIndex > 0 ? messages[messageIndex - 1].id : null
+      }, editConversationId)
+      if (!editedMessage) throw new Error('Conversation could not be loaded')
 
-      // Build messages for API call - use formatMessagesForAPI to properly handle attachments
-      messagesForApi = formatMessagesForAPI(messagesUpToEdit)
+      messagesUpToEdit = [...messages.slice(0, messageIndex), editedMessage]
 
       // Add new assistant placeholder to the captured conversation
-      await addMessage({
+      const assistantMessage = await addMessage({
         role: 'assistant',
         content: '',
         reasoning: '',
@@ -494,6 +992,7 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
         model: currentModel,
         provider: currentProvider
       }, editConversationId)
+      if (!assistantMessage) throw new Error('Conversation could not be loaded')
     } catch (error) {
       console.error('Error editing message:', error)
       const providerName = getProviderById(currentProvider)?.name || customProviders.find(p => p.id === currentProvider)?.name
@@ -517,9 +1016,13 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
       updateLastMessage,
       updateLastMessageReasoning,
       markReasoningComplete,
+      updateLastMessageToolCalls,
       getConversationById,
       stopStreaming,
       metadata: editMetadata,
+      pricing: getPricingForModel(currentModel, currentProvider),
+      getPricing: getPricingForModel,
+      onSpend: recordSpend,
       onError: (error) => {
         const providerName = getProviderById(currentProvider)?.name || customProviders.find(p => p.id === currentProvider)?.name
         handleStreamingError({
@@ -534,6 +1037,12 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     try {
       const modalities = getModalitiesForCurrentModel(currentModel, currentProvider)
       const reasoning = isModelThinking(currentModel, currentProvider) ? { effort: 'high' } : null
+      const messagesForApi = await prepareMessagesForApi(
+        editConversationId,
+        messagesUpToEdit,
+        [{ provider: currentProvider, model: currentModel }],
+        abortSignal
+      )
 
       await sendStreamingMessage({
         providerId: currentProvider,
@@ -544,7 +1053,12 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
         ...streamingCallbacks,
         abortSignal,
         modalities,
-        reasoning
+        reasoning,
+        generationParams: getConversationById(editConversationId)?.generationParams,
+        tools: getToolsForModel(currentModel, currentProvider),
+        maxRetries,
+        onRetry: (status) => setRetryStatus(editConversationId, status),
+        fallbacks: getFallbackConnections(editConversationId, currentProvider, currentModel)
       })
     } catch (error) {
       console.error('Unexpected edit error:', error)
@@ -552,6 +1066,21 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
     }
   }
 
+  // While a comparison is open its replies are shown in columns, so the thread stops at the prompt
+  const activeCompareSession = compareSession?.conversationId === currentConversationId ? compareSession : null
+  const compareMessageIndex = activeCompareSession ? messages.findIndex(m => m.id === activeCompareSession.userMessageId) : -1
+  const visibleMessages = compareMessageIndex >= 0 ? messages.slice(0, compareMessageIndex + 1) : messages
+
+  // Estimated size of the full history as the next request would start from
+  // Every streamed chunk replaces messages, so while a reply streams the messages drop out of the
+  // dependencies and the estimate taken when streaming started is kept
+  const isCurrentConversationStreaming = isConversationStreaming(currentConversationId)
+  const systemPrompt = currentConversation?.systemPrompt
+  const contextTokens = useMemo(() => {
+    return estimateTextTokens(systemPrompt) +
+      (isCurrentConversationLoaded ? estimateMessagesTokens(messages) : 0)
+  }, [currentConversationId, isCurrentConversationStreaming ? null : messages, systemPrompt, isCurrentConversationLoaded])
+
   // Show loading state while initial data loads
   if (isLoading) {
     return (
@@ -711,15 +1240,68 @@ function ChatWindow({ conversationId, onOpenSettings, sidebarOpen, onToggleSideb
           >
             <RefreshCwIcon className={`h-5 w-5 ${fetchStatus.loading ? 'animate-spin' : ''}`} />
           </Button>
+
+          <SystemPromptDialog
+            systemPrompt={currentConversation?.systemPrompt}
+            onSave={(systemPrompt) => updateConversationSettings(currentConversationId, { systemPrompt })}
+            disabled={!currentConversation}
+          />
+
+          <CompareModelsPanel
+            targets={compareTargets}
+            onChange={setCompareTargets}
+            providers={allProviders}
+            getModels={getModelOptions}
+          />
+
+          <FallbackChainPanel
+            chain={currentConversation?.fallbackChain ?? null}
+            defaultChain={fallbackChain}
+            onChange={(chain) => updateConversationSettings(currentConversationId, { fallbackChain: chain })}
+            providers={allProviders}
+            getModels={getModelOptions}
+            disabled={!currentConversation}
+          />
+
+          <GenerationParamsPanel
+            params={currentConversation?.generationParams}
+            providerId={provider}
+            onChange={(generationParams) => updateConversationSettings(currentConversationId, { generationParams })}
+            disabled={!currentConversation}
+          />
           </div>
         </div>
       </div>
 
-      <MessageList messages={messages} onRetry={handleRetry} onEditUserMessage={handleEditUserMessage} onDeleteMessage={deleteMessage} isStreaming={isConversationStreaming(currentConversationId)} />
+      {isCurrentConversationLoaded ? (
+        <MessageList messages={visibleMessages} branches={messageBranches} onSelectBranch={selectBranch} onForkMessage={handleForkMessage} onRetry={handleRetry} onEditUserMessage={handleEditUserMessage} onDeleteMessage={handleDeleteMessage} onToggleContextFlag={setMessageContextFlag} isStreaming={isConversationStreaming(currentConversationId)} retryStatus={retryStatuses[currentConversationId] || null} focusRequest={focusRequest?.conversationId === currentConversationId ? focusRequest : null} />
+      ) : (
+        // Messages are read from storage the first time a conversation is opened
+        <div className="flex-1 flex items-center justify-center">
+          <Spinner className="size-6" />
+        </div>
+      )}
+      {activeCompareSession && (
+        <CompareResponses
+          responses={activeCompareSession.responses}
+          onPick={handlePickCompareResponse}
+          onStop={handleStopCompareResponse}
+          onDismiss={() => setCompareSession(null)}
+        />
+      )}
       <MessageInput
         onSendMessage={handleSendMessage}
         isStreaming={isConversationStreaming(currentConversationId)}
         onStopGeneration={handleStopGeneration}
+        disabled={!isCurrentConversationLoaded}
+        status={isCurrentConversationLoaded && (
+          <ContextMeter
+            usedTokens={contextTokens}
+            contextWindow={getContextWindow(model, provider)}
+            strategy={currentConversation?.contextStrategy}
+            onStrategyChange={(contextStrategy) => updateConversationSettings(currentConversationId, { contextStrategy })}
+          />
+        )}
       />
     </div>
   )
@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { Columns3 as CompareIcon, Plus as PlusIcon, X as XIcon } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover'
+import { SearchableSelect } from './SearchableSelect'
+
+export const MIN_COMPARE_TARGETS = 2
+export const MAX_COMPARE_TARGETS = 4
+
+export function CompareModelsPanel({ targets, onChange, providers, getModels, disabled = false }) {
+  const [open, setOpen] = useState(false)
+  const isActive = targets.length >= MIN_COMPARE_TARGETS
+
+  // Start a new row from the first model of the first provider not yet in use
+  const handleAddTarget = () => {
+    const providerId = (providers.find(p => !targets.some(t => t.provider === p.id)) || providers[0])?.id
+    if (!providerId) return
+    onChange([...targets, { provider: providerId, model: getModels(providerId)[0]?.id || '' }])
+  }
+
+  const handleUpdateTarget = (index, updates) => {
+    onChange(targets.map((target, i) => i === index ? { ...target, ...updates } : target))
+  }
+
+  const handleRemoveTarget = (index) => {
+    onChange(targets.filter((_, i) => i !== index))
+  }
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant={isActive ? 'secondary' : 'ghost'}
+          size="icon"
+          className="h-10 w-10 relative"
+          disabled={disabled}
+          title={isActive ? `Comparing ${targets.length} models` : 'Compare models'}
+        >
+          <CompareIcon className="h-5 w-5" />
+          {isActive && (
+            <span className="absolute top-1.5 right-1.5 h-2 w-2 rounded-full bg-primary" />
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-[480px]">
+        <div className="flex items-center justify-between mb-1">
+          <h4 className="text-sm font-semibold">Compare models</h4>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 text-xs"
+            onClick={() => onChange([])}
+            disabled={targets.length === 0}
+          >
+            Turn off
+          </Button>
+        </div>
+        <p className="text-xs text-muted-foreground mb-3">
+          Send each prompt to {MIN_COMPARE_TARGETS}–{MAX_COMPARE_TARGETS} models at once and pick the reply to continue with.
+        </p>
+
+        <div className="space-y-2">
+          {targets.map((target, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <SearchableSelect
+                value={target.provider}
+                onValueChange={(value) => handleUpdateTarget(index, { provider: value, model: getModels(value)[0]?.id || '' })}
+                options={providers}
+                placeholder="Provider..."
+                searchPlaceholder="Search providers..."
+                className="h-9 w-36"
+              />
+              <SearchableSelect
+                value={target.model}
+                onValueChange={(value) => handleUpdateTarget(index, { model: value })}
+                options={getModels(target.provider)}
+                placeholder="Select model..."
+                searchPlaceholder="Search models..."
+                className="h-9 flex-1 min-w-0"
+              />
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-8 w-8 flex-shrink-0"
+                onClick={() => handleRemoveTarget(index)}
+                title="Remove model"
+              >
+                <XIcon className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between mt-3">
+          <Button
+            variant="outline"
+            size="sm"
+            className="h-8"
+            onClick={handleAddTarget}
+            disabled={targets.length >= MAX_COMPARE_TARGETS}
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Add model
+          </Button>
+          {targets.length > 0 && !isActive && (
+            <span className="text-xs text-muted-foreground">Add at least {MIN_COMPARE_TARGETS} models to compare</span>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  )
+}
@@ -0,0 +1,87 @@
+import { Check as CheckIcon, Square as StopIcon, X as XIcon, LoaderCircle } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Card } from '@/components/ui/card'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { ToolCallList } from '@/components/ToolCallList'
+import { MemoizedMarkdownContent } from './MessageList'
+import { formatTokenCount, formatCost } from '@/utils/usageHelpers'
+import { formatRetryStatus } from '@/utils/errorHandlers'
+
+// Responses from a compare-mode prompt, one column per model
+export function CompareResponses({ responses, onPick, onStop, onDismiss }) {
+  const isStreaming = responses.some(r => r.status === 'streaming')
+
+  return (
+    <div className="border-t bg-muted/10 px-6 py-4">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-sm font-medium">
+          {isStreaming ? 'Comparing responses...' : 'Pick the reply to continue with'}
+        </p>
+        {!isStreaming && (
+          <Button variant="ghost" size="sm" className="h-7 px-2 text-xs" onClick={onDismiss}>
+            <XIcon className="h-3 w-3 mr-1" />
+            Dismiss
+          </Button>
+        )}
+      </div>
+
+      <div className={`grid gap-3 ${responses.length > 2 ? 'grid-cols-2 xl:grid-cols-4' : 'grid-cols-2'}`}>
+        {responses.map((response, index) => (
+          <Card key={index} className="flex flex-col min-w-0 p-3 gap-2">
+            <div className="flex items-center justify-between gap-2 text-xs text-muted-foreground">
+              <span className="font-medium truncate">
+                <span className="opacity-75">{response.provider}/</span>
+                {response.model.split('/').pop()}
+              </span>
+              {response.status === 'streaming' && (
+                <Button variant="ghost" size="icon" className="h-6 w-6 flex-shrink-0" onClick={() => onStop(index)} title="Stop this response">
+                  <StopIcon className="h-3 w-3" />
+                </Button>
+              )}
+            </div>
+
+            <ScrollArea className="h-64">
+              <ToolCallList toolCalls={response.toolCalls} />
+              <div className="prose prose-sm max-w-none break-words pr-3 prose-ul:list-disc prose-ol:list-decimal prose-p:text-gray-900 dark:prose-p:text-gray-100">
+                {response.status === 'error' ? (
+                  <p className="text-destructive">Error: {response.error}</p>
+                ) : response.content ? (
+                  <MemoizedMarkdownContent content={response.content} />
+                ) : response.status === 'streaming' ? (
+                  <span className="flex items-center gap-2 text-muted-foreground">
+                    <LoaderCircle className="h-4 w-4 animate-spin" />
+                    {response.retryStatus
+                      ? formatRetryStatus(response.retryStatus)
+                      : response.reasoning ? 'Thinking...' : 'Waiting for response...'}
+                  </span>
+                ) : (
+                  <p className="text-muted-foreground">No response</p>
+                )}
+              </div>
+            </ScrollArea>
+
+            <div className="flex items-center justify-between gap-2 mt-auto">
+              <span className="text-xs text-muted-foreground truncate">
+                {[
+                  response.status === 'stopped' && 'Stopped',
+                  response.usage && `${formatTokenCount(response.usage.outputTokens)} out`,
+                  formatCost(response.usage?.cost)
+                ].filter(Boolean).join(' · ')}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                className="h-7 px-2 text-xs"
+                onClick={() => onPick(index)}
+                disabled={isStreaming || !response.messageId}
+              >
+                <CheckIcon className="h-3 w-3 mr-1" />
+                Use this reply
+              </Button>
+            </div>
+          </Card>
+        ))}
+      </div>
+    </div>
+  )
+}
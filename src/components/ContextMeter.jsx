@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { Check as CheckIcon } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover'
+import { CONTEXT_STRATEGIES, DEFAULT_CONTEXT_STRATEGY } from '@/utils/contextWindow'
+import { formatTokenCount } from '@/utils/usageHelpers'
+
+// Share of the context window at which the meter turns amber, then red
+const WARNING_RATIO = 0.8
+
+export function ContextMeter({ usedTokens, contextWindow, strategy, onStrategyChange, disabled = false }) {
+  const [open, setOpen] = useState(false)
+  const activeStrategy = strategy || DEFAULT_CONTEXT_STRATEGY
+  const ratio = contextWindow ? usedTokens / contextWindow : 0
+
+  const barColor = ratio >= 1
+    ? 'bg-destructive'
+    : ratio >= WARNING_RATIO ? 'bg-amber-500' : 'bg-primary'
+
+  const handleSelect = (key) => {
+    onStrategyChange(key)
+    setOpen(false)
+  }
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <button
+          type="button"
+          className="flex items-center gap-2 rounded-md px-2 py-1 text-xs text-muted-foreground hover:bg-muted disabled:opacity-50"
+          disabled={disabled}
+          title="Context usage (estimated)"
+        >
+          {contextWindow && (
+            <span className="relative h-1.5 w-20 overflow-hidden rounded-full bg-primary/20">
+              <span className={`absolute inset-y-0 left-0 ${barColor}`} style={{ width: `${Math.min(ratio, 1) * 100}%` }} />
+            </span>
+          )}
+          <span>
+            ~{formatTokenCount(usedTokens)}
+            {contextWindow ? ` / ${formatTokenCount(contextWindow)} tokens` : ' tokens'}
+          </span>
+        </button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80">
+        <h4 className="text-sm font-semibold mb-1">Context window</h4>
+        <p className="text-xs text-muted-foreground mb-3">
+          {contextWindow
+            ? `About ${Math.round(ratio * 100)}% of this model's ${formatTokenCount(contextWindow)} tokens. When the history no longer fits:`
+            : "This model's context size is unknown, so the full history is sent."}
+        </p>
+
+        <div className="space-y-1">
+          {Object.entries(CONTEXT_STRATEGIES).map(([key, { label, description }]) => (
+            <Button
+              key={key}
+              variant="ghost"
+              className="h-auto w-full justify-start px-2 py-2 text-left"
+              onClick={() => handleSelect(key)}
+            >
+              <CheckIcon className={`h-4 w-4 mr-2 mt-0.5 flex-shrink-0 self-start ${key === activeStrategy ? '' : 'invisible'}`} />
+              <span className="min-w-0">
+                <span className="block text-sm">{label}</span>
+                <span className="block text-xs text-muted-foreground whitespace-normal">{description}</span>
+              </span>
+            </Button>
+          ))}
+        </div>
+      </PopoverContent>
+    </Popover>
+  )
+}
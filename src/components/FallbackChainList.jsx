@@ -0,0 +1,92 @@
+import { ArrowUp as ArrowUpIcon, ArrowDown as ArrowDownIcon, Plus as PlusIcon, X as XIcon } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { SearchableSelect } from './SearchableSelect'
+
+export const MAX_FALLBACKS = 4
+
+// Ordered provider/model rows of a fallback chain, tried top to bottom
+export function FallbackChainList({ chain, onChange, providers, getModels }) {
+  // Start a new row from the first provider not yet in the chain
+  const handleAdd = () => {
+    const providerId = (providers.find(p => !chain.some(entry => entry.provider === p.id)) || providers[0])?.id
+    if (!providerId) return
+    onChange([...chain, { provider: providerId, model: getModels(providerId)[0]?.id || '' }])
+  }
+
+  const handleUpdate = (index, updates) => {
+    onChange(chain.map((entry, i) => i === index ? { ...entry, ...updates } : entry))
+  }
+
+  const handleMove = (index, offset) => {
+    const next = [...chain]
+    const [entry] = next.splice(index, 1)
+    next.splice(index + offset, 0, entry)
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-2">
+      {chain.map((entry, index) => (
+        <div key={index} className="flex items-center gap-1">
+          <span className="w-5 text-xs text-muted-foreground tabular-nums">{index + 1}.</span>
+          <SearchableSelect
+            value={entry.provider}
+            onValueChange={(value) => handleUpdate(index, { provider: value, model: getModels(value)[0]?.id || '' })}
+            options={providers}
+            placeholder="Provider..."
+            searchPlaceholder="Search providers..."
+            className="h-9 w-32"
+          />
+          <SearchableSelect
+            value={entry.model}
+            onValueChange={(value) => handleUpdate(index, { model: value })}
+            options={getModels(entry.provider)}
+            placeholder="Select model..."
+            searchPlaceholder="Search models..."
+            className="h-9 flex-1 min-w-0"
+          />
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 flex-shrink-0"
+            onClick={() => handleMove(index, -1)}
+            disabled={index === 0}
+            title="Move up"
+          >
+            <ArrowUpIcon className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 flex-shrink-0"
+            onClick={() => handleMove(index, 1)}
+            disabled={index === chain.length - 1}
+            title="Move down"
+          >
+            <ArrowDownIcon className="h-4 w-4" />
+          </Button>
+          <Button
+            variant="ghost"
+            size="icon"
+            className="h-8 w-8 flex-shrink-0"
+            onClick={() => onChange(chain.filter((_, i) => i !== index))}
+            title="Remove fallback"
+          >
+            <XIcon className="h-4 w-4" />
+          </Button>
+        </div>
+      ))}
+
+      <Button
+        variant="outline"
+        size="sm"
+        className="h-8"
+        onClick={handleAdd}
+        disabled={chain.length >= MAX_FALLBACKS}
+      >
+        <PlusIcon className="h-4 w-4 mr-2" />
+        Add fallback
+      </Button>
+    </div>
+  )
+}
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { Route as RouteIcon } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover'
+import { FallbackChainList } from './FallbackChainList'
+
+// Per-conversation fallback chain; null means the default chain from Settings applies
+export function FallbackChainPanel({ chain, defaultChain, onChange, providers, getModels, disabled = false }) {
+  const [open, setOpen] = useState(false)
+  const isCustom = Array.isArray(chain)
+  const activeChain = isCustom ? chain : defaultChain
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-10 w-10 relative"
+          disabled={disabled}
+          title={activeChain.length > 0 ? `${activeChain.length} fallback model(s)` : 'Fallback models'}
+        >
+          <RouteIcon className="h-5 w-5" />
+          {activeChain.length > 0 && (
+            <span className="absolute top-1.5 right-1.5 h-2 w-2 rounded-full bg-primary" />
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-[480px]">
+        <h4 className="text-sm font-semibold mb-1">Fallback models</h4>
+        <p className="text-xs text-muted-foreground mb-3">
+          If the selected model fails before it starts replying (invalid key, quota, outage or network error),
+          the request moves down this list.
+        </p>
+
+        <label className="flex items-center gap-2 text-sm mb-3">
+          <input
+            type="checkbox"
+            checked={!isCustom}
+            onChange={(e) => onChange(e.target.checked ? null : [...defaultChain])}
+          />
+          Use the default fallbacks from Settings
+        </label>
+
+        {isCustom ? (
+          <FallbackChainList chain={chain} onChange={onChange} providers={providers} getModels={getModels} />
+        ) : (
+          <p className="text-xs text-muted-foreground">
+            {defaultChain.length > 0
+              ? defaultChain.map(entry => `${entry.provider}/${entry.model}`).join(' → ')
+              : 'No default fallbacks are set.'}
+          </p>
+        )}
+      </PopoverContent>
+    </Popover>
+  )
+}
@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react'
+import { SlidersHorizontal as SlidersIcon, RotateCcw as ResetIcon } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover'
+import { GENERATION_PARAMS, getGenerationParamRanges, clampGenerationParam } from '@/utils/generationParams'
+
+// Saved params -> input strings (empty string means provider default)
+const toDraft = (params) => {
+  const draft = {}
+  for (const { key } of GENERATION_PARAMS) {
+    draft[key] = params?.[key] ?? ''
+  }
+  return draft
+}
+
+export function GenerationParamsPanel({ params, providerId, onChange, disabled = false }) {
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState(() => toDraft(params))
+
+  // Reload saved values whenever the panel opens or the conversation changes
+  useEffect(() => {
+    if (open) setDraft(toDraft(params))
+  }, [open, params])
+
+  const ranges = getGenerationParamRanges(providerId)
+  const supportedParams = GENERATION_PARAMS.filter(p => ranges[p.key])
+  const customizedCount = supportedParams.filter(p => params?.[p.key] !== null && params?.[p.key] !== undefined).length
+
+  // Clamp and save a value when the input loses focus
+  const handleCommit = (key) => {
+    const value = clampGenerationParam(key, draft[key], providerId)
+    setDraft(prev => ({ ...prev, [key]: value ?? '' }))
+
+    if (value !== (params?.[key] ?? null)) {
+      const next = { ...(params || {}) }
+      if (value === null) {
+        delete next[key]
+      } else {
+        next[key] = value
+      }
+      onChange(next)
+    }
+  }
+
+  const handleReset = () => {
+    setDraft(toDraft(null))
+    onChange({})
+  }
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button
+          variant="ghost"
+          size="icon"
+          className="h-10 w-10 relative"
+          disabled={disabled}
+          title="Generation parameters"
+        >
+          <SlidersIcon className="h-5 w-5" />
+          {customizedCount > 0 && (
+            <span className="absolute top-1.5 right-1.5 h-2 w-2 rounded-full bg-primary" />
+          )}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80">
+        <div className="flex items-center justify-between mb-1">
+          <h4 className="text-sm font-semibold">Generation parameters</h4>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 px-2 text-xs"
+            onClick={handleReset}
+            disabled={customizedCount === 0}
+          >
+            <ResetIcon className="h-3 w-3 mr-1" />
+            Reset
+          </Button>
+        </div>
+        <p className="text-xs text-muted-foreground mb-4">
+          Saved for this conversation. Leave a field empty to use the provider default.
+        </p>
+
+        <div className="space-y-3">
+          {supportedParams.map(({ key, label, step, description }) => (
+            <div key={key} className="grid grid-cols-[1fr_110px] items-center gap-3">
+              <div className="min-w-0">
+                <Label htmlFor={`gen-param-${key}`} className="text-sm">{label}</Label>
+                <p className="text-xs text-muted-foreground truncate" title={description}>
+                  {ranges[key].min} – {ranges[key].max}
+                </p>
+              </div>
+              <Input
+                id={`gen-param-${key}`}
+                type="number"
+                inputMode="decimal"
+                min={ranges[key].min}
+                max={ranges[key].max}
+                step={step}
+                placeholder="Default"
+                value={draft[key]}
+                onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                onBlur={() => handleCommit(key)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleCommit(key)
+                }}
+                className="h-8"
+              />
+            </div>
+          ))}
+        </div>
+      </PopoverContent>
+    </Popover>
+  )
+}
@@ -0,0 +1,168 @@
+import { useState, useEffect, useRef } from 'react'
+import { Upload as UploadIcon, FileJson as FileJsonIcon } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { useConversation } from '@/contexts/ConversationContext'
+import { parseImportFile, findDuplicateImports, IMPORT_SOURCES } from '@/services/conversationImport'
+
+const formatDate = (isoString) => new Date(isoString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+
+export function ImportDialog({ open, onOpenChange }) {
+  const { conversations, importConversations } = useConversation()
+  const [preview, setPreview] = useState(null) // { fileName, source, conversations, duplicateIds }
+  const [selectedIds, setSelectedIds] = useState(new Set())
+  const [error, setError] = useState(null)
+  const [isImporting, setIsImporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  // Start over each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setPreview(null)
+      setSelectedIds(new Set())
+      setError(null)
+    }
+  }, [open])
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = '' // Allow choosing the same file again
+    if (!file) return
+
+    try {
+      const { source, conversations: parsed } = parseImportFile(await file.text())
+      const duplicateIds = findDuplicateImports(parsed, conversations)
+      setPreview({ fileName: file.name, source, conversations: parsed, duplicateIds })
+      // Duplicates start unselected so re-importing a file only adds what's new
+      setSelectedIds(new Set(parsed.filter(c => !duplicateIds.has(c.id)).map(c => c.id)))
+      setError(null)
+    } catch (err) {
+      console.error('Import parse error:', err)
+      setPreview(null)
+      setError(err.message)
+    }
+  }
+
+  const handleToggle = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(id)) {
+        next.delete(id)
+      } else {
+        next.add(id)
+      }
+      return next
+    })
+  }
+
+  const handleToggleAll = () => {
+    const allSelected = preview.conversations.every(c => selectedIds.has(c.id))
+    setSelectedIds(allSelected ? new Set() : new Set(preview.conversations.map(c => c.id)))
+  }
+
+  const handleImport = async () => {
+    setIsImporting(true)
+    try {
+      const count = await importConversations(preview.conversations.filter(c => selectedIds.has(c.id)))
+      toast.success(`Imported ${count} conversation${count === 1 ? '' : 's'}`)
+      onOpenChange(false)
+    } finally {
+      setIsImporting(false)
+    }
+  }
+
+  const duplicateCount = preview?.duplicateIds.size || 0
+
+  return (
+    <Dialog open={open} onOpenChange={(next) => !isImporting && onOpenChange(next)}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Import Conversations</DialogTitle>
+          <DialogDescription>
+            Choose a conversations.json from a ChatGPT or Claude.ai data export, or a JSON export from this app.
+          </DialogDescription>
+        </DialogHeader>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={handleFileChange}
+        />
+
+        <div className="flex items-center gap-3">
+          <Button variant="outline" onClick={() => fileInputRef.current?.click()} disabled={isImporting}>
+            <UploadIcon className="h-4 w-4 mr-2" />
+            Choose File
+          </Button>
+          {preview && (
+            <span className="flex items-center gap-2 text-sm text-muted-foreground min-w-0">
+              <FileJsonIcon className="h-4 w-4 flex-shrink-0" />
+              <span className="truncate">{preview.fileName}</span>
+              <Badge variant="secondary">{IMPORT_SOURCES[preview.source]}</Badge>
+            </span>
+          )}
+        </div>
+
+        {error && <p className="text-sm text-destructive">{error}</p>}
+
+        {preview && (
+          <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={preview.conversations.length > 0 && preview.conversations.every(c => selectedIds.has(c.id))}
+                  onChange={handleToggleAll}
+                />
+                {preview.conversations.length} conversation{preview.conversations.length === 1 ? '' : 's'} found
+              </label>
+              {duplicateCount > 0 && (
+                <span className="text-xs text-muted-foreground">{duplicateCount} already imported</span>
+              )}
+            </div>
+
+            <ScrollArea className="h-72 border rounded-md">
+              <div className="p-2 space-y-1">
+                {preview.conversations.map(conv => (
+                  <label
+                    key={conv.id}
+                    className="flex items-center gap-3 rounded-md px-2 py-1.5 hover:bg-muted cursor-pointer"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(conv.id)}
+                      onChange={() => handleToggle(conv.id)}
+                    />
+                    <div className="min-w-0 flex-1">
+                      <p className="text-sm truncate">{conv.title}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {conv.messages.length} messages · {formatDate(conv.updatedAt)}
+                      </p>
+                    </div>
+                    {preview.duplicateIds.has(conv.id) && (
+                      <Badge variant="outline" className="flex-shrink-0">Duplicate</Badge>
+                    )}
+                  </label>
+                ))}
+              </div>
+            </ScrollArea>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)} disabled={isImporting}>
+            Cancel
+          </Button>
+          <Button onClick={handleImport} disabled={!preview || selectedIds.size === 0 || isImporting}>
+            {isImporting ? 'Importing...' : `Import ${selectedIds.size || ''}`.trim()}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -8,7 +8,8 @@ import { formatFileSize } from '@/utils/messageFormatters'
 import { convertImageToPNG, calculateBase64Size } from '@/utils/imageConverter'
 import { toast } from 'sonner'
 
-function MessageInput({ onSendMessage, isStreaming = false, onStopGeneration, disabled = false }) {
+// status is shown at the right of the keyboard hints (e.g., the context meter)
+function MessageInput({ onSendMessage, isStreaming = false, onStopGeneration, disabled = false, status = null }) {
   const [message, setMessage] = useState('')
   const [attachments, setAttachments] = useState([])
   const textareaRef = useRef(null)
@@ -304,7 +305,7 @@ function MessageInput({ onSendMessage, isStreaming = false, onStopGeneration, di
           </div>
 
           {/* Keyboard hints */}
-          <div className="mt-2 flex items-center justify-center gap-2 text-xs text-muted-foreground">
+          <div className="relative mt-2 flex items-center justify-center gap-2 text-xs text-muted-foreground">
             <span>
               <kbd className="pointer-events-none inline-flex h-5 select-none items-center gap-1 rounded border bg-muted px-1.5 font-mono font-medium opacity-100">
                 Enter
@@ -322,6 +323,9 @@ function MessageInput({ onSendMessage, isStreaming = false, onStopGeneration, di
               </kbd>{' '}
               for new line
             </span>
+            {status && (
+              <div className="absolute right-0 top-1/2 -translate-y-1/2">{status}</div>
+            )}
           </div>
         </form>
       </div>
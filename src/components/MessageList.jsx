@@ -1,22 +1,20 @@
 import { useState, useEffect, useRef, memo } from 'react'
 import ReactMarkdown from 'react-markdown'
-import remarkGfm from 'remark-gfm'
-import remarkMath from 'remark-math'
-import rehypeRaw from 'rehype-raw'
-import rehypeSanitize from 'rehype-sanitize'
-import rehypeKatex from 'rehype-katex'
-import { minimalSanitizeSchema } from '@/lib/sanitizeSchema'
+import { remarkPlugins, rehypePlugins, remarkRehypeOptions } from '@/lib/markdown'
 import 'katex/dist/katex.min.css'
 import { ScrollArea, ScrollBar } from '@/components/ui/scroll-area'
 import { Avatar, AvatarFallback } from '@/components/ui/avatar'
 import { Card } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Textarea } from '@/components/ui/textarea'
-import { Bot as BotIcon, User as UserIcon, RefreshCw as RefreshCwIcon, Pencil as PencilIcon, Check as CheckIcon, X as XIcon, Trash2 as Trash2Icon, FileText as FileIcon, Loader, LoaderCircle, Copy as CopyIcon, ChevronDown, ChevronUp } from 'lucide-react'
+import { Bot as BotIcon, User as UserIcon, RefreshCw as RefreshCwIcon, Pencil as PencilIcon, Check as CheckIcon, X as XIcon, Trash2 as Trash2Icon, FileText as FileIcon, Loader, LoaderCircle, Copy as CopyIcon, ChevronDown, ChevronUp, ChevronLeft, ChevronRight, GitBranch as GitBranchIcon, Pin as PinIcon, PinOff as PinOffIcon, EyeOff as EyeOffIcon, Eye as EyeIcon } from 'lucide-react'
 import { CopyButton } from '@/components/ui/copy-button'
-import { formatFileSize } from '@/utils/messageFormatters'
+import { formatFileSize, isExcludedFromContext } from '@/utils/messageFormatters'
+import { formatRetryStatus } from '@/utils/errorHandlers'
 import { ImagePreviewModal } from '@/components/ImagePreviewModal'
+import { ToolCallList } from '@/components/ToolCallList'
 import { downloadImage, extractImageName } from '@/utils/imageDownload'
+import { getConversationUsage, formatTokenCount, formatCost } from '@/utils/usageHelpers'
 
 // Simple function components for react-markdown - filter out ref prop to avoid React 18 errors
 const CodeComponent = (props) => {
@@ -75,18 +73,12 @@ const createRefSafeComponent = (Tag) => (props) => {
 }
 
 // Memoized markdown content component to prevent unnecessary re-parsing
-const MemoizedMarkdownContent = memo(({ content }) => {
+export const MemoizedMarkdownContent = memo(({ content }) => {
   return (
     <ReactMarkdown
-      remarkPlugins={[remarkGfm, remarkMath]}
-      rehypePlugins={[
-        rehypeRaw,
-        rehypeKatex,
-        [rehypeSanitize, minimalSanitizeSchema]
-      ]}
-      remarkRehypeOptions={{
-        allowDangerousHtml: true
-      }}
+      remarkPlugins={remarkPlugins}
+      rehypePlugins={rehypePlugins}
+      remarkRehypeOptions={remarkRehypeOptions}
       components={{
         // Custom component overrides for better styling
         p: ({ children }) => <p className="mb-2 last:mb-0 text-justify">{children}</p>,
@@ -155,7 +147,7 @@ const MemoizedMarkdownContent = memo(({ content }) => {
   return prevProps.content === nextProps.content
 })
 
-function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, isStreaming = false }) {
+function MessageList({ messages, branches = {}, onSelectBranch, onForkMessage, onRetry, onEditUserMessage, onDeleteMessage, onToggleContextFlag, isStreaming = false, retryStatus = null, focusRequest = null }) {
   const [editingMessageId, setEditingMessageId] = useState(null)
   const [editContent, setEditContent] = useState('')
   const [deletingMessageId, setDeletingMessageId] = useState(null)
@@ -168,6 +160,8 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
   const thinkingScrollRefs = useRef(new Map())
   const scrollThrottleRef = useRef(null)
   const [previewImage, setPreviewImage] = useState(null)
+  const [highlightedMessageId, setHighlightedMessageId] = useState(null)
+  const handledFocusRequestRef = useRef(null)
 
   // Auto-scroll thinking section to show latest tokens (optimized with throttle)
   useEffect(() => {
@@ -252,6 +246,32 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
     prevFirstMessageIdRef.current = firstMessageId
   }, [messages])
 
+  // Scroll to a message opened from search (runs after the conversation-change scroll above)
+  useEffect(() => {
+    if (!focusRequest || handledFocusRequestRef.current === focusRequest) return
+
+    // The message may appear a render later, after switching to its branch
+    const element = document.getElementById(`message-${focusRequest.messageId}`)
+    if (!element) return
+
+    handledFocusRequestRef.current = focusRequest
+    setCollapsedMessages(prev => {
+      if (!prev.has(focusRequest.messageId)) return prev
+      const next = new Set(prev)
+      next.delete(focusRequest.messageId)
+      return next
+    })
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    setHighlightedMessageId(focusRequest.messageId)
+  }, [focusRequest, messages])
+
+  // Fade the search highlight after a moment
+  useEffect(() => {
+    if (!highlightedMessageId) return
+    const timeout = setTimeout(() => setHighlightedMessageId(null), 2000)
+    return () => clearTimeout(timeout)
+  }, [highlightedMessageId])
+
   const handleDeleteClick = (messageId) => {
     if (deletingMessageId === messageId) {
       // Second click - confirm delete
@@ -346,10 +366,8 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
     setEditContent('')
   }
 
-  // Find the index of the last user message
-  const lastUserMessageIndex = messages.reduce((lastIdx, msg, idx) => {
-    return msg.role === 'user' ? idx : lastIdx
-  }, -1)
+  // Token and cost totals for the whole conversation
+  const conversationUsage = getConversationUsage(messages)
 
   return (
     <ScrollArea className="flex-1">
@@ -357,17 +375,19 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
         {messages.map((message, index) => {
           const modelName = formatModelName(message.model)
           const isEditing = editingMessageId === message.id
-          const isLastUserMessage = message.role === 'user' && index === lastUserMessageIndex
           const isLastMessage = index === messages.length - 1
           const isGenerating = isStreaming && isLastMessage && message.role === 'assistant'
+          const branch = branches[message.id]
           const { cleanContent, images: generatedImages } = parseGeneratedImages(message.content)
+          const isExcluded = isExcludedFromContext(message)
 
           return (
             <div
               key={message.id}
-              className={`flex gap-4 ${
+              id={`message-${message.id}`}
+              className={`flex gap-4 rounded-lg transition-colors duration-500 ${
                 message.role === 'user' ? 'justify-end' : 'justify-start'
-              }`}
+              } ${highlightedMessageId === message.id ? 'bg-yellow-100/60 dark:bg-yellow-900/20' : ''}`}
             >
               {message.role === 'assistant' && (
                 <Avatar className="h-10 w-10 flex-shrink-0">
@@ -379,7 +399,7 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
               <div className={`max-w-[80%] ${message.role === 'user' ? 'flex flex-col items-end' : ''}`}>
                 {/* Display attachments as list above card */}
                 {message.attachments && message.attachments.length > 0 && (
-                  <ScrollArea className="mb-2 w-full">
+                  <ScrollArea className={`mb-2 w-full ${isExcluded ? 'opacity-50' : ''}`}>
                     <div className="flex flex-nowrap gap-2 pb-5">
                       {message.attachments.map((attachment, attIndex) => (
                         <div
@@ -409,7 +429,7 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
                     message.role === 'user'
                       ? 'bg-muted text-foreground'
                       : 'bg-transparent text-card-foreground'
-                  }`}
+                  } ${isExcluded ? 'opacity-50' : ''}`}
                 >
                   {isEditing ? (
                     <div className="space-y-3">
@@ -519,6 +539,9 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
                         </div>
                       )}
 
+                      {/* Tool calls made while generating this response */}
+                      {message.role === 'assistant' && <ToolCallList toolCalls={message.toolCalls} />}
+
                       {/* Response content */}
                       <div className="relative">
                       <div className={`relative ${collapsedMessages.has(message.id) ? 'max-h-[120px] overflow-hidden' : ''}`}>
@@ -577,6 +600,13 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
                     </>
                   )}
                 </Card>
+                {/* Waiting to retry after a rate limit or server error */}
+                {isGenerating && retryStatus && (
+                  <div className="flex items-center gap-2 mt-3 text-amber-600 dark:text-amber-500">
+                    <RefreshCwIcon className="h-4 w-4 animate-spin" />
+                    <span className="text-sm font-semibold" title={retryStatus.error?.message}>{formatRetryStatus(retryStatus)}</span>
+                  </div>
+                )}
                 {/* Generating indicator - show when generating content (either no reasoning or reasoning complete) */}
                 {isGenerating && (message.reasoning === '' ? cleanContent.length > 0 : message.isReasoningComplete) && (
                   <div className="flex items-center gap-2 mt-3">
@@ -596,8 +626,74 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
                         {message.provider && <span className="opacity-75">{message.provider}/</span>}
                         {modelName}
                       </span>
+                      {/* Answered by a fallback because the requested model failed */}
+                      {message.fallbackFrom && (
+                        <span
+                          className="text-amber-600 dark:text-amber-500"
+                          title={`${message.fallbackFrom.provider}/${message.fallbackFrom.model} failed: ${message.fallbackFrom.error}`}
+                        >
+                          (fallback)
+                        </span>
+                      )}
+                    </>
+                  )}
+                  {message.role === 'assistant' && message.usage && (
+                    <>
+                      <span className="opacity-50">•</span>
+                      <span
+                        className="opacity-75"
+                        title={`${message.usage.inputTokens} input / ${message.usage.outputTokens} output tokens${message.usage.reasoningTokens ? ` (${message.usage.reasoningTokens} reasoning)` : ''}`}
+                      >
+                        {formatTokenCount(message.usage.inputTokens)} in / {formatTokenCount(message.usage.outputTokens)} out
+                        {typeof message.usage.cost === 'number' && ` · ${formatCost(message.usage.cost)}`}
+                      </span>
                     </>
                   )}
+                  {/* Context flags: pinned messages survive truncation, excluded ones are never sent */}
+                  {message.pinned && (
+                    <>
+                      <span className="opacity-50">•</span>
+                      <span className="flex items-center gap-1" title="Always sent to the model, even when older messages are left out">
+                        <PinIcon className="h-3 w-3" />
+                        Pinned
+                      </span>
+                    </>
+                  )}
+                  {isExcluded && (
+                    <>
+                      <span className="opacity-50">•</span>
+                      <span className="flex items-center gap-1" title="Not sent to the model">
+                        <EyeOffIcon className="h-3 w-3" />
+                        Excluded from context
+                      </span>
+                    </>
+                  )}
+                  {/* Switch between alternative versions of this message */}
+                  {branch && onSelectBranch && (
+                    <div className="flex items-center">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 w-6 p-0"
+                        disabled={isStreaming || branch.index === 0}
+                        onClick={() => onSelectBranch(branch.siblingIds[branch.index - 1])}
+                        title="Previous version"
+                      >
+                        <ChevronLeft className="h-4 w-4" />
+                      </Button>
+                      <span className="tabular-nums">{branch.index + 1}/{branch.siblingIds.length}</span>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 w-6 p-0"
+                        disabled={isStreaming || branch.index === branch.siblingIds.length - 1}
+                        onClick={() => onSelectBranch(branch.siblingIds[branch.index + 1])}
+                        title="Next version"
+                      >
+                        <ChevronRight className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  )}
                   {/* Full message copy button - always visible */}
                   <CopyButton
                     text={message.content}
@@ -605,7 +701,7 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
                     size="sm"
                     className="h-6 px-2 text-xs hover:bg-accent hover:text-accent-foreground"
                   />
-                  {message.role === 'assistant' && onRetry && index === messages.length - 1 && !isEditing && !isGenerating && (
+                  {message.role === 'assistant' && onRetry && !isEditing && !isStreaming && (
                     <Button
                       variant="outline"
                       size="sm"
@@ -616,7 +712,7 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
                       Retry
                     </Button>
                   )}
-                  {isLastUserMessage && onEditUserMessage && !isEditing && !isStreaming && (
+                  {message.role === 'user' && onEditUserMessage && !isEditing && !isStreaming && (
                     <Button
                       variant="outline"
                       size="sm"
@@ -627,6 +723,42 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
                       Edit
                     </Button>
                   )}
+                  {onToggleContextFlag && !isEditing && !isGenerating && (
+                    <>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="h-6 px-2 text-xs hover:bg-accent hover:text-accent-foreground"
+                        onClick={() => onToggleContextFlag(message.id, 'pinned', !message.pinned)}
+                        title={message.pinned ? 'Let this message be left out when the context is full' : 'Always include this message in the context'}
+                      >
+                        {message.pinned ? <PinOffIcon className="h-4 w-4 mr-1" /> : <PinIcon className="h-4 w-4 mr-1" />}
+                        {message.pinned ? 'Unpin' : 'Pin'}
+                      </Button>
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        className="h-6 px-2 text-xs hover:bg-accent hover:text-accent-foreground"
+                        onClick={() => onToggleContextFlag(message.id, 'excluded', !isExcluded)}
+                        title={isExcluded ? 'Send this message to the model again' : 'Keep this message but stop sending it to the model'}
+                      >
+                        {isExcluded ? <EyeIcon className="h-4 w-4 mr-1" /> : <EyeOffIcon className="h-4 w-4 mr-1" />}
+                        {isExcluded ? 'Include' : 'Exclude'}
+                      </Button>
+                    </>
+                  )}
+                  {onForkMessage && !isEditing && !isGenerating && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="h-6 px-2 text-xs hover:bg-accent hover:text-accent-foreground"
+                      onClick={() => onForkMessage(message)}
+                      title="Branch into new chat"
+                    >
+                      <GitBranchIcon className="h-4 w-4 mr-1" />
+                      Branch
+                    </Button>
+                  )}
                   {onDeleteMessage && !isEditing && !isGenerating && (
                     deletingMessageId === message.id ? (
                       <div className="flex items-center gap-1">
@@ -672,6 +804,15 @@ function MessageList({ messages, onRetry, onEditUserMessage, onDeleteMessage, is
             </div>
           )
         })}
+        {/* Conversation usage totals */}
+        {conversationUsage && !isStreaming && (
+          <div className="flex justify-center text-xs text-muted-foreground">
+            <span className="opacity-75">
+              Conversation total: {formatTokenCount(conversationUsage.totalTokens)} tokens
+              {typeof conversationUsage.cost === 'number' && ` · ${formatCost(conversationUsage.cost)}`}
+            </span>
+          </div>
+        )}
         <div ref={messagesEndRef} style={{ height: 1 }} />
       </div>
 
@@ -696,14 +837,33 @@ const arePropsEqual = (prevProps, nextProps) => {
   // If messages array length changed, re-render
   if (prevProps.messages.length !== nextProps.messages.length) return false
 
+  // Re-render when the set of alternative versions changes (retry, edit, branch switch)
+  if (prevProps.branches !== nextProps.branches) return false
+
+  // Re-render to count down a pending retry
+  if (prevProps.retryStatus !== nextProps.retryStatus) return false
+
+  // Re-render to scroll to a message opened from search
+  if (prevProps.focusRequest !== nextProps.focusRequest) return false
+
+  // Re-render when a message is pinned or excluded from context
+  if (prevProps.messages.some((m, i) => {
+    const next = nextProps.messages[i]
+    return m.pinned !== next.pinned || m.excluded !== next.excluded
+  })) return false
+
   // Check if last message content changed (for streaming updates)
   if (prevProps.messages.length > 0 && nextProps.messages.length > 0) {
     const prevLast = prevProps.messages[prevProps.messages.length - 1]
     const nextLast = nextProps.messages[nextProps.messages.length - 1]
 
+    if (prevLast.id !== nextLast.id) return false
     if (prevLast.content !== nextLast.content) return false
     if (prevLast.reasoning !== nextLast.reasoning) return false
     if (prevLast.isReasoningComplete !== nextLast.isReasoningComplete) return false
+    if (prevLast.toolCalls !== nextLast.toolCalls) return false
+    if (prevLast.usage !== nextLast.usage) return false
+    if (prevLast.model !== nextLast.model || prevLast.provider !== nextLast.provider) return false
   }
 
   // Props are equal, skip re-render
@@ -0,0 +1,124 @@
+import { useState, useEffect, useMemo } from 'react'
+import { MessageSquare as MessageSquareIcon, Bot as BotIcon, User as UserIcon, Brain as BrainIcon } from 'lucide-react'
+import { Dialog, DialogContent, DialogTitle } from '@/components/ui/dialog'
+import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from '@/components/ui/command'
+import { buildSearchIndex, searchConversations } from '@/services/searchIndex'
+
+const RECENT_CONVERSATIONS_LIMIT = 8
+
+const ResultIcon = ({ result }) => {
+  if (result.field === 'title') return <MessageSquareIcon className="h-4 w-4 flex-shrink-0" />
+  if (result.field === 'reasoning') return <BrainIcon className="h-4 w-4 flex-shrink-0" />
+  if (result.role === 'user') return <UserIcon className="h-4 w-4 flex-shrink-0" />
+  return <BotIcon className="h-4 w-4 flex-shrink-0" />
+}
+
+const Snippet = ({ segments }) => (
+  <span className="text-sm text-muted-foreground line-clamp-2 break-words">
+    {segments.map((segment, index) => segment.highlight ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-700/60 text-foreground rounded-sm">{segment.text}</mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    ))}
+  </span>
+)
+
+export function SearchPalette({ open, onOpenChange, recentConversations = [], onSelectResult }) {
+  const [query, setQuery] = useState('')
+  const [isIndexReady, setIsIndexReady] = useState(false)
+
+  // Build the index the first time the palette opens; later opens reuse it
+  useEffect(() => {
+    if (!open) return
+    setQuery('')
+    buildSearchIndex().then(() => setIsIndexReady(true))
+  }, [open])
+
+  const results = useMemo(() => {
+    if (!isIndexReady || !query.trim()) return []
+    return searchConversations(query)
+  }, [query, isIndexReady])
+
+  const titleResults = results.filter(r => r.field === 'title')
+  const messageResults = results.filter(r => r.field !== 'title')
+
+  const handleSelect = (result) => {
+    onOpenChange(false)
+    onSelectResult(result)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="overflow-hidden p-0 max-w-2xl">
+        <DialogTitle className="sr-only">Search conversations</DialogTitle>
+        {/* Results come from the search index, so cmdk's own filtering is turned off */}
+        <Command
+          shouldFilter={false}
+          className="[&_[cmdk-group-heading]]:px-2 [&_[cmdk-group-heading]]:font-medium [&_[cmdk-group-heading]]:text-muted-foreground [&_[cmdk-group]]:px-2 [&_[cmdk-input-wrapper]_svg]:h-5 [&_[cmdk-input-wrapper]_svg]:w-5 [&_[cmdk-input]]:h-12 [&_[cmdk-item]]:px-2 [&_[cmdk-item]]:py-3"
+        >
+          <CommandInput
+            value={query}
+            onValueChange={setQuery}
+            placeholder="Search messages and titles..."
+          />
+          <CommandList className="max-h-[420px]">
+            {query.trim() ? (
+              <CommandEmpty>{isIndexReady ? 'No matches found.' : 'Building search index...'}</CommandEmpty>
+            ) : (
+              <CommandGroup heading="Recent conversations">
+                {recentConversations.slice(0, RECENT_CONVERSATIONS_LIMIT).map(conv => (
+                  <CommandItem
+                    key={conv.id}
+                    value={`recent-${conv.id}`}
+                    onSelect={() => handleSelect({ conversationId: conv.id, messageId: null })}
+                  >
+                    <MessageSquareIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                    <span className="truncate">{conv.title}</span>
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+
+            {titleResults.length > 0 && (
+              <CommandGroup heading="Conversations">
+                {titleResults.map(result => (
+                  <CommandItem
+                    key={result.conversationId}
+                    value={`title-${result.conversationId}`}
+                    onSelect={() => handleSelect(result)}
+                    className="gap-2"
+                  >
+                    <ResultIcon result={result} />
+                    <Snippet segments={result.snippet} />
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+
+            {messageResults.length > 0 && (
+              <CommandGroup heading="Messages">
+                {messageResults.map(result => (
+                  <CommandItem
+                    key={`${result.conversationId}-${result.messageId}-${result.field}`}
+                    value={`${result.conversationId}-${result.messageId}-${result.field}`}
+                    onSelect={() => handleSelect(result)}
+                    className="items-start gap-2"
+                  >
+                    <ResultIcon result={result} />
+                    <div className="min-w-0 flex-1">
+                      <p className="text-xs font-medium truncate">
+                        {result.conversationTitle}
+                        {result.field === 'reasoning' && <span className="text-muted-foreground font-normal"> · reasoning</span>}
+                      </p>
+                      <Snippet segments={result.snippet} />
+                    </div>
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            )}
+          </CommandList>
+        </Command>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -9,13 +9,15 @@ import {
 } from '@/components/ui/dialog'
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { Button } from '@/components/ui/button'
-import { Key as KeyIcon, Settings as SettingsIcon, Plus as PlusIcon } from 'lucide-react'
+import { Key as KeyIcon, Settings as SettingsIcon, Plus as PlusIcon, BarChart3 as BarChartIcon } from 'lucide-react'
 import { AddProviderDialog } from './AddProviderDialog'
 import { PreferencesTab } from './settings/PreferencesTab'
 import { ApiKeysTab } from './settings/ApiKeysTab'
 import { CustomProvidersTab } from './settings/CustomProvidersTab'
+import { UsageTab } from './settings/UsageTab'
 import { PROVIDERS, getAllModels } from '@/config/providers'
 import { useProvider } from '@/contexts/ProviderContext'
+import { usePromptLibrary } from '@/contexts/PromptLibraryContext'
 import { useModelFetcher, ERROR_TYPES } from '@/hooks/useModelFetcher'
 import { useError } from '@/contexts/ErrorContext'
 import { testApiConnection, validateBeforeTest } from '@/services/apiTester'
@@ -34,9 +36,21 @@ function SettingsModal({ onClose }) {
     fetchedModels,
     customProviders,
     removeCustomProvider,
-    encryptionStatus
+    encryptionStatus,
+    monthlyBudgets,
+    setMonthlyBudget,
+    spendLedger,
+    utilityModel,
+    setUtilityModel,
+    autoTitles,
+    setAutoTitles,
+    maxRetries,
+    setMaxRetries,
+    fallbackChain,
+    setFallbackChain
   } = useProvider()
   const { fetchModels } = useModelFetcher()
+  const promptLibrary = usePromptLibrary()
   const { showSuccess, showError, showWarning } = useError()
 
   const [showAddProvider, setShowAddProvider] = useState(false)
@@ -218,7 +232,7 @@ function SettingsModal({ onClose }) {
         </DialogHeader>
 
         <Tabs defaultValue="preferences" className="w-full">
-          <TabsList className="grid w-full grid-cols-3">
+          <TabsList className="grid w-full grid-cols-4">
             <TabsTrigger value="preferences">
               <SettingsIcon className="mr-2 h-5 w-5" />
               Preferences
@@ -231,6 +245,10 @@ function SettingsModal({ onClose }) {
               <PlusIcon className="mr-2 h-5 w-5" />
               Custom Providers
             </TabsTrigger>
+            <TabsTrigger value="usage">
+              <BarChartIcon className="mr-2 h-5 w-5" />
+              Usage
+            </TabsTrigger>
           </TabsList>
 
           {/* Preferences Tab */}
@@ -244,6 +262,10 @@ function SettingsModal({ onClose }) {
               defaultModels={defaultModels}
               fetchStatus={fetchStatus}
               getModelsForProvider={getModelsForProvider}
+              promptLibrary={promptLibrary}
+              utilitySettings={{ utilityModel, setUtilityModel, autoTitles, setAutoTitles }}
+              retrySettings={{ maxRetries, setMaxRetries }}
+              fallbackSettings={{ fallbackChain, setFallbackChain }}
             />
           </TabsContent>
 
@@ -286,6 +308,17 @@ function SettingsModal({ onClose }) {
               onDeleteProvider={handleDeleteProvider}
             />
           </TabsContent>
+
+          {/* Usage Tab */}
+          <TabsContent value="usage" className="mt-4">
+            <UsageTab
+              allProviders={allProviders}
+              monthlyBudgets={monthlyBudgets}
+              setMonthlyBudget={setMonthlyBudget}
+              spendLedger={spendLedger}
+              getModelsForProvider={getModelsForProvider}
+            />
+          </TabsContent>
         </Tabs>
 
         <DialogFooter>
@@ -1,4 +1,4 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Button } from '@/components/ui/button'
 import { ScrollArea } from '@/components/ui/scroll-area'
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
@@ -6,32 +6,70 @@ import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, D
 import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu'
 import { Input } from '@/components/ui/input'
 import { Label } from '@/components/ui/label'
-import { Plus as PlusIcon, Settings as SettingsIcon, MessageSquare as MessageSquareIcon, Pencil as PencilIcon, Trash as TrashIcon, MoreVertical as MoreVerticalIcon } from 'lucide-react'
+import { Plus as PlusIcon, Settings as SettingsIcon, Pencil as PencilIcon, Trash as TrashIcon, MoreVertical as MoreVerticalIcon, Search as SearchIcon, Upload as UploadIcon, Trash2 as Trash2Icon, Folder as FolderIcon, FolderOpen as FolderOpenIcon, FolderPlus as FolderPlusIcon, ChevronRight, ChevronDown, X as XIcon } from 'lucide-react'
+import { toast } from 'sonner'
 import { useConversation } from '@/contexts/ConversationContext'
 import { useProvider } from '@/contexts/ProviderContext'
+import { useOrganizer } from '@/contexts/OrganizerContext'
 import { PROVIDERS } from '@/config/providers'
+import { SearchPalette } from './SearchPalette'
+import { ImportDialog } from './ImportDialog'
+import { ConversationItem } from './sidebar/ConversationItem'
+import { ManageTagsDialog } from './sidebar/ManageTagsDialog'
+import { TrashDialog } from './sidebar/TrashDialog'
+import { getConversationUsage, formatTokenCount, formatCost } from '@/utils/usageHelpers'
+import { exportConversation } from '@/utils/conversationExport'
+import { TRASH_RETENTION_DAYS } from '@/lib/electron'
+import { groupConversations } from '@/utils/conversationGroups'
+
+// Drag data type for conversation IDs being moved between folders
+const CONVERSATION_DRAG_TYPE = 'application/x-conversation-ids'
 
 function Sidebar({ isOpen, currentConversation, onSelectConversation, onOpenSettings }) {
-  const { conversations, currentConversationId, startNewConversation, selectConversation, updateConversationTitle, deleteConversation } = useConversation()
+  const { conversations, currentConversationId, startNewConversation, selectConversation, focusMessage, updateConversationTitle, updateConversationsMetadata, deleteConversation, loadConversation } = useConversation()
   const { setProvider, customProviders } = useProvider()
+  const { folders, tags, addFolder, renameFolder, deleteFolder } = useOrganizer()
 
 
   const [editingConv, setEditingConv] = useState(null)
   const [editTitle, setEditTitle] = useState('')
-  const [deletingConv, setDeletingConv] = useState(null)
+  const [deletingConvs, setDeletingConvs] = useState([])
+  const [searchOpen, setSearchOpen] = useState(false)
+  const [importOpen, setImportOpen] = useState(false)
+  const [manageTagsOpen, setManageTagsOpen] = useState(false)
+  const [trashOpen, setTrashOpen] = useState(false)
+  const [selectedIds, setSelectedIds] = useState(new Set()) // Conversations selected for bulk actions
+  const [collapsedFolderIds, setCollapsedFolderIds] = useState(new Set())
+  const [dropTargetKey, setDropTargetKey] = useState(null) // Folder ID or 'unfiled' under the dragged item
+  const [folderDialog, setFolderDialog] = useState(null) // { folder } to rename, or { moveIds } to create
+  const [folderName, setFolderName] = useState('')
+
+  // Keyboard shortcut: Cmd/Ctrl + K to open search
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+        e.preventDefault()
+        setSearchOpen(prev => !prev)
+      }
+    }
 
-  // Format timestamp for display
-  const formatTimestamp = (isoString) => {
-    const date = new Date(isoString)
-    const now = new Date()
-    const diff = now - date
-    const days = Math.floor(diff / (1000 * 60 * 60 * 24))
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
 
-    if (days === 0) return 'Today'
-    if (days === 1) return 'Yesterday'
-    if (days < 7) return `${days} days ago`
+  // Short usage summary for a conversation (e.g., "12.3k tokens · $0.0123"), or '' if none recorded
+  const formatUsageSummary = (conv) => {
+    // Unopened conversations are index summaries that carry precomputed usage
+    const usage = conv.messages ? getConversationUsage(conv.messages) : conv.usage
+    if (!usage) return ''
+    const cost = formatCost(usage.cost)
+    return `${formatTokenCount(usage.totalTokens)} tokens${cost ? ` · ${cost}` : ''}`
+  }
 
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  // The conversation a fork was created from, or null if it isn't a fork or the original is gone
+  const getForkSource = (conv) => {
+    if (!conv.forkedFrom) return null
+    return conversations.find(c => c.id === conv.forkedFrom.conversationId) || null
   }
 
   const handleNewConversation = async () => {
@@ -63,6 +101,13 @@ function Sidebar({ isOpen, currentConversation, onSelectConversation, onOpenSett
     }
   }
 
+  const handleSelectSearchResult = (result) => {
+    handleSelectConversation(result.conversationId)
+    if (result.messageId) {
+      focusMessage(result.conversationId, result.messageId)
+    }
+  }
+
   const handleEditClick = (conv) => {
     setEditingConv(conv)
     setEditTitle(conv.title)
@@ -81,27 +126,168 @@ function Sidebar({ isOpen, currentConversation, onSelectConversation, onOpenSett
     setEditTitle('')
   }
 
+  const handleExport = async (conv, format) => {
+    // The sidebar may only have the conversation's summary
+    const conversation = await loadConversation(conv.id)
+    if (!conversation) {
+      toast.error('Failed to load conversation for export')
+      return
+    }
+    await exportConversation(conversation, format)
+  }
+
   const handleDeleteClick = (conv) => {
-    setDeletingConv(conv)
+    setDeletingConvs([conv])
   }
 
   const handleConfirmDelete = async () => {
-    if (deletingConv) {
-      console.log('Sidebar: Initiating deletion for conversation:', deletingConv.id)
+    // The open conversation goes last, so the one it switches to isn't about to be deleted too
+    const ordered = [...deletingConvs].sort((a, b) => (a.id === currentConversationId) - (b.id === currentConversationId))
+    for (const conv of ordered) {
+      console.log('Sidebar: Initiating deletion for conversation:', conv.id)
       try {
-        await deleteConversation(deletingConv.id)
+        await deleteConversation(conv.id)
         console.log('Sidebar: Deletion completed successfully')
       } catch (error) {
         console.error('Sidebar: Deletion failed:', error)
       }
-      setDeletingConv(null)
     }
+    setDeletingConvs([])
+    setSelectedIds(new Set())
   }
 
   const handleCancelDelete = () => {
-    setDeletingConv(null)
+    setDeletingConvs([])
+  }
+
+  // Ctrl/Cmd-click toggles selection for bulk actions; a plain click opens the conversation
+  const handleItemClick = (e, conv) => {
+    if (e.metaKey || e.ctrlKey) {
+      setSelectedIds(prev => {
+        const next = new Set(prev)
+        if (next.has(conv.id)) {
+          next.delete(conv.id)
+        } else {
+          next.add(conv.id)
+        }
+        return next
+      })
+      return
+    }
+    setSelectedIds(new Set())
+    handleSelectConversation(conv.id)
+  }
+
+  // Pinning, folders and tags don't change updatedAt, so the list order stays put
+  const handleTogglePin = (conv) => {
+    updateConversationsMetadata([conv.id], { pinned: !conv.pinned })
+  }
+
+  const handleToggleTag = (conv, tagId) => {
+    const currentTags = conv.tags || []
+    const nextTags = currentTags.includes(tagId)
+      ? currentTags.filter(id => id !== tagId)
+      : [...currentTags, tagId]
+    updateConversationsMetadata([conv.id], { tags: nextTags })
+  }
+
+  const moveConversations = async (ids, folderId) => {
+    await updateConversationsMetadata(ids, { folderId })
+    setSelectedIds(new Set())
+  }
+
+  // Dragging a selected conversation moves the whole selection
+  const handleDragStart = (e, conv) => {
+    const ids = selectedIds.has(conv.id) ? [...selectedIds] : [conv.id]
+    e.dataTransfer.setData(CONVERSATION_DRAG_TYPE, JSON.stringify(ids))
+    e.dataTransfer.effectAllowed = 'move'
   }
 
+  // Handlers that make an element a drop target moving conversations into folderId (null for no folder)
+  const getDropTargetProps = (key, folderId) => ({
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes(CONVERSATION_DRAG_TYPE)) return
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'move'
+      setDropTargetKey(key)
+    },
+    onDragLeave: (e) => {
+      // Ignore leaving into a child element
+      if (e.currentTarget.contains(e.relatedTarget)) return
+      setDropTargetKey(prev => prev === key ? null : prev)
+    },
+    onDrop: (e) => {
+      e.preventDefault()
+      setDropTargetKey(null)
+      try {
+        const ids = JSON.parse(e.dataTransfer.getData(CONVERSATION_DRAG_TYPE))
+        moveConversations(ids, folderId)
+      } catch (error) {
+        console.error('Invalid conversation drop:', error)
+      }
+    }
+  })
+
+  const handleToggleFolder = (folderId) => {
+    setCollapsedFolderIds(prev => {
+      const next = new Set(prev)
+      if (next.has(folderId)) {
+        next.delete(folderId)
+      } else {
+        next.add(folderId)
+      }
+      return next
+    })
+  }
+
+  const openFolderDialog = (dialog) => {
+    setFolderDialog(dialog)
+    setFolderName(dialog.folder?.name || '')
+  }
+
+  const handleSaveFolder = () => {
+    if (!folderName.trim()) return
+    if (folderDialog.folder) {
+      renameFolder(folderDialog.folder.id, folderName)
+    } else {
+      const folder = addFolder(folderName)
+      if (folderDialog.moveIds?.length) {
+        moveConversations(folderDialog.moveIds, folder.id)
+      }
+    }
+    setFolderDialog(null)
+  }
+
+  const { pinned, byFolder, dateGroups } = groupConversations(conversations, folders)
+  const selectedConversations = conversations.filter(c => selectedIds.has(c.id))
+
+  const renderConversation = (conv) => (
+    <ConversationItem
+      key={conv.id}
+      conv={conv}
+      isActive={currentConversationId === conv.id}
+      isSelected={selectedIds.has(conv.id)}
+      tags={tags}
+      folders={folders}
+      forkSource={getForkSource(conv)}
+      usageSummary={formatUsageSummary(conv)}
+      onClick={(e) => handleItemClick(e, conv)}
+      onDragStart={(e) => handleDragStart(e, conv)}
+      onSelectForkSource={() => handleSelectConversation(conv.forkedFrom.conversationId)}
+      onRename={() => handleEditClick(conv)}
+      onExport={(format) => handleExport(conv, format)}
+      onDelete={() => handleDeleteClick(conv)}
+      onTogglePin={() => handleTogglePin(conv)}
+      onMove={(folderId) => moveConversations([conv.id], folderId)}
+      onToggleTag={(tagId) => handleToggleTag(conv, tagId)}
+      onNewFolder={() => openFolderDialog({ moveIds: [conv.id] })}
+      onManageTags={() => setManageTagsOpen(true)}
+    />
+  )
+
+  const sectionLabelClass = 'px-2 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-muted-foreground'
+  const dropHighlightClass = (key) => dropTargetKey === key ? 'bg-primary/10 ring-1 ring-primary/40 rounded-md' : ''
+
   return (
     <div
       className={`
@@ -112,10 +298,21 @@ function Sidebar({ isOpen, currentConversation, onSelectConversation, onOpenSett
       {/* New Conversation Button */}
       <div className={`${isOpen ? 'p-4' : 'p-2'}`}>
         {isOpen ? (
-          <Button className="w-full h-11" variant="outline" onClick={handleNewConversation}>
-            <PlusIcon className="mr-2 h-5 w-5" />
-            <span className="text-base font-medium">New Conversation</span>
-          </Button>
+          <div className="flex gap-2">
+            <Button className="flex-1 h-11" variant="outline" onClick={handleNewConversation}>
+              <PlusIcon className="mr-2 h-5 w-5" />
+              <span className="text-base font-medium">New Conversation</span>
+            </Button>
+            <Button
+              className="h-11 w-11 flex-shrink-0"
+              variant="outline"
+              size="icon"
+              onClick={() => setSearchOpen(true)}
+              title={`Search (${navigator.platform.includes('Mac') ? '⌘K' : 'Ctrl+K'})`}
+            >
+              <SearchIcon className="h-5 w-5" />
+            </Button>
+          </div>
         ) : (
           <TooltipProvider>
             <Tooltip delayDuration={200}>
@@ -129,90 +326,205 @@ function Sidebar({ isOpen, currentConversation, onSelectConversation, onOpenSett
                 <p className="font-medium">New Conversation</p>
               </TooltipContent>
             </Tooltip>
+            <Tooltip delayDuration={200}>
+              <TooltipTrigger asChild>
+                <Button className="w-full h-11 mt-2" variant="outline" size="icon" onClick={() => setSearchOpen(true)}>
+                  <SearchIcon className="h-5 w-5" />
+                  <span className="sr-only">Search</span>
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent side="right">
+                <p className="font-medium">Search ({navigator.platform.includes('Mac') ? '⌘K' : 'Ctrl+K'})</p>
+              </TooltipContent>
+            </Tooltip>
           </TooltipProvider>
         )}
       </div>
 
+      {/* Bulk actions for selected conversations */}
+      {isOpen && selectedIds.size > 0 && (
+        <div className="mx-3 mb-2 flex items-center gap-1 rounded-md border bg-background px-2 py-1.5">
+          <span className="text-sm font-medium flex-1">{selectedIds.size} selected</span>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" size="sm" className="h-8 px-2">
+                <FolderIcon className="h-4 w-4 mr-1" />
+                Move
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end" className="w-44">
+              {folders.map(folder => (
+                <DropdownMenuItem key={folder.id} onClick={() => moveConversations([...selectedIds], folder.id)}>
+                  <span className="text-sm truncate">{folder.name}</span>
+                </DropdownMenuItem>
+              ))}
+              <DropdownMenuItem onClick={() => moveConversations([...selectedIds], null)}>
+                <span className="text-sm">No folder</span>
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={() => openFolderDialog({ moveIds: [...selectedIds] })}>
+                <FolderPlusIcon className="h-4 w-4 mr-3" />
+                <span className="text-sm">New folder...</span>
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <Button variant="ghost" size="sm" className="h-8 px-2 text-destructive hover:text-destructive" onClick={() => setDeletingConvs(selectedConversations)}>
+            <TrashIcon className="h-4 w-4 mr-1" />
+            Delete
+          </Button>
+          <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => setSelectedIds(new Set())} title="Clear selection">
+            <XIcon className="h-4 w-4" />
+          </Button>
+        </div>
+      )}
+
       {/* Conversations List */}
       <ScrollArea className={`flex-1 ${isOpen ? 'px-3' : 'px-2'}`}>
-        <div className="space-y-2 py-2">
-          {isOpen && conversations.map((conv) => (
-            // Full conversation item with hover actions (expanded state)
-            <div key={conv.id} className="group w-full">
-                <div
-                  onClick={() => handleSelectConversation(conv.id)}
-                  className={`
-                    flex items-center gap-3 w-full rounded-md py-4 pl-4 pr-2
-                    cursor-pointer transition-colors
-                    ${currentConversationId === conv.id
-                      ? 'bg-secondary text-secondary-foreground'
-                      : 'hover:bg-accent hover:text-accent-foreground'}
-                  `}
-                >
-                  {/* Title section - left side */}
-                  <MessageSquareIcon className="h-5 w-5 flex-shrink-0" />
-                  <div className="flex-1 min-w-0">
-                    <p className="text-base font-medium leading-snug">
-                      {conv.title.length > 16 ? conv.title.substring(0, 16) + '...' : conv.title}
-                    </p>
-                    <p className="text-sm text-muted-foreground mt-1">{formatTimestamp(conv.updatedAt)}</p>
-                  </div>
+        {isOpen && (
+          <div className="py-2">
+            {pinned.length > 0 && (
+              <div {...getDropTargetProps('pinned', null)} className={dropHighlightClass('pinned')}>
+                <p className={sectionLabelClass}>Pinned</p>
+                <div className="space-y-2">{pinned.map(renderConversation)}</div>
+              </div>
+            )}
 
-                  {/* Menu button - right side, visible on hover */}
-                  <div className="opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0">
-                    <DropdownMenu>
-                      <DropdownMenuTrigger asChild>
-                        <Button
-                          variant="ghost"
-                          size="icon"
-                          className="h-9 w-9"
-                          onClick={(e) => e.stopPropagation()}
-                        >
-                          <MoreVerticalIcon className="h-5 w-5" />
-                        </Button>
-                      </DropdownMenuTrigger>
-                      <DropdownMenuContent align="end" className="w-44">
-                        <DropdownMenuItem
-                          onClick={(e) => {
-                            e.stopPropagation()
-                            handleEditClick(conv)
-                          }}
-                        >
-                          <PencilIcon className="h-4 w-4 mr-3" />
-                          <span className="text-sm">Rename</span>
-                        </DropdownMenuItem>
-                        <DropdownMenuItem
-                          onClick={(e) => {
-                            e.stopPropagation()
-                            handleDeleteClick(conv)
-                          }}
-                          className="text-destructive focus:text-destructive"
-                        >
-                          <TrashIcon className="h-4 w-4 mr-3" />
-                          <span className="text-sm">Delete</span>
-                        </DropdownMenuItem>
-                      </DropdownMenuContent>
-                    </DropdownMenu>
+            {/* Folders */}
+            <div className="flex items-center justify-between">
+              <p className={sectionLabelClass}>Folders</p>
+              <Button variant="ghost" size="icon" className="h-7 w-7 mt-2" onClick={() => openFolderDialog({})} title="New folder">
+                <FolderPlusIcon className="h-4 w-4" />
+              </Button>
+            </div>
+            {folders.map(folder => {
+              const folderConversations = byFolder.get(folder.id) || []
+              const isCollapsed = collapsedFolderIds.has(folder.id)
+
+              return (
+                <div key={folder.id} {...getDropTargetProps(folder.id, folder.id)} className={dropHighlightClass(folder.id)}>
+                  <div
+                    className="group/folder flex items-center gap-2 rounded-md px-2 py-2 cursor-pointer hover:bg-accent hover:text-accent-foreground"
+                    onClick={() => handleToggleFolder(folder.id)}
+                  >
+                    {isCollapsed ? <ChevronRight className="h-4 w-4 flex-shrink-0" /> : <ChevronDown className="h-4 w-4 flex-shrink-0" />}
+                    {isCollapsed ? <FolderIcon className="h-4 w-4 flex-shrink-0" /> : <FolderOpenIcon className="h-4 w-4 flex-shrink-0" />}
+                    <span className="text-sm font-medium truncate flex-1">{folder.name}</span>
+                    <span className="text-xs text-muted-foreground">{folderConversations.length}</span>
+                    <div className="opacity-0 group-hover/folder:opacity-100 transition-opacity">
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <Button variant="ghost" size="icon" className="h-7 w-7" onClick={(e) => e.stopPropagation()}>
+                            <MoreVerticalIcon className="h-4 w-4" />
+                          </Button>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent align="end" className="w-44">
+                          <DropdownMenuItem
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              openFolderDialog({ folder })
+                            }}
+                          >
+                            <PencilIcon className="h-4 w-4 mr-3" />
+                            <span className="text-sm">Rename</span>
+                          </DropdownMenuItem>
+                          <DropdownMenuItem
+                            onClick={(e) => {
+                              e.stopPropagation()
+                              // Its conversations aren't deleted; they show up unfiled again
+                              deleteFolder(folder.id)
+                            }}
+                            className="text-destructive focus:text-destructive"
+                          >
+                            <TrashIcon className="h-4 w-4 mr-3" />
+                            <span className="text-sm">Delete folder</span>
+                          </DropdownMenuItem>
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                    </div>
                   </div>
+                  {!isCollapsed && folderConversations.length > 0 && (
+                    <div className="space-y-2 pl-4 pb-1">{folderConversations.map(renderConversation)}</div>
+                  )}
                 </div>
+              )
+            })}
+            {folders.length === 0 && (
+              <p className="px-2 pb-1 text-xs text-muted-foreground">Drag conversations into a folder to organize them.</p>
+            )}
+
+            {/* Unfiled conversations by date */}
+            {dateGroups.map(group => (
+              <div key={group.label} {...getDropTargetProps(`date-${group.label}`, null)} className={dropHighlightClass(`date-${group.label}`)}>
+                <p className={sectionLabelClass}>{group.label}</p>
+                <div className="space-y-2">{group.conversations.map(renderConversation)}</div>
               </div>
-          ))}
-        </div>
+            ))}
+          </div>
+        )}
       </ScrollArea>
 
       {/* Settings Button */}
       <div className={`border-t ${isOpen ? 'p-4' : 'p-2'}`}>
         {isOpen ? (
-          <Button
-            variant="ghost"
-            className="w-full justify-start h-11"
-            onClick={onOpenSettings}
-          >
-            <SettingsIcon className="mr-2 h-5 w-5" />
-            <span className="text-base">Settings</span>
-          </Button>
+          <>
+            <Button
+              variant="ghost"
+              className="w-full justify-start h-11"
+              onClick={() => setImportOpen(true)}
+            >
+              <UploadIcon className="mr-2 h-5 w-5" />
+              <span className="text-base">Import Chats</span>
+            </Button>
+            <Button
+              variant="ghost"
+              className="w-full justify-start h-11"
+              onClick={() => setTrashOpen(true)}
+            >
+              <Trash2Icon className="mr-2 h-5 w-5" />
+              <span className="text-base">Trash</span>
+            </Button>
+            <Button
+              variant="ghost"
+              className="w-full justify-start h-11"
+              onClick={onOpenSettings}
+            >
+              <SettingsIcon className="mr-2 h-5 w-5" />
+              <span className="text-base">Settings</span>
+            </Button>
+          </>
         ) : (
           <TooltipProvider>
+            <Tooltip delayDuration={200}>
+              <TooltipTrigger asChild>
+                <Button
+                  variant="ghost"
+                  className="w-full h-11"
+                  size="icon"
+                  onClick={() => setImportOpen(true)}
+                >
+                  <UploadIcon className="h-5 w-5" />
+                  <span className="sr-only">Import Chats</span>
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent side="right">
+                <p className="font-medium">Import Chats</p>
+              </TooltipContent>
+            </Tooltip>
+            <Tooltip delayDuration={200}>
+              <TooltipTrigger asChild>
+                <Button
+                  variant="ghost"
+                  className="w-full h-11"
+                  size="icon"
+                  onClick={() => setTrashOpen(true)}
+                >
+                  <Trash2Icon className="h-5 w-5" />
+                  <span className="sr-only">Trash</span>
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent side="right">
+                <p className="font-medium">Trash</p>
+              </TooltipContent>
+            </Tooltip>
             <Tooltip delayDuration={200}>
               <TooltipTrigger asChild>
                 <Button
@@ -233,6 +545,59 @@ function Sidebar({ isOpen, currentConversation, onSelectConversation, onOpenSett
         )}
       </div>
 
+      {/* Search Palette */}
+      <SearchPalette
+        open={searchOpen}
+        onOpenChange={setSearchOpen}
+        recentConversations={conversations}
+        onSelectResult={handleSelectSearchResult}
+      />
+
+      {/* Trash Dialog */}
+      <TrashDialog open={trashOpen} onOpenChange={setTrashOpen} />
+
+      {/* Manage Tags Dialog */}
+      <ManageTagsDialog open={manageTagsOpen} onOpenChange={setManageTagsOpen} />
+
+      {/* Folder Name Dialog */}
+      <Dialog open={!!folderDialog} onOpenChange={(open) => !open && setFolderDialog(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{folderDialog?.folder ? 'Rename Folder' : 'New Folder'}</DialogTitle>
+            <DialogDescription>
+              {folderDialog?.moveIds?.length
+                ? `The ${folderDialog.moveIds.length === 1 ? 'conversation' : `${folderDialog.moveIds.length} conversations`} will be moved into the new folder.`
+                : 'Folders group related conversations in the sidebar.'}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2 py-4">
+            <Label htmlFor="folder-name">Name</Label>
+            <Input
+              id="folder-name"
+              value={folderName}
+              onChange={(e) => setFolderName(e.target.value)}
+              placeholder="Enter folder name..."
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  handleSaveFolder()
+                }
+              }}
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setFolderDialog(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveFolder} disabled={!folderName.trim()}>
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Import Dialog */}
+      <ImportDialog open={importOpen} onOpenChange={setImportOpen} />
+
       {/* Edit Title Dialog */}
       <Dialog open={!!editingConv} onOpenChange={handleCancelEdit}>
         <DialogContent>
@@ -268,12 +633,14 @@ function Sidebar({ isOpen, currentConversation, onSelectConversation, onOpenSett
       </Dialog>
 
       {/* Delete Confirmation Dialog */}
-      <Dialog open={!!deletingConv} onOpenChange={handleCancelDelete}>
+      <Dialog open={deletingConvs.length > 0} onOpenChange={handleCancelDelete}>
         <DialogContent>
           <DialogHeader>
-            <DialogTitle>Delete Conversation</DialogTitle>
+            <DialogTitle>{deletingConvs.length > 1 ? `Delete ${deletingConvs.length} Conversations` : 'Delete Conversation'}</DialogTitle>
             <DialogDescription>
-              Are you sure you want to delete "{deletingConv?.title}"? This action cannot be undone.
+              {deletingConvs.length > 1
+                ? `Move these ${deletingConvs.length} conversations to the trash? You can restore them for ${TRASH_RETENTION_DAYS} days.`
+                : `Move "${deletingConvs[0]?.title}" to the trash? You can restore it for ${TRASH_RETENTION_DAYS} days.`}
             </DialogDescription>
           </DialogHeader>
           <DialogFooter>
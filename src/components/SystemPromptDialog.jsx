@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react'
+import { ScrollText as ScrollTextIcon, BookOpen as BookOpenIcon, Save as SaveIcon } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu'
+import { usePromptLibrary } from '@/contexts/PromptLibraryContext'
+
+export function SystemPromptDialog({ systemPrompt, onSave, disabled = false }) {
+  const { prompts, addPrompt } = usePromptLibrary()
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState('')
+  const [libraryName, setLibraryName] = useState('')
+  const [isNaming, setIsNaming] = useState(false)
+
+  // Start from the conversation's saved prompt each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDraft(systemPrompt || '')
+      setLibraryName('')
+      setIsNaming(false)
+    }
+  }, [open])
+
+  const handleSave = () => {
+    onSave(draft.trim())
+    setOpen(false)
+  }
+
+  const handleSaveToLibrary = () => {
+    if (!draft.trim()) return
+    addPrompt(libraryName, draft.trim())
+    setLibraryName('')
+    setIsNaming(false)
+  }
+
+  const hasPrompt = Boolean(systemPrompt && systemPrompt.trim())
+
+  return (
+    <>
+      <Button
+        variant="ghost"
+        size="icon"
+        className="h-10 w-10 relative"
+        onClick={() => setOpen(true)}
+        disabled={disabled}
+        title="System prompt"
+      >
+        <ScrollTextIcon className="h-5 w-5" />
+        {hasPrompt && (
+          <span className="absolute top-1.5 right-1.5 h-2 w-2 rounded-full bg-primary" />
+        )}
+      </Button>
+
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>System Prompt</DialogTitle>
+            <DialogDescription>
+              Instructions sent to the model before every message in this conversation.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <Label htmlFor="system-prompt" className="text-sm font-medium">Prompt</Label>
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="outline" size="sm" className="h-8" disabled={prompts.length === 0}>
+                    <BookOpenIcon className="h-4 w-4 mr-2" />
+                    Load from library
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end" className="w-64 max-h-72 overflow-y-auto">
+                  {prompts.map(prompt => (
+                    <DropdownMenuItem key={prompt.id} onClick={() => setDraft(prompt.content)}>
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium truncate">{prompt.name}</p>
+                        <p className="text-xs text-muted-foreground truncate">{prompt.content}</p>
+                      </div>
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </div>
+            <Textarea
+              id="system-prompt"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder="You are a helpful assistant..."
+              className="min-h-[200px] max-h-[400px]"
+              autoFocus
+            />
+
+            {isNaming ? (
+              <div className="flex items-center gap-2">
+                <Input
+                  value={libraryName}
+                  onChange={(e) => setLibraryName(e.target.value)}
+                  placeholder="Prompt name"
+                  className="h-8"
+                  autoFocus
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleSaveToLibrary()
+                    if (e.key === 'Escape') {
+                      e.stopPropagation()
+                      setIsNaming(false)
+                    }
+                  }}
+                />
+                <Button size="sm" className="h-8" onClick={handleSaveToLibrary}>Add</Button>
+                <Button variant="ghost" size="sm" className="h-8" onClick={() => setIsNaming(false)}>Cancel</Button>
+              </div>
+            ) : (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-8 px-2"
+                onClick={() => setIsNaming(true)}
+                disabled={!draft.trim()}
+              >
+                <SaveIcon className="h-4 w-4 mr-2" />
+                Save to library
+              </Button>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave}>
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  )
+}
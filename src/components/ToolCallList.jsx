@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Wrench as WrenchIcon, LoaderCircle, AlertCircle as AlertCircleIcon, Check as CheckIcon, ChevronDown, ChevronUp } from 'lucide-react'
+
+// Pretty-print JSON arguments/results when possible, otherwise show raw text
+const formatPayload = (payload) => {
+  if (payload === null || payload === undefined || payload === '') return ''
+  try {
+    return JSON.stringify(JSON.parse(payload), null, 2)
+  } catch {
+    return String(payload)
+  }
+}
+
+export function ToolCallList({ toolCalls }) {
+  const [expandedCalls, setExpandedCalls] = useState(new Set())
+
+  if (!toolCalls || toolCalls.length === 0) return null
+
+  const handleToggle = (callId) => {
+    setExpandedCalls(prev => {
+      const next = new Set(prev)
+      if (next.has(callId)) {
+        next.delete(callId)
+      } else {
+        next.add(callId)
+      }
+      return next
+    })
+  }
+
+  return (
+    <div className="pb-3 mb-3 border-b border-border space-y-1">
+      {toolCalls.map((call) => {
+        const isExpanded = expandedCalls.has(call.id)
+        const args = formatPayload(call.arguments)
+        const result = formatPayload(call.result)
+
+        return (
+          <div key={call.id}>
+            <Button
+              variant="ghost"
+              className="w-full justify-between hover:bg-muted py-2 px-4"
+              onClick={() => handleToggle(call.id)}
+            >
+              <div className="flex items-center gap-2 min-w-0">
+                {call.status === 'running' ? (
+                  <LoaderCircle className="h-4 w-4 animate-spin flex-shrink-0" />
+                ) : call.status === 'error' ? (
+                  <AlertCircleIcon className="h-4 w-4 text-red-600 flex-shrink-0" />
+                ) : (
+                  <CheckIcon className="h-4 w-4 text-green-600 flex-shrink-0" />
+                )}
+                <WrenchIcon className="h-4 w-4 opacity-60 flex-shrink-0" />
+                <span className="text-sm font-semibold opacity-80 font-mono truncate">{call.name}</span>
+                <span className="text-xs opacity-60">
+                  {call.status === 'running' ? 'Running...' : call.status === 'error' ? 'Failed' : 'Done'}
+                </span>
+              </div>
+              {isExpanded ? (
+                <ChevronUp className="h-4 w-4" />
+              ) : (
+                <ChevronDown className="h-4 w-4" />
+              )}
+            </Button>
+
+            {isExpanded && (
+              <div className="mx-4 mt-1 mb-2 space-y-2 text-xs font-mono">
+                <div>
+                  <p className="text-muted-foreground mb-1 font-sans font-medium">Arguments</p>
+                  <pre className="bg-muted rounded p-2 whitespace-pre-wrap break-words">{args || '{}'}</pre>
+                </div>
+                {call.status !== 'running' && (
+                  <div>
+                    <p className="text-muted-foreground mb-1 font-sans font-medium">Result</p>
+                    <pre className={`bg-muted rounded p-2 whitespace-pre-wrap break-words max-h-[300px] overflow-auto ${call.status === 'error' ? 'text-red-600' : ''}`}>
+                      {result}
+                    </pre>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,26 @@
+import { Label } from '@/components/ui/label'
+import { FallbackChainList } from '../FallbackChainList'
+import { getFallbackModels } from '@/config/providers'
+
+export function FallbackChainSection({ fallbackChain, setFallbackChain, allProviders, getModelsForProvider }) {
+  const getModels = (providerId) => {
+    const fetched = getModelsForProvider(providerId)
+    return fetched.length > 0 ? fetched : getFallbackModels(providerId)
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-sm font-medium">Fallback Models</Label>
+      <p className="text-xs text-muted-foreground">
+        Tried in order when a request fails before the reply starts, for example because a gateway is down
+        or a key ran out of credit. Conversations can set their own list from the chat header.
+      </p>
+      <FallbackChainList
+        chain={fallbackChain}
+        onChange={setFallbackChain}
+        providers={allProviders}
+        getModels={getModels}
+      />
+    </div>
+  )
+}
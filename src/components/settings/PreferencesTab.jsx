@@ -3,6 +3,10 @@ import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert'
 import { ScrollArea } from '@/components/ui/scroll-area'
 import { Info as InfoIcon } from 'lucide-react'
 import { SearchableSelect } from '../SearchableSelect'
+import { PromptLibrarySection } from './PromptLibrarySection'
+import { UtilityModelSection } from './UtilityModelSection'
+import { RequestRetrySection } from './RequestRetrySection'
+import { FallbackChainSection } from './FallbackChainSection'
 import { ERROR_TYPES } from '@/hooks/useModelFetcher'
 
 export function PreferencesTab({
@@ -13,7 +17,11 @@ export function PreferencesTab({
   allProviders,
   defaultModels,
   fetchStatus,
-  getModelsForProvider
+  getModelsForProvider,
+  promptLibrary,
+  utilitySettings,
+  retrySettings,
+  fallbackSettings
 }) {
   const handleProviderChange = (value) => {
     setProvider(value)
@@ -78,11 +86,27 @@ export function PreferencesTab({
           />
         </div>
 
+        <PromptLibrarySection {...promptLibrary} />
+
+        <UtilityModelSection
+          {...utilitySettings}
+          allProviders={allProviders}
+          getModelsForProvider={getModelsForProvider}
+        />
+
+        <RequestRetrySection {...retrySettings} />
+
+        <FallbackChainSection
+          {...fallbackSettings}
+          allProviders={allProviders}
+          getModelsForProvider={getModelsForProvider}
+        />
+
         <Alert>
           <InfoIcon className="h-5 w-5" />
           <AlertTitle>About Defaults</AlertTitle>
           <AlertDescription className="text-sm">
-            These settings will be used when you start a new conversation. You can always override them using the provider and model selectors at the top of any chat.
+            These settings will be used when you start a new conversation. You can always override them using the provider and model selectors at the top of any chat, and edit each conversation's system prompt from the chat header.
           </AlertDescription>
         </Alert>
       </div>
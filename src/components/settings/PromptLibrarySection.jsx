@@ -0,0 +1,140 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Textarea } from '@/components/ui/textarea'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { Plus as PlusIcon, Trash as TrashIcon, Edit as EditIcon } from 'lucide-react'
+import { SearchableSelect } from '../SearchableSelect'
+
+const NO_DEFAULT_ID = '__none__'
+
+export function PromptLibrarySection({
+  prompts,
+  defaultPromptId,
+  setDefaultPromptId,
+  addPrompt,
+  updatePrompt,
+  deletePrompt
+}) {
+  // null = closed, { id: null } = new prompt, { id } = editing an existing prompt
+  const [editingPrompt, setEditingPrompt] = useState(null)
+  const [name, setName] = useState('')
+  const [content, setContent] = useState('')
+
+  const defaultOptions = [
+    { id: NO_DEFAULT_ID, name: 'None', description: 'New conversations start without a system prompt' },
+    ...prompts.map(p => ({ id: p.id, name: p.name, description: p.content }))
+  ]
+
+  const handleOpenEditor = (prompt = null) => {
+    setEditingPrompt({ id: prompt?.id || null })
+    setName(prompt?.name || '')
+    setContent(prompt?.content || '')
+  }
+
+  const handleSavePrompt = () => {
+    if (!content.trim()) return
+    if (editingPrompt.id) {
+      updatePrompt(editingPrompt.id, { name, content: content.trim() })
+    } else {
+      addPrompt(name, content.trim())
+    }
+    setEditingPrompt(null)
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label htmlFor="default-system-prompt" className="text-sm font-medium">
+          Default System Prompt
+        </Label>
+        <SearchableSelect
+          value={defaultPromptId || NO_DEFAULT_ID}
+          onValueChange={(value) => setDefaultPromptId(value === NO_DEFAULT_ID ? null : value)}
+          options={defaultOptions}
+          placeholder="Select default prompt..."
+          searchPlaceholder="Search prompts..."
+          showDescription={true}
+          className="w-full justify-start"
+        />
+      </div>
+
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <Label className="text-sm font-medium">Prompt Library</Label>
+          <Button variant="outline" size="sm" onClick={() => handleOpenEditor()}>
+            <PlusIcon className="h-4 w-4 mr-2" />
+            New Prompt
+          </Button>
+        </div>
+
+        {prompts.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No saved prompts yet. Save prompts here or from a conversation's system prompt editor.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {prompts.map(prompt => (
+              <div key={prompt.id} className="border rounded-lg p-3 flex items-start justify-between gap-3 bg-muted/50">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium truncate">{prompt.name}</p>
+                  <p className="text-xs text-muted-foreground line-clamp-2">{prompt.content}</p>
+                </div>
+                <div className="flex gap-1 flex-shrink-0">
+                  <Button variant="ghost" size="icon" className="h-8 w-8" onClick={() => handleOpenEditor(prompt)} title="Edit prompt">
+                    <EditIcon className="h-4 w-4" />
+                  </Button>
+                  <Button variant="ghost" size="icon" className="h-8 w-8 text-destructive" onClick={() => deletePrompt(prompt.id)} title="Delete prompt">
+                    <TrashIcon className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Prompt Editor Dialog */}
+      <Dialog open={!!editingPrompt} onOpenChange={(open) => !open && setEditingPrompt(null)}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>{editingPrompt?.id ? 'Edit Prompt' : 'New Prompt'}</DialogTitle>
+            <DialogDescription>
+              Saved prompts can be loaded into any conversation or used as the default.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-3">
+            <div className="space-y-2">
+              <Label htmlFor="prompt-name">Name</Label>
+              <Input
+                id="prompt-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g., Code reviewer"
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="prompt-content">Prompt</Label>
+              <Textarea
+                id="prompt-content"
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                placeholder="You are a helpful assistant..."
+                className="min-h-[200px] max-h-[400px]"
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditingPrompt(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSavePrompt} disabled={!content.trim()}>
+              Save
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
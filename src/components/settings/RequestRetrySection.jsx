@@ -0,0 +1,32 @@
+import { Label } from '@/components/ui/label'
+import { Input } from '@/components/ui/input'
+import { STREAMING_CONSTANTS } from '@/constants/streaming'
+
+const { MAX_RETRIES_LIMIT } = STREAMING_CONSTANTS.RETRY
+
+export function RequestRetrySection({ maxRetries, setMaxRetries }) {
+  const handleChange = (e) => {
+    const value = parseInt(e.target.value, 10)
+    if (Number.isNaN(value)) return
+    setMaxRetries(Math.min(MAX_RETRIES_LIMIT, Math.max(0, value)))
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label htmlFor="max-retries" className="text-sm font-medium">Automatic Retries</Label>
+      <p className="text-xs text-muted-foreground">
+        When a provider is rate limited or has a server error before the reply starts, wait and try again
+        (using the provider's retry-after when it sends one). Set to 0 to show the error right away.
+      </p>
+      <Input
+        id="max-retries"
+        type="number"
+        min={0}
+        max={MAX_RETRIES_LIMIT}
+        value={maxRetries}
+        onChange={handleChange}
+        className="w-24"
+      />
+    </div>
+  )
+}
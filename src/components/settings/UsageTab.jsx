@@ -0,0 +1,191 @@
+import { useState, useEffect } from 'react'
+import { Input } from '@/components/ui/input'
+import { Label } from '@/components/ui/label'
+import { Progress } from '@/components/ui/progress'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Skeleton } from '@/components/ui/skeleton'
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert'
+import { Info as InfoIcon } from 'lucide-react'
+import { conversations as conversationStorage } from '@/lib/electron'
+import { aggregateUsage, getMonthStart, formatTokenCount, formatCost, canTrackCost, getLedgerSpend } from '@/utils/usageHelpers'
+
+// Stats line shared by every table row
+const UsageStats = ({ bucket }) => (
+  <span className="text-sm text-muted-foreground tabular-nums">
+    {formatTokenCount(bucket.inputTokens + bucket.outputTokens)} tokens · {formatCost(bucket.cost) || '$0'}
+  </span>
+)
+
+export function UsageTab({ allProviders, monthlyBudgets, setMonthlyBudget, spendLedger, getModelsForProvider }) {
+  const [usage, setUsage] = useState(null)
+  const [budgetDrafts, setBudgetDrafts] = useState({})
+
+  // Read every saved conversation from storage so totals include ones not open in the sidebar
+  useEffect(() => {
+    const loadUsage = async () => {
+      try {
+        const result = await conversationStorage.list()
+        const allConversations = result.success ? result.conversations : []
+        setUsage(aggregateUsage(allConversations, { since: getMonthStart() }))
+      } catch (error) {
+        console.error('Failed to load usage data:', error)
+        setUsage(aggregateUsage([]))
+      }
+    }
+    loadUsage()
+  }, [])
+
+  const getProviderName = (providerId) => {
+    return allProviders.find(p => p.id === providerId)?.name || providerId
+  }
+
+  const handleBudgetCommit = (providerId) => {
+    if (!(providerId in budgetDrafts)) return
+    const limit = parseFloat(budgetDrafts[providerId])
+    setMonthlyBudget(providerId, limit > 0 ? { limit, block: monthlyBudgets[providerId]?.block || false } : null)
+    setBudgetDrafts(prev => {
+      const next = { ...prev }
+      delete next[providerId]
+      return next
+    })
+  }
+
+  const handleToggleBlock = (providerId, block) => {
+    const budget = monthlyBudgets[providerId]
+    if (budget) setMonthlyBudget(providerId, { ...budget, block })
+  }
+
+  if (!usage) {
+    return (
+      <div className="space-y-3">
+        <Skeleton className="h-16 w-full" />
+        <Skeleton className="h-32 w-full" />
+      </div>
+    )
+  }
+
+  const monthName = new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+  const modelRows = Object.values(usage.byModel).sort((a, b) => b.cost - a.cost || b.outputTokens - a.outputTokens)
+  const dayRows = Object.entries(usage.byDay).sort(([a], [b]) => b.localeCompare(a))
+
+  return (
+    <ScrollArea className="h-[400px] pr-4">
+      <div className="space-y-6">
+        <div>
+          <h3 className="text-lg font-semibold mb-1">Usage for {monthName}</h3>
+          <p className="text-sm text-muted-foreground">
+            {formatCost(usage.total.cost) || '$0'} across {usage.total.responses} responses
+            ({formatTokenCount(usage.total.inputTokens)} input / {formatTokenCount(usage.total.outputTokens)} output tokens)
+          </p>
+        </div>
+
+        {/* By provider, with monthly budgets */}
+        <div className="space-y-3">
+          <h4 className="text-sm font-semibold">By Provider</h4>
+          {allProviders.map(p => {
+            const bucket = usage.byProvider[p.id]
+            const budget = monthlyBudgets[p.id]
+            // Spend from deleted conversations stays in the ledger
+            const spent = Math.max(bucket?.cost || 0, getLedgerSpend(spendLedger, p.id))
+            const percent = budget ? Math.min(100, (spent / budget.limit) * 100) : 0
+            const tracksCost = canTrackCost(p.id, getModelsForProvider(p.id)) || spent > 0
+
+            return (
+              <div key={p.id} className="border rounded-lg p-3 space-y-2 bg-muted/50">
+                <div className="flex items-center justify-between gap-3">
+                  <span className="text-sm font-medium">{p.name}</span>
+                  {bucket ? <UsageStats bucket={bucket} /> : <span className="text-sm text-muted-foreground">No usage</span>}
+                </div>
+                {!tracksCost ? (
+                  <p className="text-xs text-muted-foreground">
+                    This provider doesn't report prices, so its spend can't be measured and a budget can't be enforced.
+                  </p>
+                ) : (
+                  <div className="flex items-center gap-3">
+                    <Label htmlFor={`budget-${p.id}`} className="text-xs text-muted-foreground whitespace-nowrap">
+                      Monthly budget ($)
+                    </Label>
+                    <Input
+                      id={`budget-${p.id}`}
+                      type="number"
+                      min={0}
+                      step={1}
+                      placeholder="None"
+                      value={budgetDrafts[p.id] ?? budget?.limit ?? ''}
+                      onChange={(e) => setBudgetDrafts(prev => ({ ...prev, [p.id]: e.target.value }))}
+                      onBlur={() => handleBudgetCommit(p.id)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') handleBudgetCommit(p.id)
+                      }}
+                      className="h-8 w-28"
+                    />
+                    <label className="flex items-center gap-2 text-xs text-muted-foreground">
+                      <input
+                        type="checkbox"
+                        checked={budget?.block || false}
+                        disabled={!budget}
+                        onChange={(e) => handleToggleBlock(p.id, e.target.checked)}
+                      />
+                      Block sending when exceeded
+                    </label>
+                  </div>
+                )}
+                {budget && tracksCost && (
+                  <div className="space-y-1">
+                    <Progress value={percent} className={spent >= budget.limit ? 'bg-red-200 [&>div]:bg-red-600' : ''} />
+                    <p className="text-xs text-muted-foreground">
+                      {formatCost(spent) || '$0'} of {formatCost(budget.limit)} used
+                    </p>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        {/* By model */}
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold">By Model</h4>
+          {modelRows.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No usage recorded this month.</p>
+          ) : (
+            modelRows.map(row => (
+              <div key={`${row.provider}/${row.model}`} className="flex items-center justify-between gap-3">
+                <span className="text-sm truncate">
+                  <span className="text-muted-foreground">{getProviderName(row.provider)} / </span>
+                  {row.model}
+                </span>
+                <UsageStats bucket={row} />
+              </div>
+            ))
+          )}
+        </div>
+
+        {/* By day */}
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold">By Day</h4>
+          {dayRows.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No usage recorded this month.</p>
+          ) : (
+            dayRows.map(([day, bucket]) => (
+              <div key={day} className="flex items-center justify-between gap-3">
+                <span className="text-sm">
+                  {new Date(`${day}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                </span>
+                <UsageStats bucket={bucket} />
+              </div>
+            ))
+          )}
+        </div>
+
+        <Alert>
+          <InfoIcon className="h-5 w-5" />
+          <AlertTitle>About Costs</AlertTitle>
+          <AlertDescription className="text-sm">
+            Costs come from provider-reported charges or cached model pricing. Responses from models without known pricing count towards tokens but not towards budgets.
+          </AlertDescription>
+        </Alert>
+      </div>
+    </ScrollArea>
+  )
+}
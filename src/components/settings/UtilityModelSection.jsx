@@ -0,0 +1,75 @@
+import { Label } from '@/components/ui/label'
+import { SearchableSelect } from '../SearchableSelect'
+import { getFallbackModels } from '@/config/providers'
+
+const SAME_AS_CHAT_ID = '__chat__'
+
+export function UtilityModelSection({
+  utilityModel,
+  setUtilityModel,
+  autoTitles,
+  setAutoTitles,
+  allProviders,
+  getModelsForProvider
+}) {
+  const utilityProvider = utilityModel?.provider || SAME_AS_CHAT_ID
+
+  const providerOptions = [
+    { id: SAME_AS_CHAT_ID, name: 'Same as chat', description: 'Use the model of the conversation' },
+    ...allProviders
+  ]
+
+  const getModels = (providerId) => {
+    const fetched = getModelsForProvider(providerId)
+    return fetched.length > 0 ? fetched : getFallbackModels(providerId)
+  }
+  const modelOptions = utilityModel?.provider ? getModels(utilityModel.provider) : []
+
+  const handleProviderChange = (value) => {
+    if (value === SAME_AS_CHAT_ID) {
+      setUtilityModel(null)
+      return
+    }
+    setUtilityModel({ provider: value, model: getModels(value)[0]?.id || '' })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <Label className="text-sm font-medium">Utility Model</Label>
+        <p className="text-xs text-muted-foreground">
+          A cheap, fast model for background tasks such as naming conversations.
+        </p>
+        <SearchableSelect
+          value={utilityProvider}
+          onValueChange={handleProviderChange}
+          options={providerOptions}
+          placeholder="Select provider..."
+          searchPlaceholder="Search providers..."
+          showDescription={true}
+          className="w-full justify-start"
+        />
+        {utilityModel?.provider && (
+          <SearchableSelect
+            value={utilityModel.model}
+            onValueChange={(value) => setUtilityModel({ ...utilityModel, model: value })}
+            options={modelOptions}
+            placeholder={modelOptions.length > 0 ? 'Select utility model...' : 'No models available'}
+            searchPlaceholder="Search models..."
+            showDescription={true}
+            className="w-full justify-start"
+          />
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={autoTitles}
+          onChange={(e) => setAutoTitles(e.target.checked)}
+        />
+        Generate conversation titles after the first reply
+      </label>
+    </div>
+  )
+}
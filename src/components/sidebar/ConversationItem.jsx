@@ -0,0 +1,196 @@
+import { Button } from '@/components/ui/button'
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger, DropdownMenuSub, DropdownMenuSubTrigger, DropdownMenuSubContent, DropdownMenuCheckboxItem, DropdownMenuSeparator } from '@/components/ui/dropdown-menu'
+import { MessageSquare as MessageSquareIcon, Pencil as PencilIcon, Trash as TrashIcon, MoreVertical as MoreVerticalIcon, GitBranch as GitBranchIcon, Download as DownloadIcon, Pin as PinIcon, PinOff as PinOffIcon, Folder as FolderIcon, FolderPlus as FolderPlusIcon, Tag as TagIcon } from 'lucide-react'
+import { TAG_COLORS } from '@/contexts/OrganizerContext'
+import { EXPORT_FORMATS } from '@/utils/conversationExport'
+import { formatTimestamp } from '@/utils/conversationGroups'
+
+// Full conversation item with hover actions (expanded sidebar)
+export function ConversationItem({
+  conv,
+  isActive,
+  isSelected,
+  tags,
+  folders,
+  forkSource,
+  usageSummary,
+  onClick,
+  onDragStart,
+  onSelectForkSource,
+  onRename,
+  onExport,
+  onDelete,
+  onTogglePin,
+  onMove,
+  onToggleTag,
+  onNewFolder,
+  onManageTags
+}) {
+  const conversationTags = tags.filter(t => conv.tags?.includes(t.id))
+
+  // Menu items live inside the clickable row, so keep their clicks from selecting it
+  const handleMenuClick = (action) => (e) => {
+    e.stopPropagation()
+    action()
+  }
+
+  return (
+    <div className="group w-full">
+      <div
+        draggable
+        onDragStart={onDragStart}
+        onClick={onClick}
+        className={`
+          flex items-center gap-3 w-full rounded-md py-4 pl-4 pr-2
+          cursor-pointer transition-colors
+          ${isSelected
+            ? 'bg-primary/10 ring-1 ring-primary/40'
+            : isActive
+              ? 'bg-secondary text-secondary-foreground'
+              : 'hover:bg-accent hover:text-accent-foreground'}
+        `}
+      >
+        {/* Title section - left side */}
+        <MessageSquareIcon className="h-5 w-5 flex-shrink-0" />
+        <div className="flex-1 min-w-0">
+          <p className="flex items-center gap-1.5 text-base font-medium leading-snug">
+            {conv.pinned && <PinIcon className="h-3.5 w-3.5 flex-shrink-0 text-muted-foreground" />}
+            <span className="truncate">{conv.title.length > 16 ? conv.title.substring(0, 16) + '...' : conv.title}</span>
+          </p>
+          <div className="flex items-center gap-2 mt-1">
+            <p className="text-sm text-muted-foreground">{formatTimestamp(conv.updatedAt)}</p>
+            {conversationTags.length > 0 && (
+              <div className="flex items-center gap-1 min-w-0">
+                {conversationTags.map(tag => (
+                  <span
+                    key={tag.id}
+                    className={`h-2 w-2 rounded-full flex-shrink-0 ${TAG_COLORS[tag.color] || TAG_COLORS.blue}`}
+                    title={tag.name}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+          {conv.forkedFrom && (
+            <button
+              type="button"
+              className="flex items-center gap-1 text-xs text-muted-foreground mt-0.5 max-w-full hover:underline disabled:no-underline"
+              disabled={!forkSource}
+              onClick={(e) => {
+                e.stopPropagation()
+                onSelectForkSource()
+              }}
+              title={forkSource ? 'Go to original conversation' : undefined}
+            >
+              <GitBranchIcon className="h-3 w-3 flex-shrink-0" />
+              <span className="truncate">
+                {forkSource ? `Branched from ${forkSource.title}` : 'Branched from a deleted conversation'}
+              </span>
+            </button>
+          )}
+          {usageSummary && (
+            <p className="text-xs text-muted-foreground mt-0.5 truncate">{usageSummary}</p>
+          )}
+        </div>
+
+        {/* Menu button - right side, visible on hover */}
+        <div className="opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0">
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button
+                variant="ghost"
+                size="icon"
+                className="h-9 w-9"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <MoreVerticalIcon className="h-5 w-5" />
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end" className="w-44">
+              <DropdownMenuItem onClick={handleMenuClick(onTogglePin)}>
+                {conv.pinned ? <PinOffIcon className="h-4 w-4 mr-3" /> : <PinIcon className="h-4 w-4 mr-3" />}
+                <span className="text-sm">{conv.pinned ? 'Unpin' : 'Pin'}</span>
+              </DropdownMenuItem>
+              <DropdownMenuItem onClick={handleMenuClick(onRename)}>
+                <PencilIcon className="h-4 w-4 mr-3" />
+                <span className="text-sm">Rename</span>
+              </DropdownMenuItem>
+              <DropdownMenuSub>
+                <DropdownMenuSubTrigger onClick={(e) => e.stopPropagation()}>
+                  <FolderIcon className="h-4 w-4 mr-3" />
+                  <span className="text-sm">Move to</span>
+                </DropdownMenuSubTrigger>
+                <DropdownMenuSubContent>
+                  {folders.map(folder => (
+                    <DropdownMenuCheckboxItem
+                      key={folder.id}
+                      checked={conv.folderId === folder.id}
+                      onClick={handleMenuClick(() => onMove(folder.id))}
+                    >
+                      <span className="text-sm truncate">{folder.name}</span>
+                    </DropdownMenuCheckboxItem>
+                  ))}
+                  <DropdownMenuCheckboxItem
+                    checked={!folders.some(f => f.id === conv.folderId)}
+                    onClick={handleMenuClick(() => onMove(null))}
+                  >
+                    <span className="text-sm">No folder</span>
+                  </DropdownMenuCheckboxItem>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuItem onClick={handleMenuClick(onNewFolder)}>
+                    <FolderPlusIcon className="h-4 w-4 mr-3" />
+                    <span className="text-sm">New folder...</span>
+                  </DropdownMenuItem>
+                </DropdownMenuSubContent>
+              </DropdownMenuSub>
+              <DropdownMenuSub>
+                <DropdownMenuSubTrigger onClick={(e) => e.stopPropagation()}>
+                  <TagIcon className="h-4 w-4 mr-3" />
+                  <span className="text-sm">Tags</span>
+                </DropdownMenuSubTrigger>
+                <DropdownMenuSubContent>
+                  {tags.map(tag => (
+                    <DropdownMenuCheckboxItem
+                      key={tag.id}
+                      checked={Boolean(conv.tags?.includes(tag.id))}
+                      // Keep the menu open so several tags can be toggled
+                      onSelect={(e) => e.preventDefault()}
+                      onClick={handleMenuClick(() => onToggleTag(tag.id))}
+                    >
+                      <span className={`h-2 w-2 rounded-full mr-2 flex-shrink-0 ${TAG_COLORS[tag.color] || TAG_COLORS.blue}`} />
+                      <span className="text-sm truncate">{tag.name}</span>
+                    </DropdownMenuCheckboxItem>
+                  ))}
+                  {tags.length > 0 && <DropdownMenuSeparator />}
+                  <DropdownMenuItem onClick={handleMenuClick(onManageTags)}>
+                    <span className="text-sm">Manage tags...</span>
+                  </DropdownMenuItem>
+                </DropdownMenuSubContent>
+              </DropdownMenuSub>
+              <DropdownMenuSub>
+                <DropdownMenuSubTrigger onClick={(e) => e.stopPropagation()}>
+                  <DownloadIcon className="h-4 w-4 mr-3" />
+                  <span className="text-sm">Export</span>
+                </DropdownMenuSubTrigger>
+                <DropdownMenuSubContent>
+                  {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                    <DropdownMenuItem key={format} onClick={handleMenuClick(() => onExport(format))}>
+                      <span className="text-sm">{label}</span>
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuSubContent>
+              </DropdownMenuSub>
+              <DropdownMenuItem
+                onClick={handleMenuClick(onDelete)}
+                className="text-destructive focus:text-destructive"
+              >
+                <TrashIcon className="h-4 w-4 mr-3" />
+                <span className="text-sm">Delete</span>
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      </div>
+    </div>
+  )
+}
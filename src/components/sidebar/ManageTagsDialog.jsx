@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { Plus as PlusIcon, Trash2 as Trash2Icon } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { useOrganizer, TAG_COLORS } from '@/contexts/OrganizerContext'
+
+const ColorPicker = ({ value, onChange }) => (
+  <div className="flex items-center gap-1 flex-shrink-0">
+    {Object.entries(TAG_COLORS).map(([color, className]) => (
+      <button
+        key={color}
+        type="button"
+        className={`h-4 w-4 rounded-full ${className} ${value === color ? 'ring-2 ring-offset-1 ring-offset-background ring-foreground' : 'opacity-60 hover:opacity-100'}`}
+        onClick={() => onChange(color)}
+        title={color}
+      />
+    ))}
+  </div>
+)
+
+export function ManageTagsDialog({ open, onOpenChange }) {
+  const { tags, addTag, updateTag, deleteTag } = useOrganizer()
+  const [newTagName, setNewTagName] = useState('')
+  const [newTagColor, setNewTagColor] = useState('blue')
+
+  const handleAddTag = () => {
+    if (!newTagName.trim()) return
+    addTag(newTagName, newTagColor)
+    setNewTagName('')
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Manage Tags</DialogTitle>
+          <DialogDescription>
+            Color tags appear next to conversation titles. Add them from a conversation's menu.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2">
+          {tags.length === 0 && (
+            <p className="text-sm text-muted-foreground">No tags yet.</p>
+          )}
+          {tags.map(tag => (
+            <div key={tag.id} className="flex items-center gap-2">
+              <Input
+                defaultValue={tag.name}
+                className="h-9 flex-1"
+                onBlur={(e) => updateTag(tag.id, { name: e.target.value })}
+                onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+              />
+              <ColorPicker value={tag.color} onChange={(color) => updateTag(tag.id, { color })} />
+              <Button variant="ghost" size="icon" className="h-8 w-8 flex-shrink-0" onClick={() => deleteTag(tag.id)} title="Delete tag">
+                <Trash2Icon className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 border-t pt-4">
+          <Input
+            value={newTagName}
+            onChange={(e) => setNewTagName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddTag()}
+            placeholder="New tag name..."
+            className="h-9 flex-1"
+          />
+          <ColorPicker value={newTagColor} onChange={setNewTagColor} />
+          <Button size="icon" className="h-8 w-8 flex-shrink-0" onClick={handleAddTag} disabled={!newTagName.trim()} title="Add tag">
+            <PlusIcon className="h-4 w-4" />
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react'
+import { MessageSquare as MessageSquareIcon, RotateCcw as RotateCcwIcon, Trash2 as Trash2Icon } from 'lucide-react'
+import { toast } from 'sonner'
+import { Button } from '@/components/ui/button'
+import { ScrollArea } from '@/components/ui/scroll-area'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog'
+import { useConversation } from '@/contexts/ConversationContext'
+import { TRASH_RETENTION_DAYS } from '@/lib/electron'
+import { getDaysAgo, formatTimestamp } from '@/utils/conversationGroups'
+
+// "today", "3 days ago", "Mar 4"
+const formatDeletedAt = (isoString) => {
+  const timestamp = formatTimestamp(isoString)
+  return getDaysAgo(isoString) < 2 ? timestamp.toLowerCase() : timestamp
+}
+
+export function TrashDialog({ open, onOpenChange }) {
+  const { listTrash, restoreConversation, deleteFromTrash } = useConversation()
+  const [trashed, setTrashed] = useState(null) // null while loading
+  const [confirmingEmpty, setConfirmingEmpty] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+
+  // Reload each time the dialog opens (listing also purges expired conversations)
+  useEffect(() => {
+    if (!open) return
+    setTrashed(null)
+    setConfirmingEmpty(false)
+    listTrash().then(setTrashed)
+  }, [open])
+
+  const handleRestore = async (conv) => {
+    setBusyId(conv.id)
+    const restored = await restoreConversation(conv.id)
+    setBusyId(null)
+    if (restored) {
+      setTrashed(prev => prev.filter(c => c.id !== conv.id))
+      toast.success(`Restored "${conv.title}"`)
+    } else {
+      toast.error('Failed to restore conversation')
+    }
+  }
+
+  const handleDeleteForever = async (conv) => {
+    setBusyId(conv.id)
+    const deleted = await deleteFromTrash(conv.id)
+    setBusyId(null)
+    if (deleted) {
+      setTrashed(prev => prev.filter(c => c.id !== conv.id))
+    } else {
+      toast.error('Failed to delete conversation')
+    }
+  }
+
+  const handleEmptyTrash = async () => {
+    if (!confirmingEmpty) {
+      setConfirmingEmpty(true)
+      return
+    }
+    const emptied = await deleteFromTrash()
+    setConfirmingEmpty(false)
+    if (emptied) {
+      setTrashed([])
+    } else {
+      toast.error('Failed to empty trash')
+      listTrash().then(setTrashed)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Trash</DialogTitle>
+          <DialogDescription>
+            Deleted conversations are kept for {TRASH_RETENTION_DAYS} days before they're removed for good.
+          </DialogDescription>
+        </DialogHeader>
+
+        <ScrollArea className="h-80 border rounded-md">
+          <div className="p-2 space-y-1">
+            {trashed === null && (
+              <p className="px-2 py-6 text-center text-sm text-muted-foreground">Loading...</p>
+            )}
+            {trashed?.length === 0 && (
+              <p className="px-2 py-6 text-center text-sm text-muted-foreground">Trash is empty.</p>
+            )}
+            {trashed?.map(conv => {
+              const daysLeft = Math.max(TRASH_RETENTION_DAYS - getDaysAgo(conv.deletedAt), 0)
+
+              return (
+                <div key={conv.id} className="flex items-center gap-3 rounded-md px-2 py-1.5 hover:bg-muted">
+                  <MessageSquareIcon className="h-4 w-4 flex-shrink-0 text-muted-foreground" />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium truncate">{conv.title}</p>
+                    <p className="text-xs text-muted-foreground">
+                      Deleted {formatDeletedAt(conv.deletedAt)} · {daysLeft === 0 ? 'removed today' : `${daysLeft} day${daysLeft === 1 ? '' : 's'} left`}
+                    </p>
+                  </div>
+                  <Button variant="ghost" size="sm" className="h-8" onClick={() => handleRestore(conv)} disabled={busyId === conv.id}>
+                    <RotateCcwIcon className="h-4 w-4 mr-1" />
+                    Restore
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    className="h-8 w-8 text-destructive hover:text-destructive"
+                    onClick={() => handleDeleteForever(conv)}
+                    disabled={busyId === conv.id}
+                    title="Delete forever"
+                  >
+                    <Trash2Icon className="h-4 w-4" />
+                  </Button>
+                </div>
+              )
+            })}
+          </div>
+        </ScrollArea>
+
+        <DialogFooter>
+          {confirmingEmpty && (
+            <Button variant="outline" onClick={() => setConfirmingEmpty(false)}>
+              Cancel
+            </Button>
+          )}
+          <Button variant="destructive" onClick={handleEmptyTrash} disabled={!trashed?.length}>
+            {confirmingEmpty ? `Delete ${trashed.length} forever` : 'Empty Trash'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
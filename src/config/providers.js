@@ -85,19 +85,22 @@ export const PROVIDERS = [
         id: 'gemini-2.5-pro',
         name: 'Gemini 2.5 Pro',
         contextWindow: '1M',
-        description: 'State-of-the-art reasoning for complex code and STEM tasks'
+        description: 'State-of-the-art reasoning for complex code and STEM tasks',
+        supportsReasoning: true
       },
       {
         id: 'gemini-2.5-flash',
         name: 'Gemini 2.5 Flash',
         contextWindow: '1M',
-        description: 'Best price-performance for large-scale, low-latency workloads'
+        description: 'Best price-performance for large-scale, low-latency workloads',
+        supportsReasoning: true
       },
       {
         id: 'gemini-2.5-flash-lite',
         name: 'Gemini 2.5 Flash Lite',
         contextWindow: '1M',
-        description: 'Fastest model optimized for cost-efficiency and high throughput'
+        description: 'Fastest model optimized for cost-efficiency and high throughput',
+        supportsReasoning: true
       },
       {
         id: 'gemini-2.0-flash',
@@ -125,19 +128,22 @@ export const PROVIDERS = [
         id: 'claude-sonnet-4-5-20250929',
         name: 'Claude Sonnet 4.5',
         contextWindow: '200k',
-        description: 'Latest and most capable Claude model with extended thinking'
+        description: 'Latest and most capable Claude model with extended thinking',
+        supportsReasoning: true
       },
       {
         id: 'claude-opus-4-20250514',
         name: 'Claude Opus 4',
         contextWindow: '200k',
-        description: 'Powerful model for complex reasoning and analysis'
+        description: 'Powerful model for complex reasoning and analysis',
+        supportsReasoning: true
       },
       {
         id: 'claude-3-7-sonnet-20250219',
         name: 'Claude 3.7 Sonnet',
         contextWindow: '200k',
-        description: 'Enhanced version with improved performance'
+        description: 'Enhanced version with improved performance',
+        supportsReasoning: true
       },
       {
         id: 'claude-3-5-sonnet-20241022',
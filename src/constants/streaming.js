@@ -16,7 +16,26 @@ export const STREAMING_CONSTANTS = {
   SAVE_DEBOUNCE_MS: 2000,
 
   // Abort controller cleanup delay in milliseconds
-  ABORT_CLEANUP_DELAY_MS: 100
+  ABORT_CLEANUP_DELAY_MS: 100,
+
+  // Maximum model/tool round trips per response before forcing a text answer
+  MAX_TOOL_ROUNDS: 5,
+
+  // Thinking token budgets for providers that take a budget instead of an effort level
+  THINKING_BUDGET_TOKENS: {
+    low: 4096,
+    medium: 10000,
+    high: 16000
+  },
+
+  // Automatic retries of rate-limited or failed requests (only before any content arrives)
+  RETRY: {
+    DEFAULT_MAX_RETRIES: 3,
+    MAX_RETRIES_LIMIT: 10,
+    BASE_DELAY_MS: 1000, // Doubles with each attempt
+    MAX_DELAY_MS: 30000,
+    MAX_RETRY_AFTER_MS: 120000 // Longer server-requested waits are reported instead of retried
+  }
 }
 
 /**
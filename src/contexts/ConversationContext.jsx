@@ -1,7 +1,11 @@
 import { createContext, useContext, useState, useEffect, useRef, useMemo } from 'react'
-import { conversations as conversationStorage, isElectron } from '@/lib/electron'
+import { conversations as conversationStorage, blobs as blobStorage, isElectron } from '@/lib/electron'
 import { v4 as uuidv4 } from 'uuid'
 import { STREAMING_CONSTANTS } from '@/constants/streaming'
+import { usePromptLibrary } from '@/contexts/PromptLibraryContext'
+import { withParentIds, getActiveLeafId, getActivePath, getLatestLeafId, getBranchInfo, removeMessage, restoreMessage } from '@/utils/messageTree'
+import { isConversationLoaded, summarizeConversation } from '@/utils/conversationSummary'
+import { withoutUsage } from '@/utils/usageHelpers'
 
 const ConversationContext = createContext(null)
 
@@ -9,6 +13,7 @@ export function ConversationProvider({ children }) {
   const [conversations, setConversations] = useState([])
   const [currentConversationId, setCurrentConversationId] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
+  const [focusRequest, setFocusRequest] = useState(null) // { conversationId, messageId } MessageList should scroll to
   const [streamingConversationIds, setStreamingConversationIds] = useState(new Set())
   const saveOperationsRef = useRef(new Map()) // Map of conversationId -> { timeout, cancelled } for debounced saves
   const initializedRef = useRef(false) // Prevent duplicate initialization in React Strict Mode
@@ -17,6 +22,8 @@ export function ConversationProvider({ children }) {
   const stateUpdateQueueRef = useRef(Promise.resolve()) // Queue to serialize state updates and prevent race conditions
   const uiUpdateThrottleRef = useRef(new Map()) // Map of conversationId -> { timeout, pendingData } for throttling UI updates
   const conversationsRef = useRef(conversations) // Ref to always have latest conversations state
+  const loadPromisesRef = useRef(new Map()) // Map of conversationId -> Promise for conversations being loaded from storage
+  const { getDefaultPrompt } = usePromptLibrary()
 
   // Keep conversationsRef in sync with conversations state
   useEffect(() => {
@@ -24,11 +31,20 @@ export function ConversationProvider({ children }) {
   }, [conversations])
 
   // Derive messages from conversations - single source of truth
+  // Only the active branch is exposed; alternate branches stay in conversation.messages
+  const activeConversation = conversations.find(c => c.id === currentConversationId)
+  const allCurrentMessages = activeConversation?.messages
+  const activeLeafId = activeConversation?.activeLeafId
+  const isCurrentConversationLoaded = isConversationLoaded(activeConversation)
+
   const messages = useMemo(() => {
-    if (!currentConversationId) return []
-    const current = conversations.find(c => c.id === currentConversationId)
-    return current?.messages || []
-  }, [conversations, currentConversationId])
+    return getActivePath(allCurrentMessages || [], activeLeafId)
+  }, [allCurrentMessages, activeLeafId])
+
+  // Sibling info for messages on the active path that have alternative versions
+  const messageBranches = useMemo(() => {
+    return getBranchInfo(allCurrentMessages || [], messages)
+  }, [allCurrentMessages, messages])
 
   // Queued setConversations to serialize updates and prevent race conditions
   const queuedSetConversations = (updater) => {
@@ -139,7 +155,8 @@ export function ConversationProvider({ children }) {
   }
 
   // Create a new conversation (defined before useEffect to avoid hoisting issues)
-  const createNewConversation = async () => {
+  // Overrides replace the defaults, e.g. to start a fork with copied messages
+  const createNewConversation = async (overrides = {}) => {
     const newConversation = {
       id: uuidv4(),
       title: 'New Conversation',
@@ -147,7 +164,9 @@ export function ConversationProvider({ children }) {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       model: null, // Will be set when first message is sent
-      provider: null
+      provider: null,
+      systemPrompt: getDefaultPrompt()?.content || '', // Starts from the library's default prompt
+      ...overrides
     }
 
     try {
@@ -164,6 +183,47 @@ export function ConversationProvider({ children }) {
     return newConversation
   }
 
+  // Load a conversation's messages, replacing its index summary in state
+  // Returns the full conversation, or null if it can't be read
+  const loadConversation = (conversationId) => {
+    const existing = conversationsRef.current.find(c => c.id === conversationId)
+    if (isConversationLoaded(existing)) return Promise.resolve(existing)
+
+    // Share one read between callers that ask while it's in flight
+    if (loadPromisesRef.current.has(conversationId)) {
+      return loadPromisesRef.current.get(conversationId)
+    }
+
+    const promise = (async () => {
+      try {
+        const result = await conversationStorage.get(conversationId)
+        if (!result.success) {
+          console.error('Failed to load conversation:', conversationId, result.error)
+          return null
+        }
+
+        let loaded = result.conversation
+        await queuedSetConversations(prev => {
+          const current = prev.find(c => c.id === conversationId)
+          if (!current) return prev
+          // Something else may have loaded it while the file was being read
+          if (isConversationLoaded(current)) {
+            loaded = current
+            return prev
+          }
+          return prev.map(c => c.id === conversationId ? loaded : c)
+        })
+        conversationsRef.current = conversationsRef.current.map(c => c.id === conversationId ? loaded : c)
+        return loaded
+      } finally {
+        loadPromisesRef.current.delete(conversationId)
+      }
+    })()
+
+    loadPromisesRef.current.set(conversationId, promise)
+    return promise
+  }
+
   // Load all conversations on mount
   useEffect(() => {
     // Prevent double initialization in React Strict Mode
@@ -172,7 +232,8 @@ export function ConversationProvider({ children }) {
 
     const loadConversations = async () => {
       try {
-        const result = await conversationStorage.list()
+        // Only summaries are read here; messages load when a conversation is opened
+        const result = await conversationStorage.listSummaries()
         if (result.success && result.conversations.length > 0) {
           // Sort by last updated time (most recent first)
           const sorted = result.conversations.sort((a, b) =>
@@ -201,7 +262,15 @@ export function ConversationProvider({ children }) {
     loadConversations()
   }, [])
 
+  // Open conversations need their messages
+  useEffect(() => {
+    if (currentConversationId && activeConversation && !isCurrentConversationLoaded) {
+      loadConversation(currentConversationId)
+    }
+  }, [currentConversationId, activeConversation, isCurrentConversationLoaded])
+
   // Generate conversation title from first message
+  // Placeholder title from the first message, replaced once the utility model names the conversation
   const generateTitle = (firstMessage) => {
     if (!firstMessage || !firstMessage.content) return 'New Conversation'
 
@@ -217,10 +286,17 @@ export function ConversationProvider({ children }) {
   }
 
   // Add a message to the current conversation (or specified conversation)
+  // The message follows the active leaf unless message.parentId is given (null for a first turn)
   const addMessage = async (message, conversationId = null) => {
     // Use provided conversationId or fall back to current
     const targetConversationId = conversationId || currentConversationId
 
+    // Without its history the conversation would be saved with only the new message
+    if (!await loadConversation(targetConversationId)) {
+      console.error('Cannot add message to a conversation that failed to load:', targetConversationId)
+      return null
+    }
+
     const newMessage = {
       id: uuidv4(),
       role: message.role,
@@ -230,7 +306,11 @@ export function ConversationProvider({ children }) {
       timestamp: new Date().toISOString(),
       model: message.model || null,
       provider: message.provider || null,
-      attachments: message.attachments || undefined
+      attachments: message.attachments || undefined,
+      toolCalls: message.toolCalls || undefined,
+      thinkingBlocks: message.thinkingBlocks || undefined,
+      usage: message.usage || undefined,
+      parentId: null
     }
 
     // Update conversation - messages will derive automatically
@@ -242,7 +322,13 @@ export function ConversationProvider({ children }) {
         return prev
       }
 
-      const updatedMessages = [...(updatedConversation.messages || []), newMessage]
+      const existingMessages = withParentIds(updatedConversation.messages || [])
+      newMessage.parentId = message.parentId !== undefined
+        ? message.parentId
+        : getActiveLeafId(existingMessages, updatedConversation.activeLeafId)
+
+      // New messages always go at the end, so streaming updates to the last message reach them
+      const updatedMessages = [...existingMessages, newMessage]
 
       // Generate title from first user message if still "New Conversation"
       let title = updatedConversation.title
@@ -253,6 +339,7 @@ export function ConversationProvider({ children }) {
       const updated = {
         ...updatedConversation,
         messages: updatedMessages,
+        activeLeafId: newMessage.id,
         title,
         updatedAt: new Date().toISOString(),
         model: message.model || updatedConversation.model,
@@ -346,7 +433,11 @@ export function ConversationProvider({ children }) {
           model: metadata.model || currentMessages[currentMessages.length - 1].model,
           provider: metadata.provider || currentMessages[currentMessages.length - 1].provider,
           reasoning: (metadata && 'reasoning' in metadata) ? metadata.reasoning : currentMessages[currentMessages.length - 1].reasoning,
-          isReasoningComplete: (metadata && 'isReasoningComplete' in metadata) ? metadata.isReasoningComplete : currentMessages[currentMessages.length - 1].isReasoningComplete
+          isReasoningComplete: (metadata && 'isReasoningComplete' in metadata) ? metadata.isReasoningComplete : currentMessages[currentMessages.length - 1].isReasoningComplete,
+          toolCalls: (metadata && 'toolCalls' in metadata) ? metadata.toolCalls : currentMessages[currentMessages.length - 1].toolCalls,
+          thinkingBlocks: (metadata && 'thinkingBlocks' in metadata) ? metadata.thinkingBlocks : currentMessages[currentMessages.length - 1].thinkingBlocks,
+          usage: (metadata && 'usage' in metadata) ? metadata.usage : currentMessages[currentMessages.length - 1].usage,
+          fallbackFrom: (metadata && 'fallbackFrom' in metadata) ? metadata.fallbackFrom : currentMessages[currentMessages.length - 1].fallbackFrom
         } : {})
       }
 
@@ -354,8 +445,9 @@ export function ConversationProvider({ children }) {
         ...updatedConversation,
         messages: currentMessages,
         // Update conversation model/provider when metadata is provided (for retry/regenerate)
-        ...(metadata && metadata.model ? { model: metadata.model } : {}),
-        ...(metadata && metadata.provider ? { provider: metadata.provider } : {}),
+        // A fallback answering doesn't change the model the conversation asks first
+        ...(metadata && metadata.model && !metadata.fallbackFrom ? { model: metadata.model } : {}),
+        ...(metadata && metadata.provider && !metadata.fallbackFrom ? { provider: metadata.provider } : {}),
         // Only update timestamp when saving immediately (stream complete/abort)
         ...(saveImmediately ? { updatedAt: new Date().toISOString() } : {})
       }
@@ -476,14 +568,51 @@ export function ConversationProvider({ children }) {
     })
   }
 
-  // Update conversation title
+  // Update the last message's tool calls (status and results as tools run)
+  const updateLastMessageToolCalls = (toolCalls, conversationId = null) => {
+    const targetConversationId = conversationId || currentConversationId
+
+    // GUARD: Ignore updates for aborted conversations to prevent race conditions
+    if (abortedConversationIdsRef.current.has(targetConversationId)) {
+      return
+    }
+
+    queuedSetConversations(prev => {
+      const updatedConversation = prev.find(c => c.id === targetConversationId)
+      if (!updatedConversation) return prev
+
+      const currentMessages = [...(updatedConversation.messages || [])]
+      if (currentMessages.length === 0) return prev
+
+      currentMessages[currentMessages.length - 1] = {
+        ...currentMessages[currentMessages.length - 1],
+        toolCalls
+      }
+
+      const updated = {
+        ...updatedConversation,
+        messages: currentMessages
+        // Don't update timestamp - tool calls run mid-stream
+      }
+
+      // Save immediately so tool results survive a crash before the response completes
+      conversationStorage.save(updated).catch(error => {
+        console.error('Failed to save conversation after tool call update:', error)
+      })
+
+      return prev.map(c => c.id === targetConversationId ? updated : c)
+    })
+  }
+
+  // Update conversation title (a manual rename, which generated titles never overwrite)
   const updateConversationTitle = async (conversationId, newTitle) => {
-    const conversation = conversations.find(c => c.id === conversationId)
+    const conversation = await loadConversation(conversationId)
     if (!conversation) return
 
     const updated = {
       ...conversation,
       title: newTitle.trim() || 'New Conversation',
+      titleEdited: true,
       updatedAt: new Date().toISOString()
     }
 
@@ -502,6 +631,58 @@ export function ConversationProvider({ children }) {
     )
   }
 
+  // Apply a model-generated title unless the user has renamed the conversation meanwhile
+  const applyGeneratedTitle = async (conversationId, title) => {
+    const conversation = await loadConversation(conversationId)
+    if (!conversation || conversation.titleEdited || !title) return
+    await updateConversationSettings(conversationId, { title })
+  }
+
+  // Update per-conversation settings (e.g., generationParams) without reordering the list
+  const updateConversationSettings = async (conversationId, settings) => {
+    const conversation = await loadConversation(conversationId)
+    if (!conversation) return
+
+    const updated = {
+      ...conversation,
+      ...settings
+    }
+
+    // Update state first so the panel reflects the change immediately
+    setConversations(prev => prev.map(c => c.id === conversationId ? { ...c, ...settings } : c))
+
+    try {
+      await conversationStorage.save(updated)
+    } catch (error) {
+      console.error('Failed to save conversation after settings update:', error)
+      // Continue anyway - state is already updated
+    }
+  }
+
+  // Update sidebar fields (folder, pin, tags) of one or more conversations without reordering the list
+  // Conversations that aren't loaded are changed on disk only, so their messages stay out of state
+  const updateConversationsMetadata = async (conversationIds, fields) => {
+    // A load finishing afterwards would replace the entry with the file's old fields
+    await Promise.all(conversationIds.map(id => loadPromisesRef.current.get(id)))
+
+    const ids = new Set(conversationIds)
+    const targets = conversationsRef.current.filter(c => ids.has(c.id))
+    setConversations(prev => prev.map(c => ids.has(c.id) ? { ...c, ...fields } : c))
+
+    await Promise.all(targets.map(async (conversation) => {
+      try {
+        const result = isConversationLoaded(conversation)
+          ? await conversationStorage.save({ ...conversation, ...fields })
+          : await conversationStorage.updateMetadata(conversation.id, fields)
+        if (!result.success) {
+          console.error('Failed to update conversation:', conversation.id, result.error)
+        }
+      } catch (error) {
+        console.error('Failed to update conversation:', conversation.id, error)
+      }
+    }))
+  }
+
   // Delete a conversation
   const deleteConversation = async (conversationId) => {
     console.log('ConversationContext: Starting deletion for:', conversationId)
@@ -552,6 +733,93 @@ export function ConversationProvider({ children }) {
     // messages will automatically be empty via useMemo
   }
 
+  // Trashed conversation summaries (with deletedAt), most recently deleted first
+  const listTrash = async () => {
+    const result = await conversationStorage.listTrash()
+    if (!result.success) {
+      console.error('Failed to list trash:', result.error)
+      return []
+    }
+    return result.conversations
+  }
+
+  // Move a conversation out of the trash back into the list
+  const restoreConversation = async (conversationId) => {
+    const result = await conversationStorage.restore(conversationId)
+    if (!result.success) {
+      console.error('Failed to restore conversation:', result.error)
+      return false
+    }
+
+    setConversations(prev => [result.conversation, ...prev.filter(c => c.id !== conversationId)]
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)))
+    return true
+  }
+
+  // Permanently delete one trashed conversation, or with no ID everything in the trash
+  const deleteFromTrash = async (conversationId = null) => {
+    const result = await conversationStorage.deleteFromTrash(conversationId)
+    if (!result.success) {
+      console.error('Failed to delete from trash:', result.error)
+    }
+    return result.success
+  }
+
+  // Save imported conversations; the list shows their summaries until they're opened
+  // Returns the number saved
+  const importConversations = async (importedConversations) => {
+    const saved = []
+    // One at a time - large imports would otherwise queue hundreds of file writes at once
+    for (const conversation of importedConversations) {
+      try {
+        const result = await conversationStorage.save(conversation)
+        if (result.success) {
+          saved.push(summarizeConversation(conversation))
+        } else {
+          console.error('Failed to save imported conversation:', conversation.title, result.error)
+        }
+      } catch (error) {
+        console.error('Failed to save imported conversation:', conversation.title, error)
+      }
+    }
+
+    setConversations(prev => [...saved, ...prev].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)))
+    return saved.length
+  }
+
+  // Copy the active branch up to a message into a new conversation and switch to it
+  const forkConversation = async (conversationId, messageId) => {
+    const source = await loadConversation(conversationId)
+    if (!source) return null
+
+    const path = getActivePath(source.messages || [], source.activeLeafId)
+    const messageIndex = path.findIndex(m => m.id === messageId)
+    if (messageIndex < 0) return null
+
+    // Copies get new IDs so the two conversations never share message identity,
+    // and no usage so budgets and totals don't count the source's spend twice
+    const copiedMessages = []
+    for (const message of path.slice(0, messageIndex + 1)) {
+      copiedMessages.push({
+        ...withoutUsage(message),
+        id: uuidv4(),
+        parentId: copiedMessages.length > 0 ? copiedMessages[copiedMessages.length - 1].id : null
+      })
+    }
+
+    const newConv = await createNewConversation({
+      title: source.title,
+      messages: copiedMessages,
+      model: source.model,
+      provider: source.provider,
+      systemPrompt: source.systemPrompt || '',
+      generationParams: source.generationParams,
+      forkedFrom: { conversationId, messageId }
+    })
+    setCurrentConversationId(newConv.id)
+    return newConv
+  }
+
   // Get current conversation
   const getCurrentConversation = () => {
     return conversations.find(c => c.id === currentConversationId)
@@ -562,41 +830,47 @@ export function ConversationProvider({ children }) {
     return conversationsRef.current.find(c => c.id === conversationId)
   }
 
-  // Replace all messages in the current conversation (for editing)
-  const replaceMessages = async (newMessages) => {
-    // Update conversation - messages will derive automatically
-    let conversationToSave = null
-    setConversations(prev => {
-      const updatedConversation = prev.find(c => c.id === currentConversationId)
-      if (!updatedConversation) {
-        console.error('Cannot find conversation:', currentConversationId)
-        return prev
-      }
+  // Show a different version of a message, following its newest branch to the end
+  const selectBranch = async (messageId, conversationId = null) => {
+    const targetConversationId = conversationId || currentConversationId
+    await loadConversation(targetConversationId)
+
+    // Queued so it sees messages added just before (e.g., compare replies saved in a row)
+    return queuedSetConversations(prev => {
+      const conversation = prev.find(c => c.id === targetConversationId)
+      if (!isConversationLoaded(conversation)) return prev
 
       const updated = {
-        ...updatedConversation,
-        messages: newMessages,
-        updatedAt: new Date().toISOString()
+        ...conversation,
+        activeLeafId: getLatestLeafId(conversation.messages || [], messageId)
       }
 
-      conversationToSave = updated
+      conversationStorage.save(updated).catch(error => {
+        console.error('Failed to save conversation after switching branch:', error)
+      })
 
-      return prev.map(c => c.id === currentConversationId ? updated : c)
-        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      // Switching branches doesn't change updatedAt, so no need to sort
+      return prev.map(c => c.id === targetConversationId ? updated : c)
     })
+  }
 
-    // Save to storage after state update
-    if (conversationToSave) {
-      try {
-        await conversationStorage.save(conversationToSave)
-      } catch (error) {
-        console.error('Failed to save conversation after replacing messages:', error)
-        // Messages are already in state, so continue
-      }
+  // Open a conversation at a specific message, switching to the branch that contains it
+  const focusMessage = async (conversationId, messageId) => {
+    setCurrentConversationId(conversationId)
+    if (!messageId) return
+
+    const conversation = await loadConversation(conversationId)
+    const path = getActivePath(conversation?.messages || [], conversation?.activeLeafId)
+    if (conversation && !path.some(m => m.id === messageId)) {
+      await selectBranch(messageId, conversationId)
     }
+
+    // A new object each time, so focusing the same message again scrolls again
+    setFocusRequest({ conversationId, messageId })
   }
 
   // Delete a specific message (only that single message)
+  // Returns a function that undoes the delete, or null if nothing was deleted
   const deleteMessage = async (messageId) => {
     console.log('deleteMessage: Deleting message:', messageId)
 
@@ -604,22 +878,31 @@ export function ConversationProvider({ children }) {
     const currentConversation = conversations.find(c => c.id === currentConversationId)
     if (!currentConversation) {
       console.error('deleteMessage: Current conversation not found')
-      return
+      return null
     }
 
     const messageIndex = currentConversation.messages.findIndex(m => m.id === messageId)
     if (messageIndex < 0) {
       console.log('deleteMessage: Message not found in current conversation')
-      return
+      return null
     }
 
-    // Remove only this specific message
-    const newMessages = currentConversation.messages.filter(m => m.id !== messageId)
+    // Remove only this specific message - its replies move up to its parent
+    const deletedMessage = withParentIds(currentConversation.messages)[messageIndex]
+    const childIds = withParentIds(currentConversation.messages).filter(m => m.parentId === messageId).map(m => m.id)
+    const newMessages = removeMessage(currentConversation.messages, messageId)
     console.log('deleteMessage: New messages count:', newMessages.length)
 
+    // If the active branch ended at this message, continue from the newest branch of its parent
+    const currentLeafId = getActiveLeafId(currentConversation.messages, currentConversation.activeLeafId)
+    const nextLeafId = currentLeafId === messageId
+      ? getLatestLeafId(newMessages, deletedMessage.parentId)
+      : currentLeafId
+
     const updatedConversation = {
       ...currentConversation,
       messages: newMessages,
+      activeLeafId: nextLeafId,
       updatedAt: new Date().toISOString()
     }
 
@@ -634,10 +917,74 @@ export function ConversationProvider({ children }) {
     try {
       const saveResult = await conversationStorage.save(updatedConversation)
       console.log('deleteMessage: Save result:', saveResult)
+
+      // Its images may no longer be referenced anywhere
+      if (isElectron() && (deletedMessage.attachments?.length || deletedMessage.content?.includes('data:'))) {
+        blobStorage.scheduleGarbageCollection()
+      }
     } catch (error) {
       console.error('Failed to save conversation after deleting message:', error)
       // Message is already removed from state, so continue
     }
+
+    const conversationId = currentConversationId
+    return () => undoDeleteMessage(conversationId, deletedMessage, messageIndex, childIds)
+  }
+
+  // Put a deleted message back, showing the branch that contains it
+  const undoDeleteMessage = async (conversationId, deletedMessage, messageIndex, childIds) => {
+    const conversation = await loadConversation(conversationId)
+    if (!conversation) return
+
+    const restoredMessages = restoreMessage(conversation.messages, deletedMessage, messageIndex, childIds)
+    const updatedConversation = {
+      ...conversation,
+      messages: restoredMessages,
+      activeLeafId: getLatestLeafId(restoredMessages, deletedMessage.id),
+      updatedAt: new Date().toISOString()
+    }
+
+    setConversations(prev =>
+      prev.map(c => c.id === conversationId ? updatedConversation : c)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+    )
+
+    try {
+      await conversationStorage.save(updatedConversation)
+    } catch (error) {
+      console.error('Failed to save conversation after restoring message:', error)
+    }
+  }
+
+  // Set whether a message is always sent as context (pinned) or left out of it (excluded)
+  // The two are exclusive: turning one on turns the other off
+  const setMessageContextFlag = async (messageId, flag, enabled) => {
+    const conversationId = currentConversationId
+    await loadConversation(conversationId)
+
+    return queuedSetConversations(prev => {
+      const conversation = prev.find(c => c.id === conversationId)
+      if (!isConversationLoaded(conversation)) return prev
+
+      const updated = {
+        ...conversation,
+        messages: conversation.messages.map(m => {
+          if (m.id !== messageId) return m
+          return {
+            ...m,
+            pinned: flag === 'pinned' ? enabled : (enabled ? false : !!m.pinned),
+            excluded: flag === 'excluded' ? enabled : (enabled ? false : !!m.excluded)
+          }
+        })
+      }
+
+      conversationStorage.save(updated).catch(error => {
+        console.error('Failed to save conversation after changing message context:', error)
+      })
+
+      // Not a new activity, so updatedAt and the list order stay as they are
+      return prev.map(c => c.id === conversationId ? updated : c)
+    })
   }
 
   const value = {
@@ -645,6 +992,7 @@ export function ConversationProvider({ children }) {
     currentConversationId,
     messages,
     isLoading,
+    isCurrentConversationLoaded,
     streamingConversationIds,
     isConversationStreaming,
     startStreaming,
@@ -654,14 +1002,28 @@ export function ConversationProvider({ children }) {
     updateLastMessage,
     updateLastMessageReasoning,
     markReasoningComplete,
+    updateLastMessageToolCalls,
     updateConversationTitle,
+    applyGeneratedTitle,
+    updateConversationSettings,
+    updateConversationsMetadata,
     deleteConversation,
     selectConversation,
     startNewConversation,
+    forkConversation,
+    importConversations,
+    listTrash,
+    restoreConversation,
+    deleteFromTrash,
     getCurrentConversation,
     getConversationById,
-    replaceMessages,
-    deleteMessage
+    loadConversation,
+    messageBranches,
+    selectBranch,
+    focusRequest,
+    focusMessage,
+    deleteMessage,
+    setMessageContextFlag
   }
 
   return (
@@ -155,6 +155,38 @@ export function ErrorProvider({ children }) {
     )
   }, [showError])
 
+  /**
+   * Show monthly budget exceeded alert
+   * When the budget blocks sending only the error is shown; otherwise the user can send anyway
+   */
+  const showBudgetExceededAlert = useCallback((providerName, status, onSendAnyway) => {
+    const spent = `$${status.spent.toFixed(2)} of your $${status.limit.toFixed(2)} monthly budget`
+    if (status.block) {
+      showError(
+        'Monthly Budget Reached',
+        `You have spent ${spent} for ${providerName}.`,
+        'Sending is blocked until next month. You can raise or remove the budget in Settings → Usage.'
+      )
+      return
+    }
+
+    showWarning(
+      'Monthly Budget Reached',
+      `You have spent ${spent} for ${providerName}.`,
+      'You can raise or remove the budget in Settings → Usage.',
+      {
+        primaryAction: {
+          label: 'Send Anyway',
+          handler: onSendAnyway
+        },
+        secondaryAction: {
+          label: 'Cancel',
+          handler: () => {}
+        }
+      }
+    )
+  }, [showError, showWarning])
+
   const value = {
     showAlert,
     showError,
@@ -164,6 +196,7 @@ export function ErrorProvider({ children }) {
     showMissingApiKeyAlert,
     showFetchErrorAlert,
     showInvalidApiKeyAlert,
+    showBudgetExceededAlert,
     closeAlert
   }
 
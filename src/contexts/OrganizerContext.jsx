@@ -0,0 +1,136 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+import { store } from '@/lib/electron'
+import { v4 as uuidv4 } from 'uuid'
+
+// Tag colors, with full class names so Tailwind keeps them
+export const TAG_COLORS = {
+  red: 'bg-red-500',
+  orange: 'bg-orange-500',
+  amber: 'bg-amber-400',
+  green: 'bg-green-500',
+  teal: 'bg-teal-500',
+  blue: 'bg-blue-500',
+  violet: 'bg-violet-500',
+  pink: 'bg-pink-500'
+}
+
+const OrganizerContext = createContext(null)
+
+// Folder and tag definitions. Conversations refer to them by id (conversation.folderId and
+// conversation.tags), so deleting a definition leaves stale ids that are simply ignored
+// instead of rewriting every conversation file that used it.
+export function OrganizerProvider({ children }) {
+  const [isLoading, setIsLoading] = useState(true)
+  const [folders, setFolders] = useState([]) // [{ id, name, createdAt }]
+  const [tags, setTags] = useState([]) // [{ id, name, color }] where color is a TAG_COLORS key
+
+  // Load on mount (store falls back to localStorage in browser mode)
+  useEffect(() => {
+    const loadOrganizer = async () => {
+      try {
+        const [foldersResult, tagsResult] = await Promise.all([
+          store.get('conversationFolders'),
+          store.get('conversationTags')
+        ])
+
+        if (foldersResult.success && Array.isArray(foldersResult.value)) {
+          setFolders(foldersResult.value)
+        }
+        if (tagsResult.success && Array.isArray(tagsResult.value)) {
+          setTags(tagsResult.value)
+        }
+      } catch (error) {
+        console.error('Failed to load folders and tags:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    loadOrganizer()
+  }, [])
+
+  // Persist to storage when values change
+  useEffect(() => {
+    // Don't save during initial load to prevent overwriting stored values
+    if (isLoading) return
+
+    store.set('conversationFolders', folders).catch(error => {
+      console.error('Failed to save folders:', error)
+    })
+  }, [folders, isLoading])
+
+  useEffect(() => {
+    // Don't save during initial load to prevent overwriting stored values
+    if (isLoading) return
+
+    store.set('conversationTags', tags).catch(error => {
+      console.error('Failed to save tags:', error)
+    })
+  }, [tags, isLoading])
+
+  const addFolder = (name) => {
+    const folder = {
+      id: uuidv4(),
+      name: name.trim() || 'New Folder',
+      createdAt: new Date().toISOString()
+    }
+    setFolders(prev => [...prev, folder])
+    return folder
+  }
+
+  const renameFolder = (folderId, name) => {
+    setFolders(prev => prev.map(f => f.id === folderId ? { ...f, name: name.trim() || f.name } : f))
+  }
+
+  const deleteFolder = (folderId) => {
+    setFolders(prev => prev.filter(f => f.id !== folderId))
+  }
+
+  const addTag = (name, color = 'blue') => {
+    const tag = {
+      id: uuidv4(),
+      name: name.trim() || 'Tag',
+      color
+    }
+    setTags(prev => [...prev, tag])
+    return tag
+  }
+
+  const updateTag = (tagId, updates) => {
+    setTags(prev => prev.map(t => t.id === tagId ? {
+      ...t,
+      ...updates,
+      name: updates.name !== undefined ? (updates.name.trim() || t.name) : t.name
+    } : t))
+  }
+
+  const deleteTag = (tagId) => {
+    setTags(prev => prev.filter(t => t.id !== tagId))
+  }
+
+  const value = {
+    isLoading,
+    folders,
+    tags,
+    addFolder,
+    renameFolder,
+    deleteFolder,
+    addTag,
+    updateTag,
+    deleteTag
+  }
+
+  return (
+    <OrganizerContext.Provider value={value}>
+      {children}
+    </OrganizerContext.Provider>
+  )
+}
+
+export function useOrganizer() {
+  const context = useContext(OrganizerContext)
+  if (!context) {
+    throw new Error('useOrganizer must be used within an OrganizerProvider')
+  }
+  return context
+}
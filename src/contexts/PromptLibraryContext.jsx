@@ -0,0 +1,113 @@
+import { createContext, useContext, useState, useEffect } from 'react'
+import { store } from '@/lib/electron'
+import { v4 as uuidv4 } from 'uuid'
+
+const PromptLibraryContext = createContext(null)
+
+export function PromptLibraryProvider({ children }) {
+  const [isLoading, setIsLoading] = useState(true)
+  const [prompts, setPrompts] = useState([]) // Saved system prompts: [{ id, name, content, createdAt }]
+  const [defaultPromptId, setDefaultPromptId] = useState(null) // Prompt applied to new conversations
+
+  // Load the library on mount (store falls back to localStorage in browser mode)
+  useEffect(() => {
+    const loadPrompts = async () => {
+      try {
+        const [promptsResult, defaultResult] = await Promise.all([
+          store.get('systemPrompts'),
+          store.get('defaultSystemPromptId')
+        ])
+
+        if (promptsResult.success && Array.isArray(promptsResult.value)) {
+          setPrompts(promptsResult.value)
+        }
+        if (defaultResult.success && defaultResult.value) {
+          setDefaultPromptId(defaultResult.value)
+        }
+      } catch (error) {
+        console.error('Failed to load prompt library:', error)
+      } finally {
+        setIsLoading(false)
+      }
+    }
+
+    loadPrompts()
+  }, [])
+
+  // Persist to storage when values change
+  useEffect(() => {
+    // Don't save during initial load to prevent overwriting stored values
+    if (isLoading) return
+
+    store.set('systemPrompts', prompts).catch(error => {
+      console.error('Failed to save prompt library:', error)
+    })
+  }, [prompts, isLoading])
+
+  useEffect(() => {
+    // Don't save during initial load to prevent overwriting stored values
+    if (isLoading) return
+
+    store.set('defaultSystemPromptId', defaultPromptId).catch(error => {
+      console.error('Failed to save default system prompt:', error)
+    })
+  }, [defaultPromptId, isLoading])
+
+  // Add a prompt to the library and return it
+  const addPrompt = (name, content) => {
+    const prompt = {
+      id: uuidv4(),
+      name: name.trim() || 'Untitled prompt',
+      content,
+      createdAt: new Date().toISOString()
+    }
+    setPrompts(prev => [...prev, prompt])
+    return prompt
+  }
+
+  const updatePrompt = (promptId, updates) => {
+    setPrompts(prev => prev.map(p => p.id === promptId ? {
+      ...p,
+      ...updates,
+      name: updates.name !== undefined ? (updates.name.trim() || 'Untitled prompt') : p.name
+    } : p))
+  }
+
+  const deletePrompt = (promptId) => {
+    setPrompts(prev => prev.filter(p => p.id !== promptId))
+    // A deleted prompt can't stay the default
+    if (defaultPromptId === promptId) {
+      setDefaultPromptId(null)
+    }
+  }
+
+  // Get the prompt new conversations should start with, or null for none
+  const getDefaultPrompt = () => {
+    return prompts.find(p => p.id === defaultPromptId) || null
+  }
+
+  const value = {
+    isLoading,
+    prompts,
+    defaultPromptId,
+    setDefaultPromptId,
+    addPrompt,
+    updatePrompt,
+    deletePrompt,
+    getDefaultPrompt
+  }
+
+  return (
+    <PromptLibraryContext.Provider value={value}>
+      {children}
+    </PromptLibraryContext.Provider>
+  )
+}
+
+export function usePromptLibrary() {
+  const context = useContext(PromptLibraryContext)
+  if (!context) {
+    throw new Error('usePromptLibrary must be used within a PromptLibraryProvider')
+  }
+  return context
+}
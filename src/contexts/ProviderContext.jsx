@@ -1,5 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react'
 import { store, isElectron, isEncryptionAvailable } from '@/lib/electron'
+import { STREAMING_CONSTANTS } from '@/constants/streaming'
+import { addToSpendLedger } from '@/utils/usageHelpers'
 
 const ProviderContext = createContext(null)
 
@@ -40,11 +42,17 @@ export function ProviderProvider({ children }) {
 
         if (useElectronStorage) {
           // Load from Electron secure storage
-          const [providerResult, modelResult, apiKeysResult, customProvidersResult] = await Promise.all([
+          const [providerResult, modelResult, apiKeysResult, customProvidersResult, budgetsResult, spendLedgerResult, utilityModelResult, autoTitlesResult, maxRetriesResult, fallbackChainResult] = await Promise.all([
             store.get('defaultProvider'),
             store.get('defaultModel'),
             store.get('apiKeys'),
-            store.get('customProviders')
+            store.get('customProviders'),
+            store.get('monthlyBudgets'),
+            store.get('spendLedger'),
+            store.get('utilityModel'),
+            store.get('autoTitles'),
+            store.get('maxRetries'),
+            store.get('fallbackChain')
           ])
 
           if (providerResult.success && providerResult.value) {
@@ -60,12 +68,36 @@ export function ProviderProvider({ children }) {
           if (customProvidersResult.success && customProvidersResult.value) {
             setCustomProviders(customProvidersResult.value)
           }
+          if (budgetsResult.success && budgetsResult.value) {
+            setMonthlyBudgets(budgetsResult.value)
+          }
+          if (spendLedgerResult.success && spendLedgerResult.value) {
+            setSpendLedger(spendLedgerResult.value)
+          }
+          if (utilityModelResult.success && utilityModelResult.value) {
+            setUtilityModel(utilityModelResult.value)
+          }
+          if (autoTitlesResult.success && typeof autoTitlesResult.value === 'boolean') {
+            setAutoTitles(autoTitlesResult.value)
+          }
+          if (maxRetriesResult.success && typeof maxRetriesResult.value === 'number') {
+            setMaxRetries(maxRetriesResult.value)
+          }
+          if (fallbackChainResult.success && Array.isArray(fallbackChainResult.value)) {
+            setFallbackChain(fallbackChainResult.value)
+          }
         } else {
           // Load from localStorage
           const savedProvider = localStorage.getItem('defaultProvider')
           const savedModel = localStorage.getItem('defaultModel')
           const savedApiKeys = localStorage.getItem('apiKeys')
           const savedCustomProviders = localStorage.getItem('customProviders')
+          const savedBudgets = localStorage.getItem('monthlyBudgets')
+          const savedSpendLedger = localStorage.getItem('spendLedger')
+          const savedUtilityModel = localStorage.getItem('utilityModel')
+          const savedAutoTitles = localStorage.getItem('autoTitles')
+          const savedMaxRetries = localStorage.getItem('maxRetries')
+          const savedFallbackChain = localStorage.getItem('fallbackChain')
 
           if (savedProvider) setProvider(savedProvider)
           if (savedModel) setModel(savedModel)
@@ -85,6 +117,36 @@ export function ProviderProvider({ children }) {
               console.error('Failed to parse custom providers:', e)
             }
           }
+          if (savedBudgets) {
+            try {
+              setMonthlyBudgets(JSON.parse(savedBudgets))
+            } catch (e) {
+              console.error('Failed to parse monthly budgets:', e)
+            }
+          }
+          if (savedSpendLedger) {
+            try {
+              setSpendLedger(JSON.parse(savedSpendLedger))
+            } catch (e) {
+              console.error('Failed to parse spend ledger:', e)
+            }
+          }
+          if (savedUtilityModel) {
+            try {
+              setUtilityModel(JSON.parse(savedUtilityModel))
+            } catch (e) {
+              console.error('Failed to parse utility model:', e)
+            }
+          }
+          if (savedAutoTitles !== null) setAutoTitles(savedAutoTitles === 'true')
+          if (savedMaxRetries !== null && !Number.isNaN(Number(savedMaxRetries))) setMaxRetries(Number(savedMaxRetries))
+          if (savedFallbackChain) {
+            try {
+              setFallbackChain(JSON.parse(savedFallbackChain))
+            } catch (e) {
+              console.error('Failed to parse fallback chain:', e)
+            }
+          }
         }
       } catch (error) {
         console.error('Failed to load initial data:', error)
@@ -116,6 +178,27 @@ export function ProviderProvider({ children }) {
   // Custom providers added by user
   const [customProviders, setCustomProviders] = useState([])
 
+  // Monthly spending budgets: { [providerId]: { limit (USD), block } }
+  const [monthlyBudgets, setMonthlyBudgets] = useState({})
+
+  // Known spend per month and provider: { 'YYYY-MM': { [providerId]: USD } }
+  // Only ever added to, so deleting conversations doesn't lower spend against a budget
+  const [spendLedger, setSpendLedger] = useState({})
+
+  // Cheap model for background tasks like titling conversations: { provider, model },
+  // or null to use whichever model the conversation is using
+  const [utilityModel, setUtilityModel] = useState(null)
+
+  // Whether the utility model names new conversations after their first reply
+  const [autoTitles, setAutoTitles] = useState(true)
+
+  // How often a rate-limited or failed request is retried before the error is shown
+  const [maxRetries, setMaxRetries] = useState(STREAMING_CONSTANTS.RETRY.DEFAULT_MAX_RETRIES)
+
+  // Default failover order when a request fails before it starts: [{ provider, model }]
+  // Conversations can replace it with their own chain
+  const [fallbackChain, setFallbackChain] = useState([])
+
   // Persist to storage when values change
   useEffect(() => {
     // Don't save during initial load to prevent overwriting stored values
@@ -212,6 +295,98 @@ export function ProviderProvider({ children }) {
     saveCustomProviders()
   }, [customProviders, isLoading])
 
+  useEffect(() => {
+    // Don't save during initial load
+    if (isLoading) return
+
+    const saveBudgets = async () => {
+      try {
+        if (useElectronStorage) {
+          await store.set('monthlyBudgets', monthlyBudgets)
+        } else {
+          localStorage.setItem('monthlyBudgets', JSON.stringify(monthlyBudgets))
+        }
+      } catch (error) {
+        console.error('Failed to save monthly budgets:', error)
+      }
+    }
+    saveBudgets()
+  }, [monthlyBudgets, isLoading])
+
+  useEffect(() => {
+    // Don't save during initial load
+    if (isLoading) return
+
+    const saveSpendLedger = async () => {
+      try {
+        if (useElectronStorage) {
+          await store.set('spendLedger', spendLedger)
+        } else {
+          localStorage.setItem('spendLedger', JSON.stringify(spendLedger))
+        }
+      } catch (error) {
+        console.error('Failed to save spend ledger:', error)
+      }
+    }
+    saveSpendLedger()
+  }, [spendLedger, isLoading])
+
+  useEffect(() => {
+    // Don't save during initial load
+    if (isLoading) return
+
+    const saveUtilitySettings = async () => {
+      try {
+        if (useElectronStorage) {
+          await store.set('utilityModel', utilityModel)
+          await store.set('autoTitles', autoTitles)
+        } else {
+          localStorage.setItem('utilityModel', JSON.stringify(utilityModel))
+          localStorage.setItem('autoTitles', String(autoTitles))
+        }
+      } catch (error) {
+        console.error('Failed to save utility model settings:', error)
+      }
+    }
+    saveUtilitySettings()
+  }, [utilityModel, autoTitles, isLoading])
+
+  useEffect(() => {
+    // Don't save during initial load
+    if (isLoading) return
+
+    const saveMaxRetries = async () => {
+      try {
+        if (useElectronStorage) {
+          await store.set('maxRetries', maxRetries)
+        } else {
+          localStorage.setItem('maxRetries', String(maxRetries))
+        }
+      } catch (error) {
+        console.error('Failed to save retry settings:', error)
+      }
+    }
+    saveMaxRetries()
+  }, [maxRetries, isLoading])
+
+  useEffect(() => {
+    // Don't save during initial load
+    if (isLoading) return
+
+    const saveFallbackChain = async () => {
+      try {
+        if (useElectronStorage) {
+          await store.set('fallbackChain', fallbackChain)
+        } else {
+          localStorage.setItem('fallbackChain', JSON.stringify(fallbackChain))
+        }
+      } catch (error) {
+        console.error('Failed to save fallback chain:', error)
+      }
+    }
+    saveFallbackChain()
+  }, [fallbackChain, isLoading])
+
   const updateApiKey = (providerId, key) => {
     setApiKeys(prev => ({
       ...prev,
@@ -219,6 +394,25 @@ export function ProviderProvider({ children }) {
     }))
   }
 
+  // Set or clear (budget = null) a provider's monthly budget
+  const setMonthlyBudget = (providerId, budget) => {
+    setMonthlyBudgets(prev => {
+      const updated = { ...prev }
+      if (budget && budget.limit > 0) {
+        updated[providerId] = budget
+      } else {
+        delete updated[providerId]
+      }
+      return updated
+    })
+  }
+
+  // Add the cost of a finished response to this month's spend
+  const recordSpend = (providerId, cost) => {
+    if (!providerId || typeof cost !== 'number' || cost <= 0) return
+    setSpendLedger(prev => addToSpendLedger(prev, providerId, cost))
+  }
+
   const getModelsForProvider = (providerId) => {
     // Return fetched models if available and fresh (< 24 hours)
     const cached = fetchedModels[providerId]
@@ -284,6 +478,8 @@ export function ProviderProvider({ children }) {
   const removeCustomProvider = (providerId) => {
     setCustomProviders(prev => prev.filter(p => p.id !== providerId))
     clearModelsCache(providerId)
+    setUtilityModel(prev => prev?.provider === providerId ? null : prev)
+    setFallbackChain(prev => prev.filter(entry => entry.provider !== providerId))
 
     // Remove API key for deleted provider
     setApiKeys(prev => {
@@ -304,6 +500,18 @@ export function ProviderProvider({ children }) {
     fetchedModels,
     modelsFetchStatus,
     customProviders,
+    monthlyBudgets,
+    setMonthlyBudget,
+    spendLedger,
+    recordSpend,
+    utilityModel,
+    setUtilityModel,
+    autoTitles,
+    setAutoTitles,
+    maxRetries,
+    setMaxRetries,
+    fallbackChain,
+    setFallbackChain,
     isLoading,
     encryptionStatus,
     getModelsForProvider,
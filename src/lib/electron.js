@@ -3,6 +3,9 @@
  * Provides file system access and secure storage in desktop mode
  */
 
+import { summarizeConversation } from '@/utils/conversationSummary'
+import { createBlobRef, parseBlobRef, externalizeMessageBlobs, resolveMessageBlobs, getReferencedBlobHashes } from '@/utils/blobRefs'
+
 // Check if running in Electron
 export const isElectron = () => {
   return typeof window !== 'undefined' && window.electronAPI && window.electronAPI.isElectron
@@ -59,6 +62,13 @@ export const fileSystem = {
     return window.electronAPI.fs.writeBinaryFile(filePath, base64Data)
   },
 
+  async printToPDF(html, filePath) {
+    if (!isElectron()) {
+      throw new Error('PDF export is only available in desktop mode')
+    }
+    return window.electronAPI.fs.printToPDF(html, filePath)
+  },
+
   async saveImage(imageDataUrl, suggestedName = 'image.png') {
     if (!isElectron()) {
       throw new Error('Image save is only available in desktop mode')
@@ -184,9 +194,151 @@ export const isEncryptionAvailable = async () => {
 }
 
 // Conversation Storage Helpers
+// Blob Store (images and files saved once and referenced from conversation files)
+const blobRefsByDataUrl = new Map() // data URL -> blob ref, so repeated saves don't resend the same image
+const dataUrlsByBlobRef = new Map() // blob ref -> Promise of data URL, so reopening a conversation doesn't reread it
+const BLOB_GC_DELAY_MS = 5000
+let blobGarbageCollectionTimeout = null
+
+export const blobs = {
+  // Store a data URL; resolves to { success, ref }
+  async put(dataUrl) {
+    if (!isElectron()) {
+      throw new Error('Blob storage is only available in desktop mode')
+    }
+    if (blobRefsByDataUrl.has(dataUrl)) {
+      return { success: true, ref: blobRefsByDataUrl.get(dataUrl) }
+    }
+
+    const result = await window.electronAPI.blobs.put(dataUrl)
+    if (!result.success) return result
+
+    const ref = createBlobRef(result.hash, result.mediaType)
+    blobRefsByDataUrl.set(dataUrl, ref)
+    dataUrlsByBlobRef.set(ref, Promise.resolve(dataUrl))
+    return { success: true, ref }
+  },
+
+  // Read a blob reference back into a data URL; resolves to { success, dataUrl }
+  async get(ref) {
+    if (!isElectron()) {
+      throw new Error('Blob storage is only available in desktop mode')
+    }
+    const parsed = parseBlobRef(ref)
+    if (!parsed) {
+      return { success: false, error: 'Invalid blob reference' }
+    }
+
+    if (!dataUrlsByBlobRef.has(ref)) {
+      dataUrlsByBlobRef.set(ref, window.electronAPI.blobs.get(parsed.hash).then(result => {
+        if (!result.success) throw new Error(result.error)
+        const dataUrl = `data:${parsed.mediaType};base64,${result.data}`
+        blobRefsByDataUrl.set(dataUrl, ref)
+        return dataUrl
+      }))
+    }
+
+    try {
+      return { success: true, dataUrl: await dataUrlsByBlobRef.get(ref) }
+    } catch (error) {
+      dataUrlsByBlobRef.delete(ref) // Allow a retry
+      return { success: false, error: error.message }
+    }
+  },
+
+  // Delete blobs that no saved conversation refers to
+  async collectGarbage() {
+    if (!isElectron()) return { success: true, deleted: [] }
+
+    const listResult = await conversations.list()
+    if (!listResult.success) return listResult
+    // Trashed conversations keep their images until they're deleted for good
+    const trashResult = await conversations.readTrash()
+    if (!trashResult.success) return trashResult
+
+    const referenced = new Set()
+    for (const conversation of [...listResult.conversations, ...trashResult.conversations]) {
+      getReferencedBlobHashes(conversation).forEach(hash => referenced.add(hash))
+    }
+
+    const result = await window.electronAPI.blobs.collectGarbage([...referenced])
+    if (result.success && result.deleted.length > 0) {
+      // Forget deleted blobs so later saves store them again instead of referring to missing files
+      const deleted = new Set(result.deleted)
+      for (const [dataUrl, ref] of blobRefsByDataUrl) {
+        if (deleted.has(parseBlobRef(ref).hash)) {
+          blobRefsByDataUrl.delete(dataUrl)
+          dataUrlsByBlobRef.delete(ref)
+        }
+      }
+    }
+    return result
+  },
+
+  // Collect garbage shortly after deletes, once per burst
+  scheduleGarbageCollection() {
+    clearTimeout(blobGarbageCollectionTimeout)
+    blobGarbageCollectionTimeout = setTimeout(() => {
+      this.collectGarbage().catch(error => {
+        console.error('Blob garbage collection failed:', error)
+      })
+    }, BLOB_GC_DELAY_MS)
+  }
+}
+
+// Data URLs that fail to store stay inline rather than failing the save
+const storeBlob = async (dataUrl) => {
+  const result = await blobs.put(dataUrl)
+  if (!result.success) {
+    console.error('Failed to store blob:', result.error)
+    return null
+  }
+  return result.ref
+}
+
+// Missing blobs stay as references (the image just won't display)
+const readBlob = async (ref) => {
+  const result = await blobs.get(ref)
+  if (!result.success) {
+    console.error('Failed to read blob:', ref, result.error)
+    return null
+  }
+  return result.dataUrl
+}
+
 // Write queue to prevent race conditions when multiple saves happen to same conversation
 const conversationWriteQueues = new Map()
 
+// Conversation index: index.json in the conversations directory holds one summary per
+// conversation so startup doesn't have to read every conversation file
+const INDEX_FILE_NAME = 'index.json'
+const INDEX_VERSION = 1
+const INDEX_WRITE_DEBOUNCE_MS = 1000
+
+let indexPromise = null // Resolves to Map of id -> summary once the index is loaded and in sync
+let indexWriteTimeout = null
+
+const isConversationFile = (file) => file.endsWith('.json') && file !== INDEX_FILE_NAME
+
+// Deleted conversations move to userData/trash and are deleted for good after this many days
+export const TRASH_RETENTION_DAYS = 30
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+
+const isTrashExpired = (conversation) => Date.now() - new Date(conversation.deletedAt).getTime() > TRASH_RETENTION_MS
+
+// Listeners notified after a conversation is saved ({ type: 'save', conversation }) or deleted ({ type: 'delete', id })
+const conversationListeners = new Set()
+
+const notifyConversationListeners = (event) => {
+  conversationListeners.forEach(listener => {
+    try {
+      listener(event)
+    } catch (error) {
+      console.error('Conversation storage listener failed:', error)
+    }
+  })
+}
+
 export const conversations = {
   async getDataDir() {
     if (!isElectron()) {
@@ -196,6 +348,134 @@ export const conversations = {
     return `${appDataPath}/conversations`
   },
 
+  async getTrashDir() {
+    if (!isElectron()) {
+      return null
+    }
+    const appDataPath = await getAppDataPath()
+    return `${appDataPath}/trash`
+  },
+
+  // Load index.json, rebuilding or repairing it if it's missing or out of sync with the files
+  async loadIndex() {
+    const dataDir = await this.getDataDir()
+    await fileSystem.mkdir(dataDir)
+
+    const dirResult = await fileSystem.readDir(dataDir)
+    if (!dirResult.success) {
+      throw new Error(dirResult.error || 'Failed to read conversations directory')
+    }
+    const fileIds = new Set(dirResult.files.filter(isConversationFile).map(file => file.slice(0, -'.json'.length)))
+
+    let index = new Map()
+    const indexResult = await fileSystem.readFile(`${dataDir}/${INDEX_FILE_NAME}`)
+    if (indexResult.success) {
+      try {
+        const parsed = JSON.parse(indexResult.data)
+        if (parsed.version === INDEX_VERSION && parsed.conversations) {
+          index = new Map(Object.entries(parsed.conversations))
+        } else {
+          console.warn('Conversation index has an unknown format, rebuilding')
+        }
+      } catch (e) {
+        console.warn('Conversation index is corrupt, rebuilding')
+      }
+    }
+
+    // Drop entries whose files are gone and summarize files the index doesn't know about
+    let changed = !indexResult.success
+    for (const id of index.keys()) {
+      if (!fileIds.has(id)) {
+        index.delete(id)
+        changed = true
+      }
+    }
+
+    const missingIds = [...fileIds].filter(id => !index.has(id))
+    if (missingIds.length > 0) {
+      console.log(`Adding ${missingIds.length} conversation(s) to the index`)
+      const contents = await Promise.all(missingIds.map(id => fileSystem.readFile(`${dataDir}/${id}.json`)))
+      contents.forEach((content, i) => {
+        if (!content.success) return
+        try {
+          index.set(missingIds[i], summarizeConversation(JSON.parse(content.data)))
+        } catch (e) {
+          console.error('Failed to parse conversation:', missingIds[i], e)
+        }
+      })
+      changed = true
+    }
+
+    if (changed) {
+      this.scheduleIndexWrite(index, 0)
+    }
+    return index
+  },
+
+  getIndex() {
+    if (!indexPromise) {
+      indexPromise = this.loadIndex().catch(error => {
+        indexPromise = null // Retry on next use
+        throw error
+      })
+    }
+    return indexPromise
+  },
+
+  // Write the index after a short delay so bursts of saves produce one write
+  scheduleIndexWrite(index, delay = INDEX_WRITE_DEBOUNCE_MS) {
+    clearTimeout(indexWriteTimeout)
+    indexWriteTimeout = setTimeout(async () => {
+      try {
+        const dataDir = await this.getDataDir()
+        const data = { version: INDEX_VERSION, conversations: Object.fromEntries(index) }
+        const result = await fileSystem.writeFile(`${dataDir}/${INDEX_FILE_NAME}`, JSON.stringify(data))
+        if (!result.success) {
+          console.error('Failed to write conversation index:', result.error)
+        }
+      } catch (error) {
+        console.error('Failed to write conversation index:', error)
+      }
+    }, delay)
+  },
+
+  // Replace (or with null, remove) one conversation's index entry
+  async updateIndexEntry(id, summary) {
+    if (!isElectron()) return // Browser mode summarizes localStorage on demand
+
+    try {
+      const index = await this.getIndex()
+      const previous = index.get(id)
+      if (summary) {
+        // Most saves are streaming updates that don't change the summary
+        if (previous && JSON.stringify(previous) === JSON.stringify(summary)) return
+        index.set(id, summary)
+      } else {
+        if (!previous) return
+        index.delete(id)
+      }
+      this.scheduleIndexWrite(index)
+    } catch (error) {
+      console.error('Failed to update conversation index:', error)
+    }
+  },
+
+  // List conversation summaries (no messages) for the sidebar
+  async listSummaries() {
+    if (!isElectron()) {
+      // localStorage holds few conversations, so summarize them directly
+      const result = await this.list()
+      return { success: true, conversations: result.conversations.map(summarizeConversation) }
+    }
+
+    try {
+      const index = await this.getIndex()
+      return { success: true, conversations: [...index.values()] }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  },
+
   async list() {
     if (!isElectron()) {
       // Fallback to localStorage
@@ -224,7 +504,7 @@ export const conversations = {
     }
 
     // Filter JSON files and read them in parallel for faster loading
-    const jsonFiles = result.files.filter(file => file.endsWith('.json'))
+    const jsonFiles = result.files.filter(isConversationFile)
 
     if (jsonFiles.length === 0) {
       return { success: true, conversations: [] }
@@ -273,16 +553,39 @@ export const conversations = {
       return result
     }
 
+    let conversation
     try {
-      return { success: true, conversation: JSON.parse(result.data) }
+      conversation = JSON.parse(result.data)
     } catch (e) {
       return { success: false, error: 'Failed to parse conversation data' }
     }
+
+    try {
+      conversation.messages = await resolveMessageBlobs(conversation.messages || [], readBlob)
+      // Repair the summary if the index missed a change (e.g., the app quit before writing it)
+      this.updateIndexEntry(conversation.id, summarizeConversation(conversation))
+      return { success: true, conversation }
+    } catch (error) {
+      return { success: false, error: error.message || 'Failed to load conversation images' }
+    }
+  },
+
+  // Subscribe to saves and deletes (e.g., to keep the search index current); returns an unsubscribe function
+  subscribe(listener) {
+    conversationListeners.add(listener)
+    return () => conversationListeners.delete(listener)
   },
 
   async save(conversation) {
+    // A summary without messages would overwrite the conversation's history
+    if (!Array.isArray(conversation.messages)) {
+      console.error('Refusing to save a conversation that has not been loaded:', conversation.id)
+      return { success: false, error: 'Conversation is not loaded' }
+    }
+
     if (!isElectron()) {
       localStorage.setItem(`conversation:${conversation.id}`, JSON.stringify(conversation))
+      notifyConversationListeners({ type: 'save', conversation })
       return { success: true }
     }
 
@@ -299,7 +602,9 @@ export const conversations = {
           const dataDir = await this.getDataDir()
           await fileSystem.mkdir(dataDir)
           const filePath = `${dataDir}/${conversation.id}.json`
-          const writeResult = await fileSystem.writeFile(filePath, JSON.stringify(conversation, null, 2))
+          // Images go to the blob store so this file stays small however often it's rewritten
+          const stored = { ...conversation, messages: await externalizeMessageBlobs(conversation.messages, storeBlob) }
+          const writeResult = await fileSystem.writeFile(filePath, JSON.stringify(stored, null, 2))
           resolve(writeResult)
         } catch (error) {
           resolve({ success: false, error: error.message || 'Failed to save conversation' })
@@ -308,28 +613,240 @@ export const conversations = {
       conversationWriteQueues.set(conversation.id, newQueue)
     })
 
+    if (result.success) {
+      this.updateIndexEntry(conversation.id, summarizeConversation(conversation))
+      notifyConversationListeners({ type: 'save', conversation })
+    }
+    return result
+  },
+
+  // Merge top-level fields (folder, pin, tags) into a stored conversation without loading its messages
+  async updateMetadata(id, fields) {
+    if (!isElectron()) {
+      const data = localStorage.getItem(`conversation:${id}`)
+      if (!data) {
+        return { success: false, error: 'Conversation not found' }
+      }
+      const conversation = { ...JSON.parse(data), ...fields }
+      localStorage.setItem(`conversation:${id}`, JSON.stringify(conversation))
+      notifyConversationListeners({ type: 'save', conversation })
+      return { success: true }
+    }
+
+    if (!conversationWriteQueues.has(id)) {
+      conversationWriteQueues.set(id, Promise.resolve())
+    }
+
+    // Shares the save queue so it can't interleave with a full write of the same file
+    let conversation = null
+    const result = await new Promise((resolve) => {
+      const newQueue = conversationWriteQueues.get(id).then(async () => {
+        try {
+          const filePath = `${await this.getDataDir()}/${id}.json`
+          const readResult = await fileSystem.readFile(filePath)
+          if (!readResult.success) {
+            resolve(readResult)
+            return
+          }
+          // Messages keep their blob references, so nothing needs resolving
+          conversation = { ...JSON.parse(readResult.data), ...fields }
+          resolve(await fileSystem.writeFile(filePath, JSON.stringify(conversation, null, 2)))
+        } catch (error) {
+          resolve({ success: false, error: error.message || 'Failed to update conversation' })
+        }
+      })
+      conversationWriteQueues.set(id, newQueue)
+    })
+
+    if (result.success) {
+      this.updateIndexEntry(id, summarizeConversation(conversation))
+      notifyConversationListeners({ type: 'save', conversation })
+    }
     return result
   },
 
+  // Move a conversation to the trash (it can be restored for TRASH_RETENTION_DAYS)
   async delete(id) {
-    console.log('Deleting conversation:', id)
+    console.log('Moving conversation to trash:', id)
 
     if (!isElectron()) {
-      console.log('Using localStorage mode for deletion')
       const key = `conversation:${id}`
-      console.log('Removing localStorage key:', key)
+      const data = localStorage.getItem(key)
+      if (data) {
+        try {
+          localStorage.setItem(`trash:${id}`, JSON.stringify({ ...JSON.parse(data), deletedAt: new Date().toISOString() }))
+        } catch (e) {
+          console.error('Failed to move conversation to trash:', e)
+        }
+      }
       localStorage.removeItem(key)
-      console.log('localStorage deletion complete')
+      notifyConversationListeners({ type: 'delete', id })
       return { success: true }
     }
 
-    console.log('Using Electron file system for deletion')
+    // Let a pending save finish first so it can't recreate the file afterwards
+    await conversationWriteQueues.get(id)
+
     const dataDir = await this.getDataDir()
+    const trashDir = await this.getTrashDir()
     const filePath = `${dataDir}/${id}.json`
-    console.log('Deleting file:', filePath)
+
+    const readResult = await fileSystem.readFile(filePath)
+    if (!readResult.success) {
+      return readResult
+    }
+
+    let conversation
+    try {
+      conversation = JSON.parse(readResult.data)
+    } catch (e) {
+      return { success: false, error: 'Failed to parse conversation data' }
+    }
+
+    // Blob references are kept as-is, since the blobs stay until the trash is emptied
+    const trashed = { ...conversation, deletedAt: new Date().toISOString() }
+    const writeResult = await fileSystem.writeFile(`${trashDir}/${id}.json`, JSON.stringify(trashed, null, 2))
+    if (!writeResult.success) {
+      return writeResult
+    }
+
     const result = await fileSystem.deleteFile(filePath)
-    console.log('File deletion result:', result)
+    console.log('Trash move result:', result)
+    if (result.success) {
+      this.updateIndexEntry(id, null)
+      notifyConversationListeners({ type: 'delete', id })
+    }
     return result
+  },
+
+  // Read trashed conversations in full, permanently deleting any past the retention period
+  async readTrash() {
+    if (!isElectron()) {
+      const trashed = []
+      for (const key of Object.keys(localStorage).filter(k => k.startsWith('trash:'))) {
+        try {
+          const conversation = JSON.parse(localStorage.getItem(key))
+          if (isTrashExpired(conversation)) {
+            localStorage.removeItem(key)
+          } else {
+            trashed.push(conversation)
+          }
+        } catch (e) {
+          localStorage.removeItem(key)
+        }
+      }
+      return { success: true, conversations: trashed }
+    }
+
+    const trashDir = await this.getTrashDir()
+    await fileSystem.mkdir(trashDir)
+    const dirResult = await fileSystem.readDir(trashDir)
+    if (!dirResult.success) {
+      return dirResult
+    }
+
+    const files = dirResult.files.filter(file => file.endsWith('.json'))
+    const contents = await Promise.all(files.map(file => fileSystem.readFile(`${trashDir}/${file}`)))
+
+    const trashed = []
+    let expiredCount = 0
+    for (const [i, content] of contents.entries()) {
+      if (!content.success) continue
+      try {
+        const conversation = JSON.parse(content.data)
+        if (isTrashExpired(conversation)) {
+          await fileSystem.deleteFile(`${trashDir}/${files[i]}`)
+          expiredCount++
+        } else {
+          trashed.push(conversation)
+        }
+      } catch (e) {
+        console.error('Failed to parse trashed conversation:', files[i], e)
+      }
+    }
+
+    if (expiredCount > 0) {
+      console.log(`Deleted ${expiredCount} expired conversation(s) from the trash`)
+      blobs.scheduleGarbageCollection()
+    }
+    return { success: true, conversations: trashed }
+  },
+
+  // List trashed conversation summaries, most recently deleted first
+  async listTrash() {
+    const result = await this.readTrash()
+    if (!result.success) return result
+
+    const summaries = result.conversations
+      .map(summarizeConversation)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+    return { success: true, conversations: summaries }
+  },
+
+  // Move a conversation back out of the trash; returns its summary
+  async restore(id) {
+    if (!isElectron()) {
+      const data = localStorage.getItem(`trash:${id}`)
+      if (!data) {
+        return { success: false, error: 'Conversation not found in trash' }
+      }
+      const { deletedAt, ...conversation } = JSON.parse(data)
+      localStorage.setItem(`conversation:${id}`, JSON.stringify(conversation))
+      localStorage.removeItem(`trash:${id}`)
+      notifyConversationListeners({ type: 'save', conversation })
+      return { success: true, conversation: summarizeConversation(conversation) }
+    }
+
+    const dataDir = await this.getDataDir()
+    const trashPath = `${await this.getTrashDir()}/${id}.json`
+
+    const readResult = await fileSystem.readFile(trashPath)
+    if (!readResult.success) {
+      return { success: false, error: 'Conversation not found in trash' }
+    }
+
+    let conversation
+    try {
+      conversation = JSON.parse(readResult.data)
+    } catch (e) {
+      return { success: false, error: 'Failed to parse conversation data' }
+    }
+    delete conversation.deletedAt
+
+    const writeResult = await fileSystem.writeFile(`${dataDir}/${id}.json`, JSON.stringify(conversation, null, 2))
+    if (!writeResult.success) {
+      return writeResult
+    }
+    await fileSystem.deleteFile(trashPath)
+
+    const summary = summarizeConversation(conversation)
+    this.updateIndexEntry(id, summary)
+    notifyConversationListeners({ type: 'save', conversation })
+    return { success: true, conversation: summary }
+  },
+
+  // Permanently delete one trashed conversation, or with no id the whole trash
+  async deleteFromTrash(id = null) {
+    if (!isElectron()) {
+      const keys = id ? [`trash:${id}`] : Object.keys(localStorage).filter(k => k.startsWith('trash:'))
+      keys.forEach(key => localStorage.removeItem(key))
+      return { success: true }
+    }
+
+    const trashDir = await this.getTrashDir()
+    let files = [`${id}.json`]
+    if (!id) {
+      const dirResult = await fileSystem.readDir(trashDir)
+      if (!dirResult.success) {
+        return { success: true } // Nothing trashed yet
+      }
+      files = dirResult.files.filter(file => file.endsWith('.json'))
+    }
+
+    const results = await Promise.all(files.map(file => fileSystem.deleteFile(`${trashDir}/${file}`)))
+    const failed = results.find(result => !result.success)
+    blobs.scheduleGarbageCollection()
+    return failed || { success: true }
   }
 }
 
@@ -342,5 +859,6 @@ export default {
   getPlatform,
   openExternal,
   isEncryptionAvailable,
+  blobs,
   conversations
 }
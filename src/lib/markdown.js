@@ -0,0 +1,19 @@
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import rehypeRaw from 'rehype-raw'
+import rehypeSanitize from 'rehype-sanitize'
+import rehypeKatex from 'rehype-katex'
+import { minimalSanitizeSchema } from '@/lib/sanitizeSchema'
+
+// Markdown pipeline shared by the chat view and exports, so both render messages the same way
+export const remarkPlugins = [remarkGfm, remarkMath]
+
+export const rehypePlugins = [
+  rehypeRaw,
+  rehypeKatex,
+  [rehypeSanitize, minimalSanitizeSchema]
+]
+
+export const remarkRehypeOptions = {
+  allowDangerousHtml: true
+}
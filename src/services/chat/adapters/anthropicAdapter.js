@@ -3,6 +3,92 @@
  * Handles Claude-specific API format and streaming
  */
 
+import { parseDataUrl } from '@/utils/messageFormatters'
+
+/**
+ * Convert an OpenAI-style content part to an Anthropic content block
+ * - image_url parts become image blocks (base64 for data URLs, url source otherwise)
+ * - PDF file parts become document blocks
+ */
+function toAnthropicBlock(part) {
+  if (part.type === 'image_url') {
+    const url = part.image_url?.url
+    const parsed = parseDataUrl(url)
+    return parsed
+      ? { type: 'image', source: { type: 'base64', media_type: parsed.mediaType, data: parsed.data } }
+      : { type: 'image', source: { type: 'url', url } }
+  }
+
+  if (part.type === 'file') {
+    const parsed = parseDataUrl(part.file?.file_data)
+    if (parsed && parsed.mediaType === 'application/pdf') {
+      return {
+        type: 'document',
+        source: { type: 'base64', media_type: parsed.mediaType, data: parsed.data },
+        title: part.file.filename
+      }
+    }
+    return { type: 'text', text: `[Attached file: ${part.file?.filename || 'unnamed'}]` }
+  }
+
+  return part
+}
+
+// Anthropic requires budget_tokens >= 1024 and max_tokens > budget_tokens
+const MIN_THINKING_BUDGET = 1024
+
+/**
+ * Convert OpenAI-style chat messages to Anthropic messages
+ * - assistant messages with tool_calls become text + tool_use content blocks
+ * - assistant thinking_blocks (with their signatures) are replayed ahead of the content
+ * - role 'tool' messages become tool_result blocks inside a user message
+ * - consecutive messages with the same role are merged, as Anthropic requires alternation
+ */
+function toAnthropicMessages(messages) {
+  const anthropicMessages = []
+
+  const toBlocks = (content) => {
+    if (Array.isArray(content)) return content.map(toAnthropicBlock)
+    return content ? [{ type: 'text', text: content }] : []
+  }
+
+  const append = (role, content) => {
+    const previous = anthropicMessages[anthropicMessages.length - 1]
+    if (previous && previous.role === role) {
+      previous.content = [...toBlocks(previous.content), ...toBlocks(content)]
+    } else {
+      anthropicMessages.push({ role, content })
+    }
+  }
+
+  for (const msg of messages) {
+    if (msg.role === 'tool') {
+      append('user', [{
+        type: 'tool_result',
+        tool_use_id: msg.tool_call_id,
+        content: msg.content ?? ''
+      }])
+    } else if (msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0) {
+      const toolUseBlocks = msg.tool_calls.map(call => {
+        let input = {}
+        try {
+          input = call.function?.arguments ? JSON.parse(call.function.arguments) : {}
+        } catch (error) {
+          console.warn('Could not parse tool call arguments for Anthropic:', error)
+        }
+        return { type: 'tool_use', id: call.id, name: call.function?.name, input }
+      })
+      append('assistant', [...(msg.thinking_blocks || []), ...toBlocks(msg.content), ...toolUseBlocks])
+    } else if (msg.role === 'assistant' && Array.isArray(msg.thinking_blocks) && msg.thinking_blocks.length > 0) {
+      append('assistant', [...msg.thinking_blocks, ...toBlocks(msg.content)])
+    } else {
+      append(msg.role, Array.isArray(msg.content) ? toBlocks(msg.content) : msg.content)
+    }
+  }
+
+  return anthropicMessages
+}
+
 export async function sendStreamingMessage({
   apiKey,
   model,
@@ -15,14 +101,19 @@ export async function sendStreamingMessage({
   abortSignal,
   temperature = 1.0,
   maxTokens = 8192,
-  topP = null,
-  topK = null
+  topK = null,
+  tools = null, // Provider-neutral tool definitions: [{ name, description, parameters }]
+  toolChoice = null, // 'none' to forbid further tool calls, null for the provider default
+  thinkingBudget = null // Extended thinking budget in tokens, null to disable thinking
 }) {
   let fullContent = ''
   let fullReasoning = ''
   let reasoningDone = false
   let completeCalled = false
   let currentBlockType = null // Track if we're in a thinking block
+  const toolUseBlocks = new Map() // Content block index -> { id, name, json } for streamed tool_use blocks
+  const thinkingBlocks = new Map() // Content block index -> thinking/redacted_thinking block to replay in history
+  let usage = null // Input tokens arrive in message_start, output tokens in message_delta
 
   try {
     // Validate required parameters
@@ -39,19 +130,18 @@ export async function sendStreamingMessage({
     // Convert messages to Anthropic format
     // Extract system message if present (Anthropic requires it separately)
     let systemMessage = null
-    const anthropicMessages = []
+    const conversationMessages = []
 
     for (const msg of messages) {
       if (msg.role === 'system') {
         systemMessage = msg.content
       } else {
-        anthropicMessages.push({
-          role: msg.role,
-          content: msg.content
-        })
+        conversationMessages.push(msg)
       }
     }
 
+    const anthropicMessages = toAnthropicMessages(conversationMessages)
+
     const requestBody = {
       model,
       max_tokens: maxTokens,
@@ -60,15 +150,37 @@ export async function sendStreamingMessage({
       temperature
     }
 
-    // Add optional parameters
-    if (topP !== null) requestBody.top_p = topP
-    if (topK !== null) requestBody.top_k = topK
+    if (thinkingBudget) {
+      // Extended thinking - temperature must stay at 1 and top_k is not supported
+      const budgetTokens = Math.max(MIN_THINKING_BUDGET, Math.round(thinkingBudget))
+      requestBody.thinking = { type: 'enabled', budget_tokens: budgetTokens }
+      requestBody.temperature = 1
+      if (requestBody.max_tokens <= budgetTokens) {
+        requestBody.max_tokens = budgetTokens + maxTokens
+      }
+    } else {
+      // Optional parameters (top_p is left out since temperature is always set)
+      if (topK !== null) requestBody.top_k = topK
+    }
 
     // Add system message if present
     if (systemMessage) {
       requestBody.system = systemMessage
     }
 
+    // Add tool definitions (same JSON Schema as the OpenAI path, under input_schema)
+    if (tools && Array.isArray(tools) && tools.length > 0) {
+      requestBody.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }))
+
+      if (toolChoice) {
+        requestBody.tool_choice = { type: toolChoice }
+      }
+    }
+
     const response = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
@@ -102,7 +214,10 @@ export async function sendStreamingMessage({
       }
 
       // Call onError instead of throwing - prevents uncaught errors
+      // Status and retry-after let chatClient decide whether to retry
       const error = new Error(errorMessage)
+      error.status = response.status
+      error.retryAfter = response.headers.get('retry-after')
       onError(error)
       return
     }
@@ -148,20 +263,54 @@ export async function sendStreamingMessage({
 
             // Handle different event types
             switch (parsed.type) {
-              case 'message_start':
-                // Message started
+              case 'message_start': {
+                // Message started - record input usage (cached input tokens are billed as input too)
+                const startUsage = parsed.message?.usage
+                if (startUsage) {
+                  usage = {
+                    inputTokens: (startUsage.input_tokens || 0) +
+                      (startUsage.cache_creation_input_tokens || 0) +
+                      (startUsage.cache_read_input_tokens || 0),
+                    outputTokens: startUsage.output_tokens || 0,
+                    reasoningTokens: 0
+                  }
+                }
                 break
+              }
 
               case 'content_block_start':
                 // New content block starting
                 currentBlockType = parsed.content_block?.type
+
+                // Tool use block - input arrives as partial JSON in later deltas
+                if (currentBlockType === 'tool_use') {
+                  toolUseBlocks.set(parsed.index, {
+                    id: parsed.content_block.id,
+                    name: parsed.content_block.name,
+                    json: ''
+                  })
+                } else if (currentBlockType === 'thinking') {
+                  // Signature arrives in a signature_delta at the end of the block
+                  thinkingBlocks.set(parsed.index, { type: 'thinking', thinking: '', signature: '' })
+                } else if (currentBlockType === 'redacted_thinking') {
+                  // Encrypted reasoning - nothing to display, but it must be sent back unchanged
+                  thinkingBlocks.set(parsed.index, { type: 'redacted_thinking', data: parsed.content_block.data })
+                }
                 break
 
               case 'content_block_delta':
                 // Content delta (streaming text or thinking)
                 const delta = parsed.delta
 
-                if (delta?.type === 'text_delta' && delta.text) {
+                if (delta?.type === 'thinking_delta' && delta.thinking) {
+                  const thinkingBlock = thinkingBlocks.get(parsed.index)
+                  if (thinkingBlock) thinkingBlock.thinking += delta.thinking
+                  fullReasoning += delta.thinking
+                  if (onReasoningChunk) onReasoningChunk(delta.thinking, fullReasoning)
+                } else if (delta?.type === 'signature_delta' && delta.signature) {
+                  const thinkingBlock = thinkingBlocks.get(parsed.index)
+                  if (thinkingBlock) thinkingBlock.signature += delta.signature
+                } else if (delta?.type === 'text_delta' && delta.text) {
                   // Check if this is a thinking block (currentBlockType === 'thinking')
                   if (currentBlockType === 'thinking' && onReasoningChunk) {
                     fullReasoning += delta.text
@@ -176,6 +325,12 @@ export async function sendStreamingMessage({
                     fullContent += delta.text
                     onChunk(delta.text, fullContent)
                   }
+                } else if (delta?.type === 'input_json_delta') {
+                  // Accumulate tool input JSON fragments
+                  const toolUse = toolUseBlocks.get(parsed.index)
+                  if (toolUse && delta.partial_json) {
+                    toolUse.json += delta.partial_json
+                  }
                 }
                 break
 
@@ -190,7 +345,10 @@ export async function sendStreamingMessage({
                 break
 
               case 'message_delta':
-                // Message metadata update (e.g., stop_reason)
+                // Message metadata update (e.g., stop_reason) - usage.output_tokens is cumulative
+                if (parsed.usage?.output_tokens !== undefined) {
+                  usage = { ...(usage || { inputTokens: 0, reasoningTokens: 0 }), outputTokens: parsed.usage.output_tokens }
+                }
                 break
 
               case 'message_stop':
@@ -204,6 +362,8 @@ export async function sendStreamingMessage({
               case 'error':
                 // Error event
                 const error = new Error(parsed.error?.message || 'Unknown error from Claude API')
+                // Overload arrives as a stream event rather than an HTTP status
+                if (parsed.error?.type === 'overloaded_error') error.status = 529
                 onError(error)
                 return
 
@@ -230,10 +390,33 @@ export async function sendStreamingMessage({
       onReasoningComplete()
     }
 
-    // Call onComplete callback once
+    // Call onComplete callback once, passing along any completed tool_use and thinking blocks
     if (!completeCalled) {
       completeCalled = true
-      onComplete(fullContent)
+      const toolCalls = [...toolUseBlocks.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, toolUse]) => ({
+          id: toolUse.id,
+          name: toolUse.name,
+          arguments: toolUse.json || '{}'
+        }))
+
+      // Only signed blocks can be replayed - an aborted stream may end before the signature
+      const signedThinkingBlocks = [...thinkingBlocks.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([, block]) => block)
+        .filter(block => block.type === 'redacted_thinking' || block.signature)
+
+      const extra = {}
+      if (toolCalls.length > 0 && !abortSignal?.aborted) extra.toolCalls = toolCalls
+      if (signedThinkingBlocks.length > 0) extra.thinkingBlocks = signedThinkingBlocks
+      if (usage) extra.usage = usage
+
+      if (Object.keys(extra).length > 0) {
+        onComplete(fullContent, extra)
+      } else {
+        onComplete(fullContent)
+      }
     }
   } catch (error) {
     // Handle abort signal
@@ -269,6 +452,7 @@ export async function sendStreamingMessage({
     }
 
     const wrappedError = new Error(errorMessage)
+    wrappedError.isNetworkError = error.name === 'TypeError' && error.message.includes('fetch')
     onError(wrappedError)
   }
 }
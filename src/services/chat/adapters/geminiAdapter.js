@@ -3,6 +3,101 @@
  * Uses Google Generative AI API with streaming
  */
 
+import { parseDataUrl } from '@/utils/messageFormatters'
+
+/**
+ * Convert OpenAI-style message content (string or parts array) to Gemini parts
+ * Images and PDFs sent as data URLs become inlineData parts
+ */
+function toGeminiParts(content) {
+  if (!Array.isArray(content)) return [{ text: content ?? '' }]
+
+  return content.map(part => {
+    if (part.type === 'image_url') {
+      const parsed = parseDataUrl(part.image_url?.url)
+      // Gemini only accepts inline data or uploaded file URIs, so remote URLs are passed as text
+      return parsed
+        ? { inlineData: { mimeType: parsed.mediaType, data: parsed.data } }
+        : { text: `[Image: ${part.image_url?.url}]` }
+    }
+    if (part.type === 'file') {
+      const parsed = parseDataUrl(part.file?.file_data)
+      return parsed
+        ? { inlineData: { mimeType: parsed.mediaType, data: parsed.data } }
+        : { text: `[Attached file: ${part.file?.filename || 'unnamed'}]` }
+    }
+    return { text: part.text ?? '' }
+  })
+}
+
+/**
+ * Strip JSON Schema keywords the Gemini function declaration schema rejects
+ */
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toGeminiSchema)
+  if (!schema || typeof schema !== 'object') return schema
+
+  const { $schema, additionalProperties, ...rest } = schema
+  const cleaned = {}
+  for (const [key, value] of Object.entries(rest)) {
+    cleaned[key] = typeof value === 'object' ? toGeminiSchema(value) : value
+  }
+  return cleaned
+}
+
+/**
+ * Convert OpenAI-style chat messages to Gemini contents
+ * - assistant messages with tool_calls become model turns with functionCall parts
+ * - role 'tool' messages become user turns with functionResponse parts
+ * - consecutive turns with the same role are merged into one
+ */
+function toGeminiContents(messages) {
+  const contents = []
+
+  const append = (role, parts) => {
+    const previous = contents[contents.length - 1]
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts)
+    } else {
+      contents.push({ role, parts })
+    }
+  }
+
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      // functionResponse.response must be an object - wrap the raw tool output
+      let output = m.content
+      try {
+        output = JSON.parse(m.content)
+      } catch {
+        // Plain-text result, send as-is
+      }
+      append('user', [{
+        functionResponse: {
+          name: m.name,
+          response: { result: output }
+        }
+      }])
+    } else if (m.role === 'assistant' && Array.isArray(m.tool_calls) && m.tool_calls.length > 0) {
+      const parts = m.content ? [{ text: m.content }] : []
+      for (const call of m.tool_calls) {
+        let args = {}
+        try {
+          args = call.function?.arguments ? JSON.parse(call.function.arguments) : {}
+        } catch (error) {
+          console.warn('Could not parse tool call arguments for Gemini:', error)
+        }
+        parts.push({ functionCall: { name: call.function?.name, args } })
+      }
+      append('model', parts)
+    } else {
+      append(m.role === 'assistant' ? 'model' : 'user', toGeminiParts(m.content))
+    }
+  }
+
+  return contents
+}
+
 export async function sendStreamingMessage({
   apiKey,
   model,
@@ -16,12 +111,17 @@ export async function sendStreamingMessage({
   temperature = 0.7,
   maxTokens = 8192,
   topP = null,
-  topK = null
+  topK = null,
+  tools = null, // Provider-neutral tool definitions: [{ name, description, parameters }]
+  toolChoice = null, // 'none' to forbid further tool calls, null for the provider default
+  thinkingBudget = null // Thinking budget in tokens for thinking models, null for the model default
 }) {
   let fullContent = ''
   let fullReasoning = ''
   let reasoningDone = false
   let completeCalled = false
+  const toolCalls = [] // functionCall parts arrive whole, one per part
+  let usage = null // usageMetadata is repeated on chunks; the last one has the final counts
 
   try {
     // Validate required parameters
@@ -37,17 +137,18 @@ export async function sendStreamingMessage({
 
     // Convert messages to Gemini format
     // Gemini uses 'user' and 'model' roles, and 'parts' instead of 'content'
-    const contents = messages
-      .filter(m => m.role !== 'system')
-      .map(m => ({
-        role: m.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: m.content }]
-      }))
+    const contents = toGeminiContents(messages.filter(m => m.role !== 'system'))
 
     // Handle system message by prepending it to first user message if present
     const systemMessage = messages.find(m => m.role === 'system')
     if (systemMessage && contents.length > 0 && contents[0].role === 'user') {
-      contents[0].parts[0].text = `${systemMessage.content}\n\n${contents[0].parts[0].text}`
+      const firstPart = contents[0].parts[0]
+      if (firstPart && typeof firstPart.text === 'string') {
+        firstPart.text = `${systemMessage.content}\n\n${firstPart.text}`
+      } else {
+        // First user turn has only attachments - add the system prompt as its own text part
+        contents[0].parts.unshift({ text: systemMessage.content })
+      }
     }
 
     const generationConfig = {
@@ -59,11 +160,41 @@ export async function sendStreamingMessage({
     if (topP !== null) generationConfig.topP = topP
     if (topK !== null) generationConfig.topK = topK
 
+    if (thinkingBudget) {
+      // Ask for thought summaries so they can be shown as reasoning
+      generationConfig.thinkingConfig = {
+        thinkingBudget: Math.round(thinkingBudget),
+        includeThoughts: true
+      }
+      // Thinking tokens count towards maxOutputTokens, so leave room for the answer
+      generationConfig.maxOutputTokens = maxTokens + Math.round(thinkingBudget)
+    }
+
     const requestBody = {
       contents,
       generationConfig
     }
 
+    // Add tool definitions as function declarations
+    if (tools && Array.isArray(tools) && tools.length > 0) {
+      requestBody.tools = [{
+        functionDeclarations: tools.map(tool => {
+          const declaration = { name: tool.name, description: tool.description }
+          // Gemini rejects object schemas without properties, so omit empty ones
+          if (tool.parameters && Object.keys(tool.parameters.properties || {}).length > 0) {
+            declaration.parameters = toGeminiSchema(tool.parameters)
+          }
+          return declaration
+        })
+      }]
+
+      if (toolChoice) {
+        requestBody.toolConfig = {
+          functionCallingConfig: { mode: toolChoice.toUpperCase() }
+        }
+      }
+    }
+
     // Gemini API uses model name in URL and API key as query parameter
     const modelName = model.startsWith('models/') ? model : `models/${model}`
     const url = `https://generativelanguage.googleapis.com/v1beta/${modelName}:streamGenerateContent?key=${apiKey}&alt=sse`
@@ -99,7 +230,10 @@ export async function sendStreamingMessage({
       }
 
       // Call onError instead of throwing - prevents uncaught errors
+      // Status and retry-after let chatClient decide whether to retry
       const error = new Error(errorMessage)
+      error.status = response.status
+      error.retryAfter = response.headers.get('retry-after')
       onError(error)
       return
     }
@@ -138,6 +272,16 @@ export async function sendStreamingMessage({
           try {
             const parsed = JSON.parse(data)
 
+            // Thinking tokens are reported separately but billed as output
+            if (parsed.usageMetadata) {
+              const thoughtsTokens = parsed.usageMetadata.thoughtsTokenCount || 0
+              usage = {
+                inputTokens: parsed.usageMetadata.promptTokenCount || 0,
+                outputTokens: (parsed.usageMetadata.candidatesTokenCount || 0) + thoughtsTokens,
+                reasoningTokens: thoughtsTokens
+              }
+            }
+
             // Extract text from candidates
             const candidates = parsed.candidates
             if (candidates && candidates.length > 0) {
@@ -146,8 +290,23 @@ export async function sendStreamingMessage({
 
               if (content && content.parts) {
                 for (const part of content.parts) {
-                  // Handle thinking/reasoning parts for Gemini 2.0 Flash Thinking
-                  if (part.thought && onReasoningChunk) {
+                  // Handle function calls - Gemini sends each call complete in one part
+                  if (part.functionCall) {
+                    toolCalls.push({
+                      id: part.functionCall.id || `call_${Date.now()}_${toolCalls.length}`,
+                      name: part.functionCall.name,
+                      arguments: JSON.stringify(part.functionCall.args || {})
+                    })
+                  }
+                  // Handle thought parts - Gemini 2.5+ flags them with thought: true and puts the text in part.text
+                  else if (part.thought === true) {
+                    if (part.text && onReasoningChunk) {
+                      fullReasoning += part.text
+                      onReasoningChunk(part.text, fullReasoning)
+                    }
+                  }
+                  // Older experimental thinking models sent the thought text in part.thought itself
+                  else if (typeof part.thought === 'string' && onReasoningChunk) {
                     fullReasoning += part.thought
                     onReasoningChunk(part.thought, fullReasoning)
                   }
@@ -195,10 +354,18 @@ export async function sendStreamingMessage({
       onReasoningComplete()
     }
 
-    // Call onComplete callback once
+    // Call onComplete callback once, passing along any function calls
     if (!completeCalled) {
       completeCalled = true
-      onComplete(fullContent)
+      const extra = {}
+      if (toolCalls.length > 0 && !abortSignal?.aborted) extra.toolCalls = toolCalls
+      if (usage) extra.usage = usage
+
+      if (Object.keys(extra).length > 0) {
+        onComplete(fullContent, extra)
+      } else {
+        onComplete(fullContent)
+      }
     }
   } catch (error) {
     // Handle abort signal
@@ -235,6 +402,7 @@ export async function sendStreamingMessage({
     }
 
     const wrappedError = new Error(errorMessage)
+    wrappedError.isNetworkError = error.name === 'TypeError' && error.message.includes('fetch')
     onError(wrappedError)
   }
 }
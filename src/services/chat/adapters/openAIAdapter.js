@@ -20,13 +20,19 @@ export async function sendStreamingMessage({
   temperature = 0.7,
   maxTokens = null,
   topP = null,
+  topK = null, // Only sent for providers that accept top_k (e.g., OpenRouter)
   frequencyPenalty = null,
-  presencePenalty = null
+  presencePenalty = null,
+  tools = null, // Provider-neutral tool definitions: [{ name, description, parameters }]
+  toolChoice = null, // 'none' to forbid further tool calls, null for the provider default
+  includeUsage = false // Ask for a final usage chunk; some compatible servers reject stream_options
 }) {
   let fullContent = ''
   let fullReasoning = ''
   let reasoningDone = false
   let completeCalled = false
+  const toolCallsByIndex = new Map() // Streamed tool call deltas, keyed by their index
+  let usage = null // Token usage from the final chunk (requires stream_options.include_usage)
 
   try {
     // Validate required parameters
@@ -42,14 +48,18 @@ export async function sendStreamingMessage({
 
     const requestBody = {
       model,
-      messages,
+      // thinking_blocks carry Anthropic thinking signatures - not part of the OpenAI format
+      messages: messages.map(({ thinking_blocks, ...message }) => message),
       stream: true,
       temperature
     }
 
+    if (includeUsage) requestBody.stream_options = { include_usage: true }
+
     // Add optional parameters only if specified
     if (maxTokens) requestBody.max_tokens = maxTokens
     if (topP !== null) requestBody.top_p = topP
+    if (topK !== null) requestBody.top_k = topK
     if (frequencyPenalty !== null) requestBody.frequency_penalty = frequencyPenalty
     if (presencePenalty !== null) requestBody.presence_penalty = presencePenalty
 
@@ -60,7 +70,25 @@ export async function sendStreamingMessage({
 
     // Add reasoning for thinking models if specified
     if (reasoning) {
-      requestBody.reasoning = reasoning
+      // An explicit token budget replaces the effort level (OpenRouter accepts one or the other)
+      const { budgetTokens, ...reasoningConfig } = reasoning
+      requestBody.reasoning = budgetTokens ? { max_tokens: budgetTokens } : reasoningConfig
+    }
+
+    // Add tool definitions in OpenAI function-calling format
+    if (tools && Array.isArray(tools) && tools.length > 0) {
+      requestBody.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }))
+
+      if (toolChoice) {
+        requestBody.tool_choice = toolChoice
+      }
     }
 
     if (!baseUrl || typeof baseUrl !== 'string') {
@@ -99,7 +127,10 @@ export async function sendStreamingMessage({
       }
 
       // Call onError instead of throwing - prevents uncaught errors
+      // Status and retry-after let chatClient decide whether to retry
       const error = new Error(errorMessage)
+      error.status = response.status
+      error.retryAfter = response.headers.get('retry-after')
       onError(error)
       return
     }
@@ -143,6 +174,19 @@ export async function sendStreamingMessage({
           try {
             const parsed = JSON.parse(data)
 
+            // Usage arrives in a final chunk with an empty choices array
+            if (parsed.usage) {
+              usage = {
+                inputTokens: parsed.usage.prompt_tokens || 0,
+                outputTokens: parsed.usage.completion_tokens || 0,
+                reasoningTokens: parsed.usage.completion_tokens_details?.reasoning_tokens || 0
+              }
+              // OpenRouter reports the charged cost directly
+              if (typeof parsed.usage.cost === 'number') {
+                usage.cost = parsed.usage.cost
+              }
+            }
+
             // Extract content from delta
             const delta = parsed.choices?.[0]?.delta
 
@@ -182,10 +226,18 @@ export async function sendStreamingMessage({
               onChunk(delta.content, fullContent)
             }
 
-            // Handle tool/function calls (for future implementation)
-            if (delta?.tool_calls || delta?.function_call) {
-              // TODO: Implement proper tool call handling
-              // For now, log and continue
+            // Handle tool calls - arguments arrive as JSON fragments spread across deltas
+            if (Array.isArray(delta?.tool_calls)) {
+              for (const toolCallDelta of delta.tool_calls) {
+                const index = toolCallDelta.index ?? toolCallsByIndex.size
+                const existing = toolCallsByIndex.get(index) || { id: null, name: '', arguments: '' }
+
+                if (toolCallDelta.id) existing.id = toolCallDelta.id
+                if (toolCallDelta.function?.name && !existing.name) existing.name = toolCallDelta.function.name
+                if (toolCallDelta.function?.arguments) existing.arguments += toolCallDelta.function.arguments
+
+                toolCallsByIndex.set(index, existing)
+              }
             }
 
             // Check for image_url type content (multimodal responses)
@@ -231,11 +283,7 @@ export async function sendStreamingMessage({
 
             // Removed non-content delta logging for performance
 
-            // Check if stream is finished
-            if (parsed.choices?.[0]?.finish_reason) {
-              // Stream ended normally
-              break
-            }
+            // finish_reason doesn't end the stream here - the usage chunk still follows it
           } catch (parseError) {
             // Log parsing errors but continue processing other chunks
             if (process.env.NODE_ENV === 'development') {
@@ -256,10 +304,27 @@ export async function sendStreamingMessage({
       onReasoningComplete()
     }
 
-    // Call onComplete callback once
+    // Call onComplete callback once, passing along any fully assembled tool calls
     if (!completeCalled) {
       completeCalled = true
-      onComplete(fullContent)
+      const toolCalls = [...toolCallsByIndex.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([index, call]) => ({
+          id: call.id || `call_${Date.now()}_${index}`,
+          name: call.name,
+          arguments: call.arguments
+        }))
+        .filter(call => call.name)
+
+      const extra = {}
+      if (toolCalls.length > 0 && !abortSignal?.aborted) extra.toolCalls = toolCalls
+      if (usage) extra.usage = usage
+
+      if (Object.keys(extra).length > 0) {
+        onComplete(fullContent, extra)
+      } else {
+        onComplete(fullContent)
+      }
     }
   } catch (error) {
     // Handle abort signal
@@ -296,6 +361,7 @@ export async function sendStreamingMessage({
     }
 
     const wrappedError = new Error(errorMessage)
+    wrappedError.isNetworkError = error.name === 'TypeError' && error.message.includes('fetch')
     onError(wrappedError)
   }
 }
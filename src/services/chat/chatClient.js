@@ -7,6 +7,12 @@ import * as openAIAdapter from './adapters/openAIAdapter'
 import * as geminiAdapter from './adapters/geminiAdapter'
 import * as anthropicAdapter from './adapters/anthropicAdapter'
 import { getProviderById } from '@/config/providers'
+import { executeToolCall } from '@/services/tools/toolRegistry'
+import { STREAMING_CONSTANTS } from '@/constants/streaming'
+import { clampGenerationParams } from '@/utils/generationParams'
+import { addUsage } from '@/utils/usageHelpers'
+import { replaceFileParts } from '@/utils/messageFormatters'
+import { isRetryableError, isFailoverError, getRetryDelay, waitForRetry } from './retryPolicy'
 
 /**
  * Send a streaming chat message
@@ -15,11 +21,21 @@ import { getProviderById } from '@/config/providers'
  * @param {Object} params.providerConfig - Custom provider configuration (for custom providers)
  * @param {string} params.apiKey - API key for the provider
  * @param {string} params.model - Model ID
- * @param {Array} params.messages - Array of message objects [{ role: 'user'|'assistant'|'system', content: 'text' }]
+ * @param {Array} params.messages - Array of message objects [{ role: 'user'|'assistant'|'system'|'tool', content: 'text' }]
  * @param {Function} params.onChunk - Callback for each content chunk (chunk, fullContent)
- * @param {Function} params.onComplete - Callback when streaming completes (fullContent)
+ * @param {Function} params.onComplete - Callback when streaming completes (fullContent, { usage, thinkingBlocks }?)
  * @param {Function} params.onError - Callback for errors (error)
  * @param {AbortSignal} params.abortSignal - Signal to abort the request
+ * @param {Object} params.reasoning - Reasoning config { effort, budgetTokens? } for thinking models
+ * @param {Object} params.generationParams - Sampling overrides { temperature, maxTokens, topP, topK, frequencyPenalty, presencePenalty }
+ * @param {Array} params.tools - Tool definitions [{ name, description, parameters }] the model may call
+ * @param {Function} params.onToolCalls - Callback with all tool calls of this response whenever one starts or finishes
+ * @param {Function} params.executeTool - Tool executor (defaults to the tool registry)
+ * @param {number} params.maxRetries - Retries of rate-limited or failed requests before any content arrives
+ * @param {Function} params.onRetry - Callback while waiting to retry ({ attempt, maxRetries, delayMs, error }), then null when it starts
+ * @param {Array} params.fallbacks - Connections to try in order if this one fails before the first token
+ *   [{ providerId, providerConfig, apiKey, model, modalities, reasoning }]
+ * @param {Function} params.onFallback - Callback when moving to a fallback ({ providerId, model, error })
  */
 export async function sendStreamingMessage({
   providerId,
@@ -34,7 +50,15 @@ export async function sendStreamingMessage({
   onError,
   abortSignal,
   modalities = null, // For image generation: ['image', 'text']
-  reasoning = null // For thinking models: { effort: 'high' }
+  reasoning = null, // For thinking models: { effort: 'high' }, optionally with budgetTokens
+  generationParams = null, // Per-conversation sampling overrides, clamped per provider
+  tools = null,
+  onToolCalls = null,
+  executeTool = executeToolCall,
+  maxRetries = STREAMING_CONSTANTS.RETRY.DEFAULT_MAX_RETRIES,
+  onRetry = null,
+  fallbacks = [],
+  onFallback = null
 }) {
   // Validate inputs
   if (!apiKey) {
@@ -52,6 +76,288 @@ export async function sendStreamingMessage({
     return
   }
 
+  const params = {
+    providerId,
+    providerConfig,
+    apiKey,
+    model,
+    messages,
+    onChunk,
+    onReasoningChunk,
+    onReasoningComplete,
+    onComplete,
+    onError,
+    abortSignal,
+    modalities,
+    reasoning,
+    generationParams,
+    maxRetries,
+    onRetry
+  }
+
+  // The requested connection first, then the fallback chain
+  const connections = [
+    { providerId, providerConfig, apiKey, model, modalities, reasoning },
+    ...fallbacks
+      .filter(f => f.apiKey && f.model)
+      .map(f => ({ providerConfig: null, modalities: null, reasoning: null, ...f }))
+  ]
+
+  // Without tools a response is always a single turn
+  if (!tools || tools.length === 0) {
+    return dispatchWithFailover({ params, connections, onFallback })
+  }
+
+  return runToolLoop({ params, connections, onFallback, tools, onToolCalls, executeTool })
+}
+
+/**
+ * Stream a response that may call tools
+ * Each round streams one model turn; tool calls it makes are executed and fed back as
+ * role 'tool' messages until the model answers in text or MAX_TOOL_ROUNDS is reached.
+ * Content and reasoning from all rounds are reported as one continuous response.
+ */
+async function runToolLoop({ params, connections, onFallback, tools, onToolCalls, executeTool }) {
+  const { messages, onChunk, onReasoningChunk, onComplete, onError, abortSignal } = params
+  const conversation = [...messages]
+  const toolCalls = [] // Every call made during this response, with its status and result
+  const thinkingBlocks = [] // Signed thinking blocks from every round, kept for the saved message
+  let usage = null // Token usage summed over every round
+  let contentPrefix = ''
+  let reasoningPrefix = ''
+  let remainingConnections = connections // Once a fallback answers, later rounds stay with it
+
+  for (let round = 0; round <= STREAMING_CONSTANTS.MAX_TOOL_ROUNDS; round++) {
+    // On the final round, forbid further calls so the model has to answer in text
+    // (tools stay defined because the history now references them)
+    const isFinalRound = round === STREAMING_CONSTANTS.MAX_TOOL_ROUNDS
+    let turnReasoning = ''
+
+    const turn = await new Promise((resolve) => {
+      dispatchWithFailover({
+        connections: remainingConnections,
+        onFallback: (fallback) => {
+          remainingConnections = remainingConnections.slice(fallback.index)
+          if (onFallback) onFallback(fallback)
+        },
+        params: {
+          ...params,
+          messages: conversation,
+          tools,
+          toolChoice: isFinalRound ? 'none' : null,
+          onChunk: (chunk, fullContent) => onChunk(chunk, contentPrefix + fullContent),
+          onReasoningChunk: (chunk, fullReasoning) => {
+            turnReasoning = fullReasoning
+            if (onReasoningChunk) onReasoningChunk(chunk, reasoningPrefix + fullReasoning)
+          },
+          onComplete: (fullContent, extra = {}) => resolve({ content: fullContent, ...extra }),
+          onError: (error) => resolve({ error })
+        }
+      }).then(() => resolve({ content: '' })) // Adapters always report first, this is a fallback
+    })
+
+    if (turn.error) {
+      onError(turn.error)
+      return
+    }
+
+    if (turn.thinkingBlocks) {
+      thinkingBlocks.push(...turn.thinkingBlocks)
+    }
+    usage = addUsage(usage, turn.usage)
+    const completeExtra = {
+      ...(thinkingBlocks.length > 0 ? { thinkingBlocks } : {}),
+      ...(usage ? { usage } : {})
+    }
+
+    // Some servers ignore toolChoice 'none', so calls from the final round are dropped unanswered
+    const turnToolCalls = turn.toolCalls || []
+    if (turnToolCalls.length === 0 || isFinalRound || abortSignal?.aborted) {
+      onComplete(contentPrefix + turn.content, completeExtra)
+      return
+    }
+
+    // Record the calls as running so the UI can show them immediately
+    // (the round lets saved history replay each round's calls before its results)
+    const roundCalls = turnToolCalls.map(call => ({ ...call, status: 'running', result: null, round }))
+    toolCalls.push(...roundCalls)
+    if (onToolCalls) onToolCalls(toolCalls.map(call => ({ ...call })))
+
+    // Execute sequentially - tools may depend on side effects of earlier calls
+    for (const call of roundCalls) {
+      if (abortSignal?.aborted) break
+      const { result, isError } = await executeTool(call)
+      call.result = result
+      call.status = isError ? 'error' : 'complete'
+      if (onToolCalls) onToolCalls(toolCalls.map(c => ({ ...c })))
+    }
+
+    if (abortSignal?.aborted) {
+      onComplete(contentPrefix + turn.content, completeExtra)
+      return
+    }
+
+    // Feed the assistant turn and the tool results back for the next round
+    // (thinking blocks must precede tool use in the replayed turn for Anthropic)
+    conversation.push({
+      role: 'assistant',
+      content: turn.content || null,
+      ...(turn.thinkingBlocks ? { thinking_blocks: turn.thinkingBlocks } : {}),
+      tool_calls: roundCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments || '{}' }
+      }))
+    })
+    for (const call of roundCalls) {
+      conversation.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        name: call.name,
+        content: call.result
+      })
+    }
+
+    if (turn.content) {
+      contentPrefix += `${turn.content}\n\n`
+    }
+    if (turnReasoning) {
+      reasoningPrefix += `${turnReasoning}\n\n`
+    }
+  }
+}
+
+/**
+ * Send a single model turn, moving down the fallback chain while connections fail
+ * Each connection gets its own retries first. Only failures before the first chunk hand
+ * over to the next connection, and only for errors another provider might not have.
+ */
+async function dispatchWithFailover({ params, connections, onFallback = null }) {
+  const { onChunk, onReasoningChunk, onError, abortSignal } = params
+
+  for (const [index, connection] of connections.entries()) {
+    const isLast = index === connections.length - 1
+    let streamed = false
+    let failoverError = null
+
+    await dispatchWithRetry({
+      ...params,
+      ...connection,
+      onChunk: (chunk, fullContent) => {
+        streamed = true
+        onChunk(chunk, fullContent)
+      },
+      onReasoningChunk: (chunk, fullReasoning) => {
+        streamed = true
+        if (onReasoningChunk) onReasoningChunk(chunk, fullReasoning)
+      },
+      onError: (error) => {
+        if (!isLast && !streamed && !abortSignal?.aborted && isFailoverError(error)) {
+          failoverError = error
+        } else {
+          onError(error)
+        }
+      }
+    })
+
+    if (!failoverError) return
+
+    const next = connections[index + 1]
+    console.warn(`${connection.providerId}/${connection.model} failed (${failoverError.message}), falling back to ${next.providerId}/${next.model}`)
+    if (onFallback) onFallback({ index: index + 1, providerId: next.providerId, model: next.model, error: failoverError })
+  }
+}
+
+/**
+ * Send a single model turn, retrying rate limits and server errors
+ * A turn is only retried while nothing has streamed yet, so the user never sees a reply
+ * restart; after the first chunk an error is reported as usual.
+ */
+async function dispatchWithRetry({ maxRetries = 0, onRetry = null, ...params }) {
+  const { onChunk, onReasoningChunk, onComplete, onError, abortSignal } = params
+
+  for (let attempt = 0; ; attempt++) {
+    let streamed = false
+    let retryError = null
+
+    await dispatchToAdapter({
+      ...params,
+      onChunk: (chunk, fullContent) => {
+        streamed = true
+        onChunk(chunk, fullContent)
+      },
+      onReasoningChunk: (chunk, fullReasoning) => {
+        streamed = true
+        if (onReasoningChunk) onReasoningChunk(chunk, fullReasoning)
+      },
+      onError: (error) => {
+        const canRetry = !streamed && attempt < maxRetries && !abortSignal?.aborted && isRetryableError(error)
+        if (canRetry) {
+          retryError = error
+        } else {
+          onError(error)
+        }
+      }
+    })
+
+    if (!retryError) return
+
+    const delayMs = getRetryDelay(retryError, attempt)
+    if (delayMs === null) {
+      onError(retryError)
+      return
+    }
+
+    console.warn(`Request failed (${retryError.status}), retrying in ${delayMs}ms (attempt ${attempt + 1} of ${maxRetries})`)
+    const error = retryError
+    const waited = await waitForRetry(delayMs, abortSignal, (remainingMs) => {
+      if (onRetry) onRetry({ attempt: attempt + 1, maxRetries, delayMs: remainingMs, error })
+    })
+    if (onRetry) onRetry(null)
+
+    // Stopped while waiting: finish like an aborted stream, with nothing received
+    if (!waited) {
+      onComplete('')
+      return
+    }
+  }
+}
+
+/**
+ * Resolve a reasoning config to a thinking token budget
+ * An explicit budgetTokens wins; otherwise the effort level maps to a preset budget
+ */
+function getThinkingBudget(reasoning) {
+  if (!reasoning) return null
+  if (reasoning.budgetTokens) return reasoning.budgetTokens
+  const budgets = STREAMING_CONSTANTS.THINKING_BUDGET_TOKENS
+  return budgets[reasoning.effort] || budgets[STREAMING_CONSTANTS.REASONING_EFFORT]
+}
+
+/**
+ * Route a single model turn to the adapter for the provider
+ */
+async function dispatchToAdapter({
+  providerId,
+  providerConfig,
+  apiKey,
+  model,
+  messages,
+  onChunk,
+  onReasoningChunk,
+  onReasoningComplete,
+  onComplete,
+  onError,
+  abortSignal,
+  modalities = null,
+  reasoning = null,
+  generationParams = null,
+  tools = null,
+  toolChoice = null
+}) {
+  // Only the parameters this provider supports, within its allowed ranges
+  const sampling = clampGenerationParams(generationParams, providerId)
+
   // Determine which adapter to use based on provider
   try {
     // Handle built-in providers
@@ -70,7 +376,11 @@ export async function sendStreamingMessage({
             onError,
             abortSignal,
             modalities,
-            reasoning
+            reasoning,
+            tools,
+            toolChoice,
+            includeUsage: true,
+            ...sampling
           })
         } catch (adapterError) {
           // Safety net: Catch any unexpected errors from adapter
@@ -92,7 +402,11 @@ export async function sendStreamingMessage({
             onError,
             abortSignal,
             modalities,
-            reasoning
+            reasoning,
+            tools,
+            toolChoice,
+            includeUsage: true,
+            ...sampling
           })
         } catch (adapterError) {
           // Safety net: Catch any unexpected errors from adapter
@@ -107,9 +421,15 @@ export async function sendStreamingMessage({
             model,
             messages,
             onChunk,
+            onReasoningChunk,
+            onReasoningComplete,
             onComplete,
             onError,
-            abortSignal
+            abortSignal,
+            tools,
+            toolChoice,
+            thinkingBudget: getThinkingBudget(reasoning),
+            ...sampling
           })
         } catch (adapterError) {
           // Safety net: Catch any unexpected errors from adapter
@@ -128,7 +448,11 @@ export async function sendStreamingMessage({
             onReasoningComplete,
             onComplete,
             onError,
-            abortSignal
+            abortSignal,
+            tools,
+            toolChoice,
+            thinkingBudget: getThinkingBudget(reasoning),
+            ...sampling
           })
         } catch (adapterError) {
           // Safety net: Catch any unexpected errors from adapter
@@ -137,7 +461,7 @@ export async function sendStreamingMessage({
         }
 
       default:
-        // Handle custom providers (all are OpenAI-compatible)
+        // Handle custom providers (all are OpenAI-compatible, PDFs are sent as text notes)
         if (providerConfig && providerConfig.apiBaseUrl) {
           // Clean up base URL - remove trailing slashes and common path suffixes
           let baseUrl = providerConfig.apiBaseUrl.trim()
@@ -153,7 +477,7 @@ export async function sendStreamingMessage({
               apiKey,
               baseUrl,
               model,
-              messages,
+              messages: replaceFileParts(messages),
               onChunk,
               onReasoningChunk,
               onReasoningComplete,
@@ -161,7 +485,10 @@ export async function sendStreamingMessage({
               onError,
               abortSignal,
               modalities,
-              reasoning
+              reasoning,
+              tools,
+              toolChoice,
+              ...sampling
             })
           } catch (adapterError) {
             // Safety net: Catch any unexpected errors from adapter
@@ -189,7 +516,10 @@ export async function sendStreamingMessage({
                 onError,
                 abortSignal,
                 modalities,
-                reasoning
+                reasoning,
+                tools,
+                toolChoice,
+                ...sampling
               })
             } catch (adapterError) {
               // Safety net: Catch any unexpected errors from adapter
@@ -0,0 +1,102 @@
+/**
+ * Retry and failover policy for chat requests
+ * Rate limits (429) and server errors (5xx) are usually temporary, so requests that fail
+ * with them are retried after a delay: the server's retry-after if it sent one, otherwise
+ * exponential backoff with jitter so parallel requests don't retry in lockstep.
+ * When retries are exhausted, a fallback chain can hand the request to another provider.
+ */
+
+import { STREAMING_CONSTANTS } from '@/constants/streaming'
+
+const { RETRY } = STREAMING_CONSTANTS
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error reported by an adapter (with status for HTTP errors)
+ * @returns {boolean} True for rate limits and server errors
+ */
+export function isRetryableError(error) {
+  const status = error?.status
+  return status === 429 || status >= 500
+}
+
+/**
+ * Check whether a failed request should move on to the next provider of a fallback chain
+ * Besides temporary failures this covers ones that retrying the same provider can't fix:
+ * a rejected key (401/403), an exhausted quota or credit (402/429) and an unreachable host.
+ * @param {Error} error - Error reported by an adapter
+ * @returns {boolean} True if another provider may succeed
+ */
+export function isFailoverError(error) {
+  const status = error?.status
+  return Boolean(error?.isNetworkError) || [401, 402, 403, 429].includes(status) || status >= 500
+}
+
+/**
+ * Parse a retry-after header, given either in seconds or as an HTTP date
+ * @param {string} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return seconds >= 0 ? seconds * 1000 : null
+  }
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) return null
+  return Math.max(0, date - Date.now())
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of retries already made (0 for the first retry)
+ * @returns {number|null} Delay in milliseconds, or null if the server asked for too long a wait
+ */
+export function getRetryDelay(error, attempt) {
+  const retryAfter = parseRetryAfter(error?.retryAfter)
+  if (retryAfter !== null) {
+    return retryAfter <= RETRY.MAX_RETRY_AFTER_MS ? retryAfter : null
+  }
+
+  // Full jitter: anywhere between half and all of the exponential delay
+  const exponential = Math.min(RETRY.MAX_DELAY_MS, RETRY.BASE_DELAY_MS * 2 ** attempt)
+  return Math.round(exponential / 2 + Math.random() * exponential / 2)
+}
+
+/**
+ * Wait before a retry, reporting the remaining time once a second
+ * @param {number} delayMs - Time to wait
+ * @param {AbortSignal} abortSignal - Cancels the wait
+ * @param {Function} onTick - Called with the remaining milliseconds, right away and then every second
+ * @returns {Promise<boolean>} False if the wait was aborted
+ */
+export function waitForRetry(delayMs, abortSignal = null, onTick = null) {
+  return new Promise((resolve) => {
+    if (abortSignal?.aborted) {
+      resolve(false)
+      return
+    }
+
+    const endsAt = Date.now() + delayMs
+    let interval = null
+
+    const finish = (completed) => {
+      clearTimeout(timeout)
+      clearInterval(interval)
+      abortSignal?.removeEventListener('abort', handleAbort)
+      resolve(completed)
+    }
+    const handleAbort = () => finish(false)
+
+    const timeout = setTimeout(() => finish(true), delayMs)
+    if (onTick) {
+      onTick(delayMs)
+      interval = setInterval(() => onTick(Math.max(0, endsAt - Date.now())), 1000)
+    }
+    abortSignal?.addEventListener('abort', handleAbort)
+  })
+}
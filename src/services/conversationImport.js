@@ -0,0 +1,286 @@
+/**
+ * Import conversations from other chat clients' export files
+ *
+ * Supported files:
+ * - ChatGPT: conversations.json from "Export data" (message trees in `mapping`)
+ * - Claude.ai: conversations.json from "Export data" (`chat_messages` lists)
+ * - This app: a JSON export of one conversation, or an array of them
+ *
+ * Each imported conversation gets a new id and records where it came from in
+ * `importedFrom: { source, id }`, which is how re-imports are detected as duplicates.
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+import { getActiveLeafId } from '@/utils/messageTree'
+import { withoutUsage } from '@/utils/usageHelpers'
+
+export const IMPORT_SOURCES = {
+  chatgpt: 'ChatGPT',
+  claude: 'Claude.ai',
+  native: 'Chat export'
+}
+
+// Unix seconds (ChatGPT) or ISO strings (Claude) to ISO strings
+const toIsoDate = (value, fallback) => {
+  if (value === null || value === undefined || value === '') return fallback
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value)
+  return isNaN(date.getTime()) ? fallback : date.toISOString()
+}
+
+const textToDataUrl = (text) => {
+  const bytes = new TextEncoder().encode(text)
+  let binary = ''
+  bytes.forEach(byte => { binary += String.fromCharCode(byte) })
+  return `data:text/plain;base64,${btoa(binary)}`
+}
+
+const createMessage = (fields) => ({
+  id: uuidv4(),
+  role: fields.role,
+  content: fields.content || '',
+  reasoning: fields.reasoning || '',
+  isReasoningComplete: true,
+  timestamp: fields.timestamp,
+  model: fields.model || null,
+  provider: fields.provider || null,
+  attachments: fields.attachments?.length ? fields.attachments : undefined,
+  parentId: fields.parentId ?? null
+})
+
+// ===== ChatGPT =====
+
+const isChatGPTExport = (data) => Array.isArray(data) && data.length > 0 && data.every(c => c && typeof c.mapping === 'object')
+
+// Text of a ChatGPT message; non-text parts (images, files) aren't in the export
+const getChatGPTText = (content) => {
+  if (!content) return ''
+  if (content.content_type === 'code') return content.text ? `\`\`\`\n${content.text}\n\`\`\`` : ''
+  if (!Array.isArray(content.parts)) return content.text || ''
+  return content.parts.map(part => {
+    if (typeof part === 'string') return part
+    if (part?.content_type === 'image_asset_pointer') return '_[Image not included in the export]_'
+    return part?.text || ''
+  }).filter(Boolean).join('\n\n')
+}
+
+// Reasoning shown before a reply by reasoning models ("thoughts" nodes)
+const getChatGPTThoughts = (content) => {
+  if (content?.content_type !== 'thoughts' || !Array.isArray(content.thoughts)) return ''
+  return content.thoughts.map(t => [t.summary && `**${t.summary}**`, t.content].filter(Boolean).join('\n\n')).join('\n\n')
+}
+
+const convertChatGPTConversation = (source) => {
+  const createdAt = toIsoDate(source.create_time, new Date().toISOString())
+  const messages = []
+  const importedIds = new Map() // ChatGPT node id -> imported message id (or its nearest imported ancestor)
+  const pendingReasoning = new Map() // imported parent id -> reasoning waiting for the next assistant reply
+
+  // Walk the tree from the root so parents are imported before their children
+  const roots = Object.values(source.mapping).filter(node => !node.parent || !source.mapping[node.parent])
+  const stack = [...roots].reverse()
+  while (stack.length > 0) {
+    const node = stack.pop()
+    const parentId = node.parent ? importedIds.get(node.parent) ?? null : null
+    const message = node.message
+    const role = message?.author?.role
+    const hidden = message?.metadata?.is_visually_hidden_from_conversation
+
+    const thoughts = getChatGPTThoughts(message?.content)
+    const text = getChatGPTText(message?.content)
+
+    if (thoughts) {
+      pendingReasoning.set(parentId, [pendingReasoning.get(parentId), thoughts].filter(Boolean).join('\n\n'))
+      importedIds.set(node.id, parentId)
+    } else if (!hidden && (role === 'user' || role === 'assistant') && text.trim()) {
+      const imported = createMessage({
+        role,
+        content: text,
+        reasoning: role === 'assistant' ? pendingReasoning.get(parentId) : '',
+        timestamp: toIsoDate(message.create_time, createdAt),
+        model: role === 'assistant' ? message.metadata?.model_slug : null,
+        provider: role === 'assistant' ? 'openai' : null,
+        parentId
+      })
+      if (role === 'assistant') pendingReasoning.delete(parentId)
+      messages.push(imported)
+      importedIds.set(node.id, imported.id)
+    } else {
+      // System prompts, tool calls and empty nodes are skipped; their children attach to the parent
+      importedIds.set(node.id, parentId)
+    }
+
+    const children = (node.children || []).map(id => source.mapping[id]).filter(Boolean)
+    stack.push(...children.reverse())
+  }
+
+  const lastModel = [...messages].reverse().find(m => m.model)?.model || null
+  return {
+    title: source.title || 'Imported Conversation',
+    messages,
+    activeLeafId: importedIds.get(source.current_node) || getActiveLeafId(messages, null),
+    createdAt,
+    updatedAt: toIsoDate(source.update_time, createdAt),
+    provider: 'openai',
+    model: lastModel,
+    importedFrom: { source: 'chatgpt', id: source.conversation_id || source.id }
+  }
+}
+
+// ===== Claude.ai =====
+
+const isClaudeExport = (data) => Array.isArray(data) && data.length > 0 && data.every(c => c && Array.isArray(c.chat_messages))
+
+const getClaudeContent = (message) => {
+  const blocks = Array.isArray(message.content) ? message.content : []
+  const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('\n\n')
+  const reasoning = blocks.filter(b => b.type === 'thinking').map(b => b.thinking).join('\n\n')
+  return { text: text || message.text || '', reasoning }
+}
+
+// Claude exports include the extracted text of uploaded files, but not images
+const getClaudeAttachments = (message) => {
+  const attachments = (message.attachments || [])
+    .filter(a => a.extracted_content)
+    .map(a => ({
+      id: uuidv4(),
+      name: a.file_name || 'attachment.txt',
+      type: 'text/plain',
+      size: a.file_size || new TextEncoder().encode(a.extracted_content).length,
+      data: textToDataUrl(a.extracted_content),
+      isImage: false
+    }))
+  const missingFiles = (message.files || []).map(f => f.file_name).filter(Boolean)
+  return { attachments, missingFiles }
+}
+
+const convertClaudeConversation = (source) => {
+  const createdAt = toIsoDate(source.created_at, new Date().toISOString())
+  const importedIds = new Map() // Claude message uuid -> imported message id
+  const messages = []
+
+  for (const message of source.chat_messages) {
+    const { text, reasoning } = getClaudeContent(message)
+    const { attachments, missingFiles } = getClaudeAttachments(message)
+    const content = [text, ...missingFiles.map(name => `_[${name} not included in the export]_`)].filter(Boolean).join('\n\n')
+
+    // Newer exports link messages into a tree; older ones are a plain list
+    const previous = messages[messages.length - 1]
+    const parentId = message.parent_message_uuid
+      ? importedIds.get(message.parent_message_uuid) ?? null
+      : previous?.id ?? null
+
+    if (!content.trim() && attachments.length === 0) {
+      importedIds.set(message.uuid, parentId) // Replies to an empty message attach to its parent
+      continue
+    }
+
+    const imported = createMessage({
+      role: message.sender === 'human' ? 'user' : 'assistant',
+      content,
+      reasoning,
+      attachments,
+      timestamp: toIsoDate(message.created_at, createdAt),
+      provider: message.sender === 'human' ? null : 'anthropic',
+      parentId
+    })
+    messages.push(imported)
+    importedIds.set(message.uuid, imported.id)
+  }
+
+  return {
+    title: source.name || 'Imported Conversation',
+    messages,
+    activeLeafId: getActiveLeafId(messages, null),
+    createdAt,
+    updatedAt: toIsoDate(source.updated_at, createdAt),
+    provider: 'anthropic',
+    model: source.model || null,
+    importedFrom: { source: 'claude', id: source.uuid }
+  }
+}
+
+// ===== This app =====
+
+const isNativeConversation = (c) => c && typeof c.id === 'string' && Array.isArray(c.messages)
+const isNativeExport = (data) => isNativeConversation(data) || (Array.isArray(data) && data.length > 0 && data.every(isNativeConversation))
+
+const convertNativeConversation = (source) => {
+  // Fresh message ids keep imports independent of the originals, so the tree is remapped
+  const idMap = new Map(source.messages.map(m => [m.id, uuidv4()]))
+  const messages = source.messages.map((message, index) => {
+    const parentId = message.parentId !== undefined
+      ? message.parentId
+      : source.messages[index - 1]?.id ?? null
+    // The original still counts this spend, so the copy carries no usage
+    return { ...withoutUsage(message), id: idMap.get(message.id), parentId: parentId ? idMap.get(parentId) ?? null : null }
+  })
+
+  const { id, forkedFrom, ...rest } = source
+  const now = new Date().toISOString()
+  return {
+    ...rest,
+    title: source.title || 'Imported Conversation',
+    createdAt: source.createdAt || now,
+    updatedAt: source.updatedAt || now,
+    messages,
+    activeLeafId: source.activeLeafId ? idMap.get(source.activeLeafId) : undefined,
+    // A re-export of an import still points at the original
+    importedFrom: source.importedFrom || { source: 'native', id }
+  }
+}
+
+/**
+ * Parse an export file into conversations ready to save
+ * @param {string} text - File contents
+ * @returns {Object} { source, conversations } where source is a key of IMPORT_SOURCES
+ * @throws {Error} If the file isn't JSON or isn't a supported export
+ */
+export function parseImportFile(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+
+  let source, converted
+  if (isChatGPTExport(data)) {
+    source = 'chatgpt'
+    converted = data.map(convertChatGPTConversation)
+  } else if (isClaudeExport(data)) {
+    source = 'claude'
+    converted = data.map(convertClaudeConversation)
+  } else if (isNativeExport(data)) {
+    source = 'native'
+    converted = (Array.isArray(data) ? data : [data]).map(convertNativeConversation)
+  } else {
+    throw new Error('Unrecognized format. Choose a ChatGPT or Claude.ai conversations.json, or a JSON export from this app.')
+  }
+
+  const conversations = converted
+    .filter(c => c.messages.length > 0)
+    .map(c => ({ ...c, id: uuidv4() }))
+
+  return { source, conversations }
+}
+
+/**
+ * Find which parsed conversations were imported before
+ * @param {Array} imported - Conversations from parseImportFile
+ * @param {Array} existing - Conversations (or summaries) already saved
+ * @returns {Set<string>} IDs of the parsed conversations that are duplicates
+ */
+export function findDuplicateImports(imported, existing) {
+  const existingKeys = new Set()
+  for (const conversation of existing) {
+    if (conversation.importedFrom) {
+      existingKeys.add(`${conversation.importedFrom.source}:${conversation.importedFrom.id}`)
+    }
+    // Our own exports are also duplicates of the conversation they were exported from
+    existingKeys.add(`native:${conversation.id}`)
+  }
+
+  return new Set(imported
+    .filter(c => existingKeys.has(`${c.importedFrom.source}:${c.importedFrom.id}`))
+    .map(c => c.id))
+}
@@ -72,6 +72,8 @@ async function fetchOpenRouterModels(apiKey) {
         outputModalities: architecture.output_modalities || ['text'],
         // Reasoning capability detected from official API fields
         supportsReasoning,
+        // Tool/function calling capability
+        supportsTools: supportedParams.includes('tools'),
         // Store detection details for debugging
         reasoningDetection: {
           hasReasoningParam,
@@ -175,6 +177,8 @@ async function fetchGeminiModels(apiKey) {
         name: formatGeminiName(model.displayName || model.name),
         contextWindow: formatContextWindow(model.inputTokenLimit),
         description: model.description || '',
+        // Thinking models report thinking: true in the models list
+        supportsReasoning: model.thinking === true,
         pricing: null
       }))
   } catch (error) {
@@ -225,6 +229,7 @@ async function fetchAnthropicModels(apiKey) {
         : model.id.includes('sonnet') ? 'Balanced performance and intelligence'
         : model.id.includes('haiku') ? 'Fast and efficient model'
         : '',
+      supportsReasoning: supportsAnthropicThinking(model.id),
       pricing: null
     }))
   } catch (error) {
@@ -332,6 +337,11 @@ export async function fetchModelsForProvider(providerId, apiKey, customProviderC
  * Helper functions
  */
 
+// Extended thinking is available from Claude 3.7 Sonnet and on all Claude 4 models
+function supportsAnthropicThinking(modelId) {
+  return /claude-(3-7-sonnet|(opus|sonnet|haiku)-4)/.test(modelId)
+}
+
 function formatContextWindow(tokens) {
   if (!tokens) return 'Unknown'
   if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`
@@ -384,12 +394,22 @@ function formatAnthropicName(name) {
   return name.replace(/-/g, ' ').split(' ').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ')
 }
 
+// Context windows of known OpenAI models; anything else is reported as unknown
+// rather than guessed, since ChatWindow trims the history to fit this value
 function getOpenAIContextWindow(modelId) {
   const contextWindows = {
+    'gpt-5': '400k',
+    'gpt-5-mini': '400k',
+    'gpt-5-nano': '400k',
+    'gpt-4.1': '1M',
+    'gpt-4.1-mini': '1M',
+    'gpt-4.1-nano': '1M',
     'gpt-4o': '128k',
     'gpt-4o-mini': '128k',
-    'o3-mini': '128k',
-    'o1': '128k',
+    'o4-mini': '200k',
+    'o3': '200k',
+    'o3-mini': '200k',
+    'o1': '200k',
     'o1-preview': '128k',
     'o1-mini': '128k',
     'gpt-4-turbo': '128k',
@@ -405,15 +425,9 @@ function getOpenAIContextWindow(modelId) {
     'gpt-3.5-turbo-0125': '16k'
   }
 
-  // Try exact match first
-  if (contextWindows[modelId]) return contextWindows[modelId]
-
-  // Try partial match
-  for (const [key, value] of Object.entries(contextWindows)) {
-    if (modelId.includes(key)) return value
-  }
-
-  return '8k' // Default
+  // Exact match, or a dated snapshot of a known model (e.g. "gpt-4o-2024-08-06")
+  const baseId = modelId.replace(/-(\d{4}-\d{2}-\d{2}|\d{4})$/, '')
+  return contextWindows[modelId] || contextWindows[baseId] || 'Unknown'
 }
 
 function getOpenAIDescription(modelId) {
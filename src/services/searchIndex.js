@@ -0,0 +1,248 @@
+/**
+ * Full-text search over saved conversations
+ * Indexes conversation titles and every message's content and reasoning (all branches),
+ * then stays current by listening to conversation storage saves and deletes.
+ *
+ * The index is built lazily on first use from conversations.list(). Each indexed text
+ * is split into lowercase word tokens; a query matches texts containing a token that
+ * starts with each of its words.
+ */
+
+import { conversations as conversationStorage } from '@/lib/electron'
+
+const SNIPPET_CONTEXT_CHARS = 60
+
+const entries = new Map() // entryKey -> { conversationId, messageId, field, role, text, tokens }
+const tokenIndex = new Map() // token -> Set of entryKeys
+const conversationMeta = new Map() // conversationId -> { title, updatedAt, entryKeys: Set }
+
+let buildPromise = null
+let unsubscribe = null
+
+// Lowercase word tokens (letters and digits in any script)
+const tokenize = (text) => {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
+
+// Drop inline data URLs (generated images) and blob references so payloads and hashes aren't indexed
+const cleanText = (text) => {
+  if (!text || typeof text !== 'string') return ''
+  return text.replace(/(data|chatblob):[^\s)"']+/g, '')
+}
+
+const removeEntry = (key) => {
+  const entry = entries.get(key)
+  if (!entry) return
+  for (const token of entry.tokens) {
+    const keys = tokenIndex.get(token)
+    if (!keys) continue
+    keys.delete(key)
+    if (keys.size === 0) tokenIndex.delete(token)
+  }
+  entries.delete(key)
+}
+
+const setEntry = (key, entry) => {
+  // Unchanged texts keep their tokens - most saves only touch the streaming message
+  const existing = entries.get(key)
+  if (existing && existing.text === entry.text) {
+    entries.set(key, { ...existing, role: entry.role })
+    return
+  }
+
+  removeEntry(key)
+  const tokens = new Set(tokenize(entry.text))
+  entries.set(key, { ...entry, tokens })
+  for (const token of tokens) {
+    if (!tokenIndex.has(token)) tokenIndex.set(token, new Set())
+    tokenIndex.get(token).add(key)
+  }
+}
+
+/**
+ * Add or refresh a conversation in the index
+ * @param {Object} conversation - Conversation with title and messages
+ */
+export function indexConversation(conversation) {
+  if (!conversation?.id) return
+
+  const previousKeys = conversationMeta.get(conversation.id)?.entryKeys || new Set()
+  const entryKeys = new Set()
+
+  const addText = (messageId, field, role, text) => {
+    const cleaned = cleanText(text)
+    if (!cleaned.trim()) return
+    const key = `${conversation.id}:${messageId || ''}:${field}`
+    setEntry(key, { conversationId: conversation.id, messageId, field, role, text: cleaned })
+    entryKeys.add(key)
+  }
+
+  addText(null, 'title', null, conversation.title)
+  for (const message of conversation.messages || []) {
+    addText(message.id, 'content', message.role, message.content)
+    addText(message.id, 'reasoning', message.role, message.reasoning)
+  }
+
+  // Drop entries for messages that no longer exist
+  for (const key of previousKeys) {
+    if (!entryKeys.has(key)) removeEntry(key)
+  }
+
+  conversationMeta.set(conversation.id, {
+    title: conversation.title,
+    updatedAt: conversation.updatedAt,
+    entryKeys
+  })
+}
+
+/**
+ * Remove a conversation from the index
+ * @param {string} conversationId - Conversation ID
+ */
+export function removeConversationFromIndex(conversationId) {
+  const meta = conversationMeta.get(conversationId)
+  if (!meta) return
+  for (const key of meta.entryKeys) {
+    removeEntry(key)
+  }
+  conversationMeta.delete(conversationId)
+}
+
+/**
+ * Build the index from storage (once) and start tracking changes
+ * Safe to call repeatedly; later calls return the same promise.
+ * @returns {Promise<void>}
+ */
+export function buildSearchIndex() {
+  if (buildPromise) return buildPromise
+
+  buildPromise = (async () => {
+    // Changes that arrive while listing win over the listed copies
+    const changedDuringBuild = new Set()
+
+    unsubscribe = conversationStorage.subscribe((event) => {
+      if (event.type === 'save') {
+        changedDuringBuild.add(event.conversation.id)
+        indexConversation(event.conversation)
+      } else if (event.type === 'delete') {
+        changedDuringBuild.add(event.id)
+        removeConversationFromIndex(event.id)
+      }
+    })
+
+    try {
+      const result = await conversationStorage.list()
+      if (!result.success) throw new Error(result.error || 'Failed to list conversations')
+
+      for (const conversation of result.conversations) {
+        if (!changedDuringBuild.has(conversation.id)) {
+          indexConversation(conversation)
+        }
+      }
+    } catch (error) {
+      console.error('Failed to build search index:', error)
+      // Allow a later call to retry
+      if (unsubscribe) unsubscribe()
+      unsubscribe = null
+      buildPromise = null
+    }
+  })()
+
+  return buildPromise
+}
+
+// Split a text into highlighted and plain segments around the first match
+const buildSnippet = (text, terms) => {
+  const lower = text.toLowerCase()
+  const firstMatch = Math.min(...terms.map(term => {
+    const index = lower.indexOf(term)
+    return index < 0 ? Infinity : index
+  }))
+  const center = Number.isFinite(firstMatch) ? firstMatch : 0
+
+  const start = Math.max(0, center - SNIPPET_CONTEXT_CHARS)
+  const end = Math.min(text.length, center + SNIPPET_CONTEXT_CHARS * 2)
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ')
+  const excerptLower = excerpt.toLowerCase()
+
+  // Mark every occurrence of every term inside the excerpt
+  const marks = new Array(excerpt.length).fill(false)
+  for (const term of terms) {
+    let index = excerptLower.indexOf(term)
+    while (index >= 0) {
+      marks.fill(true, index, index + term.length)
+      index = excerptLower.indexOf(term, index + term.length)
+    }
+  }
+
+  const segments = []
+  for (let i = 0; i < excerpt.length; i++) {
+    const last = segments[segments.length - 1]
+    if (last && last.highlight === marks[i]) {
+      last.text += excerpt[i]
+    } else {
+      segments.push({ text: excerpt[i], highlight: marks[i] })
+    }
+  }
+
+  if (start > 0) segments.unshift({ text: '…', highlight: false })
+  if (end < text.length) segments.push({ text: '…', highlight: false })
+  return segments
+}
+
+// Entry keys whose tokens start with the term
+const findEntryKeys = (term) => {
+  const keys = new Set()
+  for (const [token, tokenKeys] of tokenIndex) {
+    if (token.startsWith(term)) {
+      tokenKeys.forEach(key => keys.add(key))
+    }
+  }
+  return keys
+}
+
+/**
+ * Search indexed conversations
+ * @param {string} query - Search text; every word must match
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of results (default 50)
+ * @returns {Array} Results [{ conversationId, conversationTitle, messageId, field, role, snippet }]
+ *   sorted by relevance, where snippet is [{ text, highlight }] and messageId is null for title matches
+ */
+export function searchConversations(query, { limit = 50 } = {}) {
+  const terms = tokenize(query || '')
+  if (terms.length === 0) return []
+
+  // Entries must contain every term
+  let matches = null
+  for (const term of terms) {
+    const keys = findEntryKeys(term)
+    matches = matches ? new Set([...matches].filter(key => keys.has(key))) : keys
+    if (matches.size === 0) return []
+  }
+
+  const results = [...matches].map(key => {
+    const entry = entries.get(key)
+    const meta = conversationMeta.get(entry.conversationId)
+    const lower = entry.text.toLowerCase()
+    // Rank titles first, then by how often the terms occur, then by recency
+    const occurrences = terms.reduce((count, term) => count + lower.split(term).length - 1, 0)
+    return {
+      conversationId: entry.conversationId,
+      conversationTitle: meta?.title || 'Untitled',
+      messageId: entry.messageId,
+      field: entry.field,
+      role: entry.role,
+      score: (entry.field === 'title' ? 1000 : 0) + occurrences,
+      updatedAt: meta?.updatedAt || '',
+      text: entry.text
+    }
+  })
+
+  results.sort((a, b) => b.score - a.score || b.updatedAt.localeCompare(a.updatedAt))
+
+  return results.slice(0, limit).map(({ score, updatedAt, text, ...result }) => ({
+    ...result,
+    snippet: buildSnippet(text, terms)
+  }))
+}
@@ -0,0 +1,24 @@
+/**
+ * Built-in tools available to every conversation
+ * Kept side-effect free so they are safe to run without user confirmation
+ */
+
+export const BUILTIN_TOOLS = [
+  {
+    name: 'get_current_datetime',
+    description: 'Get the current date and time on the user\'s machine, including the local time zone.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    execute: async () => {
+      const now = new Date()
+      return {
+        iso: now.toISOString(),
+        local: now.toLocaleString(),
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      }
+    }
+  }
+]
@@ -0,0 +1,125 @@
+/**
+ * Renderer-side tool registry
+ * Holds tool definitions the model may call and executes the resulting tool calls
+ *
+ * Tool definitions use a provider-neutral schema:
+ * { name, description, parameters: <JSON Schema object>, execute: async (args) => result }
+ * Each adapter translates { name, description, parameters } into its own request format.
+ */
+
+import { BUILTIN_TOOLS } from './builtinTools'
+
+const tools = new Map()
+
+/**
+ * Register a tool (replaces any existing tool with the same name)
+ * @param {Object} tool
+ * @param {string} tool.name - Unique tool name (letters, digits, underscores, dashes)
+ * @param {string} tool.description - What the tool does, shown to the model
+ * @param {Object} tool.parameters - JSON Schema describing the arguments object
+ * @param {Function} tool.execute - Async function receiving parsed arguments
+ * @param {boolean} tool.enabled - Whether the tool is offered to the model (default true)
+ */
+export function registerTool(tool) {
+  if (!tool || !tool.name || typeof tool.execute !== 'function') {
+    throw new Error('A tool needs a name and an execute function')
+  }
+
+  tools.set(tool.name, {
+    description: '',
+    parameters: { type: 'object', properties: {} },
+    enabled: true,
+    ...tool
+  })
+}
+
+/**
+ * Remove a tool from the registry
+ * @param {string} name - Tool name
+ */
+export function unregisterTool(name) {
+  tools.delete(name)
+}
+
+/**
+ * Enable or disable a registered tool without removing it
+ * @param {string} name - Tool name
+ * @param {boolean} enabled - Whether the tool is offered to the model
+ */
+export function setToolEnabled(name, enabled) {
+  const tool = tools.get(name)
+  if (tool) {
+    tools.set(name, { ...tool, enabled })
+  }
+}
+
+/**
+ * Get a registered tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|undefined}
+ */
+export function getTool(name) {
+  return tools.get(name)
+}
+
+/**
+ * Get all registered tools
+ * @returns {Array}
+ */
+export function getAllTools() {
+  return [...tools.values()]
+}
+
+/**
+ * Get definitions of enabled tools in the provider-neutral schema
+ * @returns {Array<{name: string, description: string, parameters: Object}>}
+ */
+export function getToolDefinitions() {
+  return getAllTools()
+    .filter(tool => tool.enabled)
+    .map(({ name, description, parameters }) => ({ name, description, parameters }))
+}
+
+/**
+ * Execute a tool call requested by the model
+ * Never throws - failures are returned as an error result so they can be fed back to the model
+ * @param {Object} toolCall - { id, name, arguments } where arguments is a JSON string or object
+ * @returns {Promise<{result: string, isError: boolean}>}
+ */
+export async function executeToolCall(toolCall) {
+  const tool = tools.get(toolCall.name)
+  if (!tool) {
+    return { result: `Error: Unknown tool "${toolCall.name}"`, isError: true }
+  }
+
+  let args = toolCall.arguments
+  if (typeof args === 'string') {
+    try {
+      args = args.trim() ? JSON.parse(args) : {}
+    } catch (error) {
+      return { result: `Error: Invalid JSON arguments for "${toolCall.name}": ${error.message}`, isError: true }
+    }
+  }
+
+  try {
+    const output = await tool.execute(args || {})
+    const result = typeof output === 'string' ? output : JSON.stringify(output ?? null)
+    return { result, isError: false }
+  } catch (error) {
+    console.error(`Tool "${toolCall.name}" failed:`, error)
+    return { result: `Error: ${error.message || 'Tool execution failed'}`, isError: true }
+  }
+}
+
+// Register built-in tools on first import
+BUILTIN_TOOLS.forEach(registerTool)
+
+export default {
+  registerTool,
+  unregisterTool,
+  setToolEnabled,
+  getTool,
+  getAllTools,
+  getToolDefinitions,
+  executeToolCall
+}
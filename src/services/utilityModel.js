@@ -0,0 +1,140 @@
+/**
+ * Background tasks run on the utility model
+ * The utility model is a cheap model chosen in Settings for work the user doesn't watch
+ * stream in, such as naming conversations and summarizing older messages.
+ */
+
+import { sendStreamingMessage } from '@/services/chat/chatClient'
+
+// Long first messages are cut down; the start is enough to name the conversation
+const MAX_EXCERPT_LENGTH = 2000
+const MAX_TITLE_LENGTH = 60
+
+const TITLE_PROMPT = 'Write a short title (at most 6 words) for the conversation below. ' +
+  'Reply with the title only: no quotes, no trailing punctuation, no prefix like "Title:".'
+
+/**
+ * Send a one-off request and resolve with the full response text
+ * @param {Object} params
+ * @param {string} params.providerId - Provider ID
+ * @param {Object} params.providerConfig - Custom provider configuration (for custom providers)
+ * @param {string} params.apiKey - API key for the provider
+ * @param {string} params.model - Model ID
+ * @param {Array} params.messages - Messages to send [{ role, content }]
+ * @param {AbortSignal} params.abortSignal - Signal to abort the request
+ * @returns {Promise<string>} Response text
+ */
+export function runUtilityRequest({ providerId, providerConfig = null, apiKey, model, messages, abortSignal = null }) {
+  return new Promise((resolve, reject) => {
+    sendStreamingMessage({
+      providerId,
+      providerConfig,
+      apiKey,
+      model,
+      messages,
+      abortSignal,
+      onChunk: () => {},
+      onReasoningChunk: () => {},
+      onReasoningComplete: () => {},
+      onComplete: (fullContent) => resolve(fullContent || ''),
+      onError: reject
+    }).catch(reject)
+  })
+}
+
+/**
+ * Tidy a model-written title: first line only, without quotes, prefixes or a trailing period
+ * @param {string} text - Raw response
+ * @returns {string} Title, or an empty string if nothing usable is left
+ */
+export function cleanTitle(text = '') {
+  let title = text.trim().split('\n')[0].trim()
+  title = title.replace(/^(title|subject)\s*:\s*/i, '')
+  title = title.replace(/^["'`*#\s]+|["'`*\s]+$/g, '')
+  title = title.replace(/[.。]+$/, '').trim()
+
+  if (title.length > MAX_TITLE_LENGTH) {
+    title = title.substring(0, MAX_TITLE_LENGTH).trim() + '...'
+  }
+  return title
+}
+
+/**
+ * Ask the utility model for a concise conversation title from the first exchange
+ * @param {Object} params - Connection params as for runUtilityRequest (without messages)
+ * @param {string} params.userContent - First user message
+ * @param {string} params.assistantContent - First assistant reply
+ * @returns {Promise<string>} Title (empty if the model returned nothing usable)
+ */
+export async function generateConversationTitle({ userContent, assistantContent, ...connection }) {
+  const excerpt = (text) => text.length > MAX_EXCERPT_LENGTH ? text.substring(0, MAX_EXCERPT_LENGTH) + '...' : text
+
+  const response = await runUtilityRequest({
+    ...connection,
+    messages: [
+      { role: 'system', content: TITLE_PROMPT },
+      { role: 'user', content: `User: ${excerpt(userContent)}\n\nAssistant: ${excerpt(assistantContent)}` }
+    ]
+  })
+  return cleanTitle(response)
+}
+
+// Summaries are built from at most this much transcript (the most recent part is kept)
+const MAX_TRANSCRIPT_LENGTH = 48000
+const MAX_TRANSCRIPT_MESSAGE_LENGTH = 4000
+
+const SUMMARY_PROMPT = 'Summarize the conversation below so it can replace the original messages as context for continuing it. ' +
+  'Keep facts, decisions, names, numbers, code identifiers and open questions; drop pleasantries. ' +
+  'If a previous summary is given, merge it with the new messages into one summary. Reply with the summary only.'
+
+// Plain-text transcript of messages; attachments are listed by name
+const toTranscript = (messages) => {
+  const entries = messages.map(m => {
+    const speaker = m.role === 'user' ? 'User' : 'Assistant'
+    let text = typeof m.content === 'string' ? m.content : ''
+    if (text.length > MAX_TRANSCRIPT_MESSAGE_LENGTH) {
+      text = text.substring(0, MAX_TRANSCRIPT_MESSAGE_LENGTH) + '...'
+    }
+    const attachments = (m.attachments || []).map(a => `[Attached: ${a.name}]`).join(' ')
+    return `${speaker}: ${[text, attachments].filter(Boolean).join('\n')}`
+  })
+
+  // Keep the most recent entries that fit
+  const kept = []
+  let length = 0
+  for (const entry of entries.reverse()) {
+    if (length + entry.length > MAX_TRANSCRIPT_LENGTH && kept.length > 0) break
+    kept.unshift(entry)
+    length += entry.length
+  }
+  return kept.join('\n\n')
+}
+
+/**
+ * Ask the utility model to condense messages (and an earlier summary of what preceded them)
+ * @param {Object} params - Connection params as for runUtilityRequest (without messages)
+ * @param {Array} params.messages - Conversation messages to summarize, in order
+ * @param {string} params.previousSummary - Summary of the messages before these, if any
+ * @returns {Promise<string>} Summary text
+ */
+export async function summarizeMessages({ messages, previousSummary = null, ...connection }) {
+  const parts = []
+  if (previousSummary) {
+    parts.push(`Previous summary:\n${previousSummary}`)
+  }
+  parts.push(`Messages:\n${toTranscript(messages)}`)
+
+  const response = await runUtilityRequest({
+    ...connection,
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: parts.join('\n\n') }
+    ]
+  })
+
+  const summary = response.trim()
+  if (!summary) {
+    throw new Error('The utility model returned an empty summary')
+  }
+  return summary
+}
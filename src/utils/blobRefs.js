@@ -0,0 +1,109 @@
+/**
+ * Utility functions for blob references
+ *
+ * Conversation files don't embed images: each binary is stored once in the blob store
+ * (userData/blobs/<sha256>) and saved messages refer to it as "chatblob:<sha256>;<mediaType>"
+ * wherever the base64 data URL used to be. Messages in memory always hold data URLs.
+ */
+
+// Inline base64 data URLs, e.g. inside [GENERATED_IMAGE:...:END_IMAGE] markers or markdown images
+const DATA_URL_PATTERN = /data:[\w.+-]+\/[\w.+-]+;base64,[A-Za-z0-9+/=]+/g
+const BLOB_REF_PATTERN = /chatblob:([0-9a-f]{64});([\w.+-]+\/[\w.+-]+)/g
+
+/**
+ * Build a blob reference
+ * @param {string} hash - SHA-256 of the blob (hex)
+ * @param {string} mediaType - MIME type of the blob (e.g., "image/png")
+ * @returns {string} Reference stored in place of the data URL
+ */
+export function createBlobRef(hash, mediaType) {
+  return `chatblob:${hash};${mediaType}`
+}
+
+/**
+ * Split a blob reference into its hash and media type
+ * @param {string} ref - Blob reference
+ * @returns {Object|null} { hash, mediaType }, or null if not a blob reference
+ */
+export function parseBlobRef(ref) {
+  const match = new RegExp(`^${BLOB_REF_PATTERN.source}$`).exec(ref || '')
+  if (!match) return null
+  return { hash: match[1], mediaType: match[2] }
+}
+
+// Replace every match of a global pattern using an async replacer; null results keep the match
+const replaceAsync = async (text, pattern, replacer) => {
+  const matches = [...text.matchAll(pattern)]
+  if (matches.length === 0) return text
+
+  const replacements = await Promise.all(matches.map(match => replacer(match[0])))
+  let result = ''
+  let lastIndex = 0
+  matches.forEach((match, i) => {
+    result += text.slice(lastIndex, match.index) + (replacements[i] ?? match[0])
+    lastIndex = match.index + match[0].length
+  })
+  return result + text.slice(lastIndex)
+}
+
+// Apply a replacement to the text content and attachment data of every message
+const mapMessageBlobs = (messages, pattern, replacer) => {
+  return Promise.all(messages.map(async (message) => {
+    const content = typeof message.content === 'string'
+      ? await replaceAsync(message.content, pattern, replacer)
+      : message.content
+
+    const attachments = message.attachments
+      ? await Promise.all(message.attachments.map(async (attachment) => (
+          typeof attachment.data === 'string'
+            ? { ...attachment, data: await replaceAsync(attachment.data, pattern, replacer) }
+            : attachment
+        )))
+      : message.attachments
+
+    return { ...message, content, attachments }
+  }))
+}
+
+/**
+ * Replace data URLs in messages with blob references
+ * @param {Array} messages - Messages holding data URLs
+ * @param {Function} storeBlob - async (dataUrl) => blob reference, or null to keep the data URL
+ * @returns {Promise<Array>} Copies of the messages with references
+ */
+export function externalizeMessageBlobs(messages, storeBlob) {
+  return mapMessageBlobs(messages, DATA_URL_PATTERN, storeBlob)
+}
+
+/**
+ * Replace blob references in messages with data URLs
+ * @param {Array} messages - Messages as saved on disk
+ * @param {Function} readBlob - async (ref) => data URL, or null to keep the reference
+ * @returns {Promise<Array>} Copies of the messages with data URLs
+ */
+export function resolveMessageBlobs(messages, readBlob) {
+  return mapMessageBlobs(messages, BLOB_REF_PATTERN, readBlob)
+}
+
+/**
+ * Collect the hashes of all blobs a saved conversation refers to
+ * @param {Object} conversation - Conversation as saved on disk
+ * @returns {Set<string>} Blob hashes
+ */
+export function getReferencedBlobHashes(conversation) {
+  const hashes = new Set()
+  const collect = (text) => {
+    if (typeof text !== 'string') return
+    for (const match of text.matchAll(BLOB_REF_PATTERN)) {
+      hashes.add(match[1])
+    }
+  }
+
+  for (const message of conversation.messages || []) {
+    collect(message.content)
+    for (const attachment of message.attachments || []) {
+      collect(attachment.data)
+    }
+  }
+  return hashes
+}
@@ -0,0 +1,146 @@
+/**
+ * Utility functions for fitting conversation history into a model's context window
+ * Token counts are estimates (about 4 characters per token); real tokenizers vary by model,
+ * so budgets leave headroom rather than aiming for an exact fit.
+ */
+
+import { formatMessagesForAPI } from './messageFormatters'
+
+/**
+ * What happens to older messages once the history outgrows the context window
+ */
+export const CONTEXT_STRATEGIES = {
+  truncate: {
+    label: 'Drop oldest messages',
+    description: 'The oldest turns are left out. The system prompt and pinned messages are always sent.'
+  },
+  summarize: {
+    label: 'Summarize older messages',
+    description: 'The utility model condenses the oldest turns into a summary that is sent with the system prompt.'
+  },
+  none: {
+    label: 'Send everything',
+    description: 'Every message that is not excluded is sent, even if the model rejects the history as too long.'
+  }
+}
+
+export const DEFAULT_CONTEXT_STRATEGY = 'truncate'
+
+const CHARS_PER_TOKEN = 4
+const MESSAGE_OVERHEAD_TOKENS = 4 // Role and formatting tokens per message
+const ATTACHMENT_TOKENS = 1000 // Rough cost of an image or file part
+const DEFAULT_RESPONSE_RESERVE = 4096
+
+/**
+ * Parse a context window as shown in model lists ("128k", "1.0M") into tokens
+ * @param {string|number} value - Context window label or token count
+ * @returns {number|null} Tokens, or null if unknown
+ */
+export function parseContextWindow(value) {
+  if (typeof value === 'number') return value > 0 ? value : null
+  const match = /^([\d.]+)\s*([kKmM]?)$/.exec(String(value || '').trim())
+  if (!match) return null
+
+  const multiplier = { k: 1000, m: 1000000 }[match[2].toLowerCase()] || 1
+  const tokens = Math.round(parseFloat(match[1]) * multiplier)
+  return tokens > 0 ? tokens : null
+}
+
+/**
+ * Estimate the tokens in a piece of text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTextTokens(text) {
+  if (!text) return 0
+  return Math.ceil(text.length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Estimate the tokens in API-format messages (see formatMessagesForAPI)
+ * @param {Array} apiMessages - Messages in API format
+ * @returns {number} Estimated tokens
+ */
+export function estimateApiMessagesTokens(apiMessages) {
+  let tokens = 0
+  for (const message of apiMessages) {
+    tokens += MESSAGE_OVERHEAD_TOKENS
+
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        tokens += part.type === 'text' ? estimateTextTokens(part.text) : ATTACHMENT_TOKENS
+      }
+    } else {
+      tokens += estimateTextTokens(message.content)
+    }
+
+    for (const call of message.tool_calls || []) {
+      tokens += estimateTextTokens(call.function?.name) + estimateTextTokens(call.function?.arguments)
+    }
+  }
+  return tokens
+}
+
+/**
+ * Estimate the tokens conversation messages take once formatted for the API
+ * @param {Array} messages - Conversation messages
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessagesTokens(messages) {
+  return estimateApiMessagesTokens(formatMessagesForAPI(messages))
+}
+
+/**
+ * Tokens to leave free for the model's reply
+ * @param {number} contextWindow - Context window in tokens
+ * @param {number} maxTokens - Configured response limit, if any
+ * @returns {number} Tokens reserved for the response
+ */
+export function getResponseReserve(contextWindow, maxTokens = null) {
+  const reserve = maxTokens || DEFAULT_RESPONSE_RESERVE
+  // Never reserve more than a quarter of a small window
+  return Math.min(reserve, Math.floor(contextWindow / 4))
+}
+
+// Split history into turns: a user message and everything up to the next user message
+const groupTurns = (messages) => {
+  const turns = []
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([])
+    }
+    turns[turns.length - 1].push(message)
+  }
+  return turns
+}
+
+/**
+ * Choose which history messages fit in a token budget
+ * Whole turns are dropped oldest first so replies never lose the message they answer.
+ * The last turn (the one being answered) and turns with a pinned message are always kept,
+ * even if that exceeds the budget.
+ * @param {Array} messages - Conversation messages in order, ending with the message to answer
+ * @param {number} budget - Tokens available for these messages
+ * @returns {Object} { kept, dropped } message arrays, each in order
+ */
+export function fitMessagesToBudget(messages, budget) {
+  const turns = groupTurns(messages).map(turn => ({
+    messages: turn,
+    tokens: estimateMessagesTokens(turn),
+    pinned: turn.some(m => m.pinned)
+  }))
+
+  let total = turns.reduce((sum, turn) => sum + turn.tokens, 0)
+  const droppedTurns = new Set()
+  for (const [index, turn] of turns.entries()) {
+    if (total <= budget) break
+    if (turn.pinned || index === turns.length - 1) continue
+    droppedTurns.add(index)
+    total -= turn.tokens
+  }
+
+  const kept = []
+  const dropped = []
+  turns.forEach((turn, index) => (droppedTurns.has(index) ? dropped : kept).push(...turn.messages))
+  return { kept, dropped }
+}
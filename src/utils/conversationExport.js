@@ -0,0 +1,251 @@
+import { createElement } from 'react'
+import { renderToStaticMarkup } from 'react-dom/server'
+import ReactMarkdown, { defaultUrlTransform } from 'react-markdown'
+import { toast } from 'sonner'
+import katexCss from 'katex/dist/katex.min.css?raw'
+import { isElectron, fileSystem, dialog } from '@/lib/electron'
+import { remarkPlugins, rehypePlugins, remarkRehypeOptions } from '@/lib/markdown'
+import { getActivePath } from '@/utils/messageTree'
+import { formatFileSize } from '@/utils/messageFormatters'
+
+// KaTeX fonts can't be inlined cheaply, so exported HTML loads them from the CDN (math falls back to system fonts offline)
+const KATEX_FONT_BASE_URL = 'https://cdn.jsdelivr.net/npm/katex@0.16/dist/fonts/'
+
+export const EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+}
+
+const GENERATED_IMAGE_PATTERN = /\[GENERATED_IMAGE:(.*?):END_IMAGE\]/gs
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const formatRole = (message) => {
+  if (message.role === 'user') return 'User'
+  return message.model ? `Assistant (${message.model})` : 'Assistant'
+}
+
+const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : ''
+
+// Message text as markdown, with generated image markers turned into markdown images
+const getMessageMarkdown = (message) => {
+  return (message.content || '').replace(GENERATED_IMAGE_PATTERN, (_, url) => `\n![Generated Image](${url})\n`).trim()
+}
+
+// Attachments as markdown: images inline, other files by name
+const getAttachmentsMarkdown = (message) => {
+  return (message.attachments || []).map(attachment => attachment.isImage
+    ? `![${attachment.name}](${attachment.data})`
+    : `📎 ${attachment.name} (${formatFileSize(attachment.size || 0)})`
+  ).join('\n\n')
+}
+
+const getToolCallsMarkdown = (message) => {
+  return (message.toolCalls || []).map(call => {
+    const status = call.status === 'error' ? 'failed' : 'done'
+    return `- \`${call.name}\` (${status})`
+  }).join('\n')
+}
+
+/**
+ * Convert the active branch of a conversation to Markdown
+ * Reasoning becomes a collapsible <details> block above the reply.
+ * @param {Object} conversation - Loaded conversation
+ * @returns {string} Markdown document
+ */
+export function conversationToMarkdown(conversation) {
+  const messages = getActivePath(conversation.messages || [], conversation.activeLeafId)
+  const sections = [`# ${conversation.title}`, `_Exported ${formatDate(new Date().toISOString())}_`]
+
+  if (conversation.systemPrompt?.trim()) {
+    sections.push(`<details>\n<summary>System prompt</summary>\n\n${conversation.systemPrompt.trim()}\n\n</details>`)
+  }
+
+  for (const message of messages) {
+    const parts = [`## ${formatRole(message)}`]
+    if (message.timestamp) parts.push(`_${formatDate(message.timestamp)}_`)
+    if (message.reasoning?.trim()) {
+      parts.push(`<details>\n<summary>Reasoning</summary>\n\n${message.reasoning.trim()}\n\n</details>`)
+    }
+    const toolCalls = getToolCallsMarkdown(message)
+    if (toolCalls) parts.push(`**Tool calls**\n\n${toolCalls}`)
+    const attachments = getAttachmentsMarkdown(message)
+    if (attachments) parts.push(attachments)
+    const content = getMessageMarkdown(message)
+    if (content) parts.push(content)
+    sections.push(parts.join('\n\n'))
+  }
+
+  return sections.join('\n\n---\n\n') + '\n'
+}
+
+// Generated images are inline data: URLs, which the default transform blanks out
+const urlTransform = (url) => /^data:image\//i.test(url) ? url : defaultUrlTransform(url)
+
+// Render markdown with the same plugins as the chat view
+const renderMarkdown = (markdown) => {
+  return renderToStaticMarkup(createElement(ReactMarkdown, { remarkPlugins, rehypePlugins, remarkRehypeOptions, urlTransform }, markdown))
+}
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; line-height: 1.6; color: #111827; max-width: 820px; margin: 0 auto; padding: 32px 24px; }
+  h1.title { font-size: 1.75rem; margin-bottom: 4px; }
+  .exported { color: #6b7280; font-size: 0.875rem; margin-top: 0; }
+  .message { border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px 20px; margin: 16px 0; break-inside: avoid-page; }
+  .message.user { background: #f9fafb; }
+  .message-header { display: flex; justify-content: space-between; gap: 12px; font-size: 0.8125rem; color: #6b7280; margin-bottom: 8px; }
+  .message-header .role { font-weight: 600; color: #374151; }
+  details { background: #f3f4f6; border-radius: 6px; padding: 8px 12px; margin-bottom: 12px; }
+  summary { cursor: pointer; font-weight: 500; color: #4b5563; }
+  pre { background: #f3f4f6; border: 1px solid #d1d5db; border-radius: 6px; padding: 12px; overflow-x: auto; white-space: pre-wrap; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.875em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #e5e7eb; padding: 6px 12px; }
+  blockquote { border-left: 4px solid #d1d5db; margin-left: 0; padding-left: 16px; color: #4b5563; }
+  img { max-width: 100%; height: auto; border-radius: 6px; }
+  .attachment { font-size: 0.875rem; color: #4b5563; }
+`
+
+/**
+ * Convert the active branch of a conversation to a standalone HTML document
+ * @param {Object} conversation - Loaded conversation
+ * @returns {string} HTML document with styles and images inlined
+ */
+export function conversationToHtml(conversation) {
+  const messages = getActivePath(conversation.messages || [], conversation.activeLeafId)
+
+  const body = messages.map(message => {
+    const reasoning = message.reasoning?.trim()
+      ? `<details><summary>Reasoning</summary>${renderMarkdown(message.reasoning)}</details>`
+      : ''
+    const toolCalls = getToolCallsMarkdown(message)
+    const attachments = (message.attachments || []).map(attachment => attachment.isImage
+      ? `<img src="${escapeHtml(attachment.data)}" alt="${escapeHtml(attachment.name)}">`
+      : `<p class="attachment">📎 ${escapeHtml(attachment.name)} (${formatFileSize(attachment.size || 0)})</p>`
+    ).join('')
+
+    return `<section class="message ${message.role}">
+  <div class="message-header"><span class="role">${escapeHtml(formatRole(message))}</span><span>${escapeHtml(formatDate(message.timestamp))}</span></div>
+  ${reasoning}${toolCalls ? renderMarkdown(`**Tool calls**\n\n${toolCalls}`) : ''}${attachments}${renderMarkdown(getMessageMarkdown(message))}
+</section>`
+  }).join('\n')
+
+  const systemPrompt = conversation.systemPrompt?.trim()
+    ? `<details><summary>System prompt</summary>${renderMarkdown(conversation.systemPrompt)}</details>`
+    : ''
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${katexCss.replace(/url\(fonts\//g, `url(${KATEX_FONT_BASE_URL}`)}</style>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1 class="title">${escapeHtml(conversation.title)}</h1>
+<p class="exported">Exported ${escapeHtml(formatDate(new Date().toISOString()))}</p>
+${systemPrompt}
+${body}
+</body>
+</html>
+`
+}
+
+/**
+ * Serialize a conversation as JSON, including every branch
+ * @param {Object} conversation - Loaded conversation
+ * @returns {string} Pretty-printed JSON
+ */
+export function conversationToJson(conversation) {
+  return JSON.stringify(conversation, null, 2)
+}
+
+// Title without characters that aren't allowed in file names
+const getExportFileName = (conversation, format) => {
+  const base = (conversation.title || '').replace(/[\\/:*?"<>|\n\r]+/g, ' ').trim().slice(0, 80) || 'conversation'
+  return `${base}.${EXPORT_FORMATS[format].extension}`
+}
+
+// Browser: download the content through a temporary <a> element
+const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.style.display = 'none'
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Export a conversation to a file the user picks
+ * @param {Object} conversation - Loaded conversation (with messages)
+ * @param {string} format - One of EXPORT_FORMATS' keys
+ * @returns {Promise<{success: boolean, error?: string, canceled?: boolean}>}
+ */
+export async function exportConversation(conversation, format) {
+  const { label, extension, mimeType } = EXPORT_FORMATS[format]
+  const fileName = getExportFileName(conversation, format)
+
+  try {
+    const content = format === 'markdown'
+      ? conversationToMarkdown(conversation)
+      : format === 'json'
+        ? conversationToJson(conversation)
+        : conversationToHtml(conversation)
+
+    if (!isElectron()) {
+      if (format === 'pdf') {
+        // Browsers can't write PDFs directly, so open the print dialog ("Save as PDF")
+        const printWindow = window.open('', '_blank')
+        if (!printWindow) throw new Error('Pop-up blocked')
+        printWindow.document.write(content)
+        printWindow.document.close()
+        printWindow.onload = () => printWindow.print()
+        return { success: true }
+      }
+
+      downloadFile(content, fileName, mimeType)
+      toast.success(`Exported ${fileName}`)
+      return { success: true }
+    }
+
+    const dialogResult = await dialog.saveFile({
+      defaultPath: fileName,
+      filters: [
+        { name: label, extensions: [extension] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    })
+
+    if (dialogResult.canceled || !dialogResult.filePath) {
+      return { success: false, canceled: true }
+    }
+
+    const result = format === 'pdf'
+      ? await fileSystem.printToPDF(content, dialogResult.filePath)
+      : await fileSystem.writeFile(dialogResult.filePath, content)
+
+    if (!result.success) {
+      toast.error(`Failed to export conversation: ${result.error || 'Unknown error'}`)
+      return { success: false, error: result.error }
+    }
+
+    toast.success(`Conversation exported to ${dialogResult.filePath}`)
+    return { success: true, path: dialogResult.filePath }
+  } catch (error) {
+    console.error('Export error:', error)
+    toast.error(`Failed to export conversation: ${error.message}`)
+    return { success: false, error: error.message }
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Utility functions for ordering and grouping conversations in the sidebar
+ */
+
+/**
+ * Whole days since a date (0 within the last 24 hours)
+ * @param {string} isoString - ISO date string
+ * @returns {number} Days elapsed
+ */
+export function getDaysAgo(isoString) {
+  const diff = new Date() - new Date(isoString)
+  return Math.floor(diff / (1000 * 60 * 60 * 24))
+}
+
+/**
+ * Format a conversation timestamp for display (e.g., "Today", "3 days ago", "Mar 4")
+ * @param {string} isoString - ISO date string
+ * @returns {string} Relative date for recent dates, otherwise month and day
+ */
+export function formatTimestamp(isoString) {
+  const days = getDaysAgo(isoString)
+
+  if (days === 0) return 'Today'
+  if (days === 1) return 'Yesterday'
+  if (days < 7) return `${days} days ago`
+
+  return new Date(isoString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
+
+/**
+ * Date group label for a conversation, using the same day boundaries as formatTimestamp
+ * @param {string} isoString - ISO date string
+ * @returns {string} 'Today', 'Yesterday', 'Last 7 days' or 'Older'
+ */
+export function getDateGroup(isoString) {
+  const days = getDaysAgo(isoString)
+
+  if (days === 0) return 'Today'
+  if (days === 1) return 'Yesterday'
+  if (days < 7) return 'Last 7 days'
+  return 'Older'
+}
+
+const DATE_GROUP_ORDER = ['Today', 'Yesterday', 'Last 7 days', 'Older']
+
+// Pinned first, then most recently updated
+const compareConversations = (a, b) => {
+  if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1
+  return new Date(b.updatedAt) - new Date(a.updatedAt)
+}
+
+/**
+ * Split conversations into the sidebar's sections
+ * Conversations whose folder no longer exists are treated as unfiled.
+ * @param {Array} conversations - Conversations or summaries
+ * @param {Array} folders - Folder definitions [{ id, name }]
+ * @returns {Object} { pinned, byFolder, dateGroups } where pinned holds unfiled pinned conversations,
+ *   byFolder maps folder ID to its conversations (pinned first) and dateGroups is
+ *   [{ label, conversations }] for the remaining unfiled conversations
+ */
+export function groupConversations(conversations, folders) {
+  const folderIds = new Set(folders.map(f => f.id))
+  const byFolder = new Map(folders.map(f => [f.id, []]))
+  const pinned = []
+  const byDate = new Map()
+
+  for (const conversation of [...conversations].sort(compareConversations)) {
+    if (conversation.folderId && folderIds.has(conversation.folderId)) {
+      byFolder.get(conversation.folderId).push(conversation)
+    } else if (conversation.pinned) {
+      pinned.push(conversation)
+    } else {
+      const label = getDateGroup(conversation.updatedAt)
+      if (!byDate.has(label)) byDate.set(label, [])
+      byDate.get(label).push(conversation)
+    }
+  }
+
+  const dateGroups = DATE_GROUP_ORDER
+    .filter(label => byDate.has(label))
+    .map(label => ({ label, conversations: byDate.get(label) }))
+
+  return { pinned, byFolder, dateGroups }
+}
@@ -0,0 +1,38 @@
+/**
+ * Utility functions for conversation summaries
+ *
+ * A summary is everything the sidebar needs about a conversation without its messages.
+ * Summaries are kept in the conversation index so startup doesn't read every conversation file.
+ */
+
+import { getConversationUsage, summarizeCostByMonth } from './usageHelpers'
+
+// Fields left out of summaries because they are large or only needed once a conversation is open
+const DETAIL_FIELDS = ['messages', 'systemPrompt', 'activeLeafId']
+
+/**
+ * Build the index summary of a full conversation
+ * @param {Object} conversation - Conversation with messages
+ * @returns {Object} Conversation fields without messages, plus messageCount, usage and costByMonth
+ */
+export function summarizeConversation(conversation) {
+  const summary = { ...conversation }
+  for (const field of DETAIL_FIELDS) {
+    delete summary[field]
+  }
+
+  const messages = conversation.messages || []
+  summary.messageCount = messages.length
+  summary.usage = getConversationUsage(messages)
+  summary.costByMonth = summarizeCostByMonth(messages)
+  return summary
+}
+
+/**
+ * Check whether a conversation in state has its messages loaded (not just its summary)
+ * @param {Object} conversation - Conversation or summary
+ * @returns {boolean}
+ */
+export function isConversationLoaded(conversation) {
+  return Array.isArray(conversation?.messages)
+}
@@ -83,3 +83,14 @@ export function handleStreamingError({
       errorHandlers.showFetchErrorAlert(providerName, error.message)
   }
 }
+
+/**
+ * Describe a pending automatic retry for display on the waiting message
+ * @param {Object} status - Retry status from chatClient { attempt, maxRetries, delayMs, error }
+ * @returns {string} Status text (e.g., "Rate limited, retrying in 4s… (attempt 1 of 3)")
+ */
+export function formatRetryStatus(status) {
+  const reason = status.error?.status === 429 ? 'Rate limited' : 'Server error'
+  const seconds = Math.ceil(status.delayMs / 1000)
+  return `${reason}, retrying in ${seconds}s… (attempt ${status.attempt} of ${status.maxRetries})`
+}
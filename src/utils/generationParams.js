@@ -0,0 +1,92 @@
+/**
+ * Utility functions for per-conversation generation parameters
+ */
+
+/**
+ * Parameters shown in the generation parameters panel, in display order
+ */
+export const GENERATION_PARAMS = [
+  { key: 'temperature', label: 'Temperature', step: 0.1, description: 'Higher values make output more random' },
+  { key: 'maxTokens', label: 'Max tokens', step: 1, integer: true, description: 'Maximum length of the response' },
+  { key: 'topP', label: 'Top P', step: 0.05, description: 'Nucleus sampling probability mass' },
+  { key: 'topK', label: 'Top K', step: 1, integer: true, description: 'Sample only from the K most likely tokens' },
+  { key: 'frequencyPenalty', label: 'Frequency penalty', step: 0.1, description: 'Penalize tokens by how often they appeared' },
+  { key: 'presencePenalty', label: 'Presence penalty', step: 0.1, description: 'Penalize tokens that appeared at all' }
+]
+
+// OpenAI-compatible APIs (OpenAI and custom providers)
+const OPENAI_RANGES = {
+  temperature: { min: 0, max: 2 },
+  maxTokens: { min: 1, max: 128000 },
+  topP: { min: 0, max: 1 },
+  frequencyPenalty: { min: -2, max: 2 },
+  presencePenalty: { min: -2, max: 2 }
+}
+
+// Supported parameters and their allowed ranges per provider
+// A parameter missing from a provider's ranges is not sent to that provider
+const PROVIDER_RANGES = {
+  openai: OPENAI_RANGES,
+  openrouter: {
+    ...OPENAI_RANGES,
+    topK: { min: 0, max: 1000 }
+  },
+  // No topP: Claude models accept temperature or top_p but not both
+  anthropic: {
+    temperature: { min: 0, max: 1 },
+    maxTokens: { min: 1, max: 128000 },
+    topK: { min: 0, max: 1000 }
+  },
+  gemini: {
+    temperature: { min: 0, max: 2 },
+    maxTokens: { min: 1, max: 65536 },
+    topP: { min: 0, max: 1 },
+    topK: { min: 1, max: 64 }
+  }
+}
+
+/**
+ * Get the supported generation parameters and their ranges for a provider
+ * @param {string} providerId - Provider ID (custom providers use the OpenAI ranges)
+ * @returns {Object} Map of parameter key -> { min, max }
+ */
+export function getGenerationParamRanges(providerId) {
+  return PROVIDER_RANGES[providerId] || OPENAI_RANGES
+}
+
+/**
+ * Clamp a single parameter value to the range a provider allows
+ * @param {string} key - Parameter key (e.g., 'temperature')
+ * @param {*} value - Raw value
+ * @param {string} providerId - Provider ID
+ * @returns {number|null} Clamped value, or null if unset, invalid or unsupported
+ */
+export function clampGenerationParam(key, value, providerId) {
+  const range = getGenerationParamRanges(providerId)[key]
+  if (!range || value === null || value === undefined || value === '') return null
+
+  let number = Number(value)
+  if (!Number.isFinite(number)) return null
+
+  const definition = GENERATION_PARAMS.find(p => p.key === key)
+  if (definition?.integer) number = Math.round(number)
+
+  return Math.min(range.max, Math.max(range.min, number))
+}
+
+/**
+ * Reduce saved generation parameters to the ones a provider supports, clamped to its ranges
+ * @param {Object} params - Saved parameters { temperature, maxTokens, ... }
+ * @param {string} providerId - Provider ID
+ * @returns {Object} Parameters to pass to the adapter (unset ones are omitted so adapter defaults apply)
+ */
+export function clampGenerationParams(params, providerId) {
+  if (!params) return {}
+
+  const clamped = {}
+  for (const key of Object.keys(getGenerationParamRanges(providerId))) {
+    const value = clampGenerationParam(key, params[key], providerId)
+    if (value !== null) clamped[key] = value
+  }
+  return clamped
+}
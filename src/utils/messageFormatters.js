@@ -13,6 +13,43 @@ export function formatFileSize(bytes) {
   return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
 }
 
+/**
+ * Split a base64 data URL into its media type and payload
+ * @param {string} url - Data URL (e.g., "data:image/png;base64,...")
+ * @returns {Object|null} { mediaType, data }, or null if not a base64 data URL
+ */
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '')
+  if (!match) return null
+  return { mediaType: match[1], data: match[2] }
+}
+
+// Text stand-in for a file the model can't read
+const describeAttachedFile = (name, type, size) => `[Attached file: ${name} (${type}, ${formatFileSize(size)})]`
+
+/**
+ * Replace PDF file parts with a text note
+ * Only OpenAI, OpenRouter, Anthropic and Gemini accept file parts; most other
+ * OpenAI-compatible servers reject the whole request when they see one.
+ * @param {Array} apiMessages - Messages in API format
+ * @returns {Array} Messages without file parts
+ */
+export function replaceFileParts(apiMessages) {
+  return apiMessages.map(message => {
+    if (!Array.isArray(message.content) || !message.content.some(part => part.type === 'file')) {
+      return message
+    }
+
+    const content = message.content.map(part => {
+      if (part.type !== 'file') return part
+      const parsed = parseDataUrl(part.file.file_data)
+      const size = parsed ? Math.floor(parsed.data.length * 3 / 4) : 0
+      return { type: 'text', text: describeAttachedFile(part.file.filename, parsed?.mediaType || 'application/pdf', size) }
+    })
+    return { ...message, content }
+  })
+}
+
 /**
  * Convert a message with attachments into multimodal API format
  * @param {Object} message - Message object with role and content
@@ -43,11 +80,19 @@ export function formatMessageForAPI(message, attachments = []) {
           detail: 'auto'
         }
       })
+    } else if (attachment.type === 'application/pdf') {
+      contentParts.push({
+        type: 'file',
+        file: {
+          filename: attachment.name,
+          file_data: attachment.data
+        }
+      })
     } else {
-      // Non-image file attachment (future support)
+      // Other file attachments (future support)
       contentParts.push({
         type: 'text',
-        text: `[Attached file: ${attachment.name} (${attachment.type}, ${formatFileSize(attachment.size)})]`
+        text: describeAttachedFile(attachment.name, attachment.type, attachment.size)
       })
     }
   }
@@ -56,17 +101,91 @@ export function formatMessageForAPI(message, attachments = []) {
 }
 
 /**
- * Convert message history to API format, handling attachments
- * @param {Array} messages - Array of message objects
+ * Expand an assistant message that called tools into the API turns that produced it:
+ * per round, an assistant turn with tool_calls followed by one role 'tool' message per result,
+ * then the final answer
+ * @param {Object} message - Assistant message with toolCalls (calls saved before rounds were recorded count as one round)
+ * @returns {Array} Formatted messages for API
+ */
+export function formatToolCallTurns(message) {
+  // Calls interrupted before they produced a result cannot be replayed
+  const finishedCalls = message.toolCalls.filter(call => call.status === 'complete' || call.status === 'error')
+  if (finishedCalls.length === 0) {
+    return [{ role: message.role, content: message.content }]
+  }
+
+  // Later rounds were chosen after seeing earlier results, so each round keeps its own turn
+  const rounds = new Map()
+  for (const call of finishedCalls) {
+    const round = call.round ?? 0
+    if (!rounds.has(round)) rounds.set(round, [])
+    rounds.get(round).push(call)
+  }
+
+  const turns = [...rounds.keys()].sort((a, b) => a - b).flatMap((round, index) => {
+    const calls = rounds.get(round)
+    return [
+      {
+        role: 'assistant',
+        content: null,
+        ...(index === 0 && message.thinkingBlocks ? { thinking_blocks: message.thinkingBlocks } : {}),
+        tool_calls: calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments || '{}' }
+        }))
+      },
+      ...calls.map(call => ({
+        role: 'tool',
+        tool_call_id: call.id,
+        name: call.name,
+        content: call.result ?? ''
+      }))
+    ]
+  })
+
+  if (message.content && message.content.trim()) {
+    turns.push({ role: 'assistant', content: message.content })
+  }
+
+  return turns
+}
+
+/**
+ * Check whether a message was left out of the context by the user
+ * Pinned messages are always sent, so pinning wins over an old excluded flag.
+ * @param {Object} message - Message object
+ * @returns {boolean} True if the message should not be sent to the model
+ */
+export function isExcludedFromContext(message) {
+  return !!message.excluded && !message.pinned
+}
+
+/**
+ * Convert message history to API format, handling attachments and tool calls
+ * Excluded messages are skipped; pinned ones survive truncation (see fitMessagesToBudget).
+ * @param {Array} messages - Messages on the active branch, in order (see getActivePath)
  * @returns {Array} Formatted messages for API
  */
 export function formatMessagesForAPI(messages) {
-  return messages.map(m => {
+  return messages.flatMap(m => {
+    // Left out of the context by the user, but still shown in the conversation
+    if (isExcludedFromContext(m)) {
+      return []
+    }
+    // Handle assistant messages that called tools
+    if (m.role === 'assistant' && m.toolCalls && m.toolCalls.length > 0) {
+      return formatToolCallTurns(m)
+    }
     // Handle messages with attachments
     if (m.attachments && m.attachments.length > 0) {
-      return formatMessageForAPI(m, m.attachments)
+      return [formatMessageForAPI(m, m.attachments)]
+    }
+    // Keep signed thinking blocks so Anthropic can verify the reasoning in history
+    if (m.role === 'assistant' && m.thinkingBlocks && m.thinkingBlocks.length > 0) {
+      return [{ role: m.role, content: m.content, thinking_blocks: m.thinkingBlocks }]
     }
     // Simple text message
-    return { role: m.role, content: m.content }
+    return [{ role: m.role, content: m.content }]
   })
 }
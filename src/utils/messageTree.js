@@ -0,0 +1,132 @@
+/**
+ * Utility functions for branching conversations
+ *
+ * A conversation stores every message it has ever had, flat and in creation order.
+ * Each message's parentId points at the message it follows (null for the first turn),
+ * so retries and edits add siblings instead of overwriting. The conversation's
+ * activeLeafId selects which branch is displayed and sent to the API.
+ *
+ * Messages saved before branching have no parentId and follow the previous message.
+ */
+
+/**
+ * Fill in explicit parent IDs for messages saved before branching existed
+ * @param {Array} messages - All conversation messages
+ * @returns {Array} Messages where every entry has a parentId
+ */
+export function withParentIds(messages = []) {
+  if (messages.every(m => m.parentId !== undefined)) return messages
+
+  return messages.map((message, index) => message.parentId !== undefined
+    ? message
+    : { ...message, parentId: index > 0 ? messages[index - 1].id : null })
+}
+
+/**
+ * Resolve the leaf of the active branch
+ * @param {Array} messages - All conversation messages
+ * @param {string|null} activeLeafId - Stored active leaf, may be missing or stale
+ * @returns {string|null} ID of the active leaf, or null for an empty conversation
+ */
+export function getActiveLeafId(messages = [], activeLeafId = null) {
+  if (activeLeafId && messages.some(m => m.id === activeLeafId)) return activeLeafId
+  return messages.length > 0 ? messages[messages.length - 1].id : null
+}
+
+/**
+ * Get the messages on the active branch, from the first turn to the leaf
+ * @param {Array} messages - All conversation messages
+ * @param {string|null} activeLeafId - Stored active leaf
+ * @returns {Array} Linear list of messages on the active path
+ */
+export function getActivePath(messages = [], activeLeafId = null) {
+  const leafId = getActiveLeafId(messages, activeLeafId)
+  if (!leafId) return []
+
+  const byId = new Map(withParentIds(messages).map(m => [m.id, m]))
+  const path = []
+  const visited = new Set()
+
+  let current = byId.get(leafId)
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id)
+    path.push(current)
+    current = current.parentId ? byId.get(current.parentId) : null
+  }
+
+  return path.reverse()
+}
+
+/**
+ * Follow the most recent child at each level down to a leaf
+ * @param {Array} messages - All conversation messages
+ * @param {string|null} messageId - Starting message, or null to start from the first turns
+ * @returns {string|null} ID of the newest leaf under the message
+ */
+export function getLatestLeafId(messages = [], messageId = null) {
+  const normalized = withParentIds(messages)
+  let currentId = messageId
+
+  while (true) {
+    // Messages are in creation order, so the last child is the newest
+    const children = normalized.filter(m => m.parentId === currentId)
+    if (children.length === 0) return currentId
+    currentId = children[children.length - 1].id
+  }
+}
+
+/**
+ * Collect sibling information for messages on the active path that have alternatives
+ * @param {Array} messages - All conversation messages
+ * @param {Array} path - Messages on the active path
+ * @returns {Object} Map of messageId -> { siblingIds, index } for messages with siblings
+ */
+export function getBranchInfo(messages = [], path = []) {
+  const normalized = withParentIds(messages)
+  const branches = {}
+
+  for (const message of path) {
+    const parentId = normalized.find(m => m.id === message.id)?.parentId ?? null
+    const siblingIds = normalized.filter(m => m.parentId === parentId).map(m => m.id)
+    if (siblingIds.length > 1) {
+      branches[message.id] = { siblingIds, index: siblingIds.indexOf(message.id) }
+    }
+  }
+
+  return branches
+}
+
+/**
+ * Remove a single message, attaching its children to its parent
+ * @param {Array} messages - All conversation messages
+ * @param {string} messageId - Message to remove
+ * @returns {Array} Remaining messages
+ */
+export function removeMessage(messages = [], messageId) {
+  const normalized = withParentIds(messages)
+  const removed = normalized.find(m => m.id === messageId)
+  if (!removed) return messages
+
+  return normalized
+    .filter(m => m.id !== messageId)
+    .map(m => m.parentId === messageId ? { ...m, parentId: removed.parentId } : m)
+}
+
+/**
+ * Undo removeMessage: put the message back at its old position and move its former children under it again
+ * @param {Array} messages - All conversation messages
+ * @param {Object} removed - The removed message (with parentId)
+ * @param {number} index - Its position before removal
+ * @param {Array<string>} childIds - IDs of the messages that were its children
+ * @returns {Array} Messages including the restored one
+ */
+export function restoreMessage(messages = [], removed, index, childIds = []) {
+  const normalized = withParentIds(messages)
+  if (normalized.some(m => m.id === removed.id)) return messages
+
+  // Children that were moved elsewhere since the removal stay where they are
+  const children = new Set(childIds)
+  const restored = normalized.map(m => children.has(m.id) && m.parentId === removed.parentId ? { ...m, parentId: removed.id } : m)
+  restored.splice(Math.min(index, restored.length), 0, removed)
+  return restored
+}
@@ -50,6 +50,28 @@ export function getModalitiesForModel(modelId, availableModels = []) {
   return null
 }
 
+/**
+ * Detect if a model supports tool/function calling
+ * Uses API metadata when available (OpenRouter reports supported parameters).
+ * Providers whose adapter implements tool calling support it on their chat models;
+ * custom endpoints are assumed not to, since an unsupported `tools` field usually fails the request.
+ *
+ * @param {string} modelId - The model identifier
+ * @param {string} providerId - The provider identifier
+ * @param {Array} availableModels - Array of available model configurations
+ * @returns {boolean} True if tools should be offered to the model
+ */
+export function supportsToolCalling(modelId, providerId, availableModels = []) {
+  if (!modelId) return false
+
+  const modelData = availableModels.find(m => m.id === modelId)
+  if (modelData && typeof modelData.supportsTools === 'boolean') {
+    return modelData.supportsTools
+  }
+
+  return ['openai', 'openrouter', 'anthropic', 'gemini'].includes(providerId)
+}
+
 /**
  * Get reasoning configuration for thinking models
  * @param {string} modelId - The model identifier
@@ -3,6 +3,7 @@
  */
 
 import { getModalitiesForModel, getReasoningConfig } from './modelHelpers'
+import { calculateCost } from './usageHelpers'
 
 /**
  * Create streaming callbacks configuration
@@ -11,10 +12,14 @@ import { getModalitiesForModel, getReasoningConfig } from './modelHelpers'
  * @param {Function} config.updateLastMessage - Function to update last message
  * @param {Function} config.updateLastMessageReasoning - Function to update reasoning
  * @param {Function} config.markReasoningComplete - Function to mark reasoning complete
+ * @param {Function} config.updateLastMessageToolCalls - Function to update tool calls
  * @param {Function} config.getConversationById - Function to get conversation by ID
  * @param {Function} config.stopStreaming - Function to stop streaming
  * @param {Function} config.onError - Error callback
  * @param {Object} config.metadata - Additional metadata to preserve
+ * @param {Object} config.pricing - Cached model pricing used to cost the response
+ * @param {Function} config.getPricing - Pricing lookup (model, provider) for a fallback that answers instead
+ * @param {Function} config.onSpend - Called with (providerId, cost) when a response with a known cost finishes
  * @returns {Object} Streaming callbacks configuration
  */
 export function createStreamingCallbacks({
@@ -22,15 +27,39 @@ export function createStreamingCallbacks({
   updateLastMessage,
   updateLastMessageReasoning,
   markReasoningComplete,
+  updateLastMessageToolCalls,
   getConversationById,
   stopStreaming,
   onError,
-  metadata = null
+  metadata = null,
+  pricing = null,
+  getPricing = null,
+  onSpend = null
 }) {
+  // Switched to the answering model when a fallback takes over
+  let responseMetadata = metadata
+  let responsePricing = pricing
+
   return {
     onChunk: (chunk, fullContent) => {
       // Pass metadata to preserve model/provider during streaming updates
-      updateLastMessage(fullContent, false, metadata, conversationId)
+      updateLastMessage(fullContent, false, responseMetadata, conversationId)
+    },
+
+    onFallback: ({ providerId, model, error }) => {
+      // Record which model actually answers, and which one was asked first
+      responseMetadata = {
+        ...(responseMetadata || {}),
+        provider: providerId,
+        model,
+        fallbackFrom: responseMetadata?.fallbackFrom || {
+          provider: metadata?.provider,
+          model: metadata?.model,
+          error: error.message
+        }
+      }
+      responsePricing = getPricing ? getPricing(model, providerId) : null
+      updateLastMessage('', false, responseMetadata, conversationId)
     },
 
     onReasoningChunk: (reasoningChunk, fullReasoning) => {
@@ -41,28 +70,41 @@ export function createStreamingCallbacks({
       markReasoningComplete(conversationId)
     },
 
-    onComplete: (fullContent) => {
+    onToolCalls: (toolCalls) => {
+      if (updateLastMessageToolCalls) {
+        updateLastMessageToolCalls(toolCalls, conversationId)
+      }
+    },
+
+    onComplete: (fullContent, extra = {}) => {
       // Preserve reasoning state in metadata
       const targetConversation = getConversationById(conversationId)
       const lastMessage = targetConversation?.messages?.[targetConversation.messages.length - 1]
+      const usage = extra.usage ? { ...extra.usage, cost: calculateCost(extra.usage, responsePricing) } : null
 
       // Only include reasoning properties if reasoning exists (prevents creating reasoning: undefined)
       const finalMetadata = lastMessage ? {
-        ...(metadata || {}),
+        ...(responseMetadata || {}),
         ...(lastMessage.reasoning ? {
           reasoning: lastMessage.reasoning,
           isReasoningComplete: lastMessage.isReasoningComplete || true
-        } : {})
-      } : metadata
+        } : {}),
+        // Signed thinking blocks are replayed to Anthropic with the history
+        ...(extra.thinkingBlocks ? { thinkingBlocks: extra.thinkingBlocks } : {}),
+        ...(usage ? { usage } : {})
+      } : responseMetadata
 
       updateLastMessage(fullContent, true, finalMetadata, conversationId)
+      if (onSpend && typeof usage?.cost === 'number') {
+        onSpend(responseMetadata?.provider, usage.cost)
+      }
       stopStreaming(conversationId)
     },
 
     onError: (error) => {
       console.error('Streaming error:', error)
       // Pass metadata to preserve model/provider even on error
-      updateLastMessage(`Error: ${error.message}`, false, metadata, conversationId)
+      updateLastMessage(`Error: ${error.message}`, false, responseMetadata, conversationId)
       stopStreaming(conversationId)
 
       if (onError) {
@@ -0,0 +1,269 @@
+/**
+ * Utility functions for token usage and cost tracking
+ *
+ * Adapters report usage in a provider-neutral shape:
+ * { inputTokens, outputTokens, reasoningTokens, cost? }
+ * where reasoningTokens is the part of outputTokens spent on thinking and
+ * cost is only present when the provider reports it directly (OpenRouter).
+ */
+
+/**
+ * Sum two usage records (e.g., the rounds of a tool-calling response)
+ * @param {Object|null} a - First usage record
+ * @param {Object|null} b - Second usage record
+ * @returns {Object|null} Combined usage, or null if both are missing
+ */
+export function addUsage(a, b) {
+  if (!a) return b || null
+  if (!b) return a
+
+  const combined = {
+    inputTokens: (a.inputTokens || 0) + (b.inputTokens || 0),
+    outputTokens: (a.outputTokens || 0) + (b.outputTokens || 0),
+    reasoningTokens: (a.reasoningTokens || 0) + (b.reasoningTokens || 0)
+  }
+
+  // A provider-reported cost is only meaningful if every part has one
+  if (typeof a.cost === 'number' && typeof b.cost === 'number') {
+    combined.cost = a.cost + b.cost
+  }
+
+  return combined
+}
+
+/**
+ * Calculate the cost of a response from cached model pricing
+ * Pricing values are USD per token, as returned by the OpenRouter models API
+ * @param {Object} usage - Usage record
+ * @param {Object|null} pricing - Model pricing { input, output, internalReasoning }
+ * @returns {number|null} Cost in USD, or null if it can't be determined
+ */
+export function calculateCost(usage, pricing) {
+  if (!usage) return null
+
+  // Prefer the provider's own figure when it reports one
+  if (typeof usage.cost === 'number') return usage.cost
+
+  if (!pricing || (!pricing.input && !pricing.output)) return null
+
+  const reasoningTokens = usage.reasoningTokens || 0
+  const answerTokens = Math.max(0, (usage.outputTokens || 0) - reasoningTokens)
+  // Reasoning is billed at the output rate unless the model has a separate reasoning price
+  const reasoningPrice = pricing.internalReasoning || pricing.output || 0
+
+  return (usage.inputTokens || 0) * (pricing.input || 0) +
+    answerTokens * (pricing.output || 0) +
+    reasoningTokens * reasoningPrice
+}
+
+/**
+ * Copy a message without its usage record (and the cost inside it)
+ * Used for messages copied from another conversation, whose spend is already counted there
+ * @param {Object} message - Message object
+ * @returns {Object} Message without usage
+ */
+export function withoutUsage(message) {
+  const { usage, ...rest } = message
+  return rest
+}
+
+/**
+ * Check whether responses from a provider get a cost, so a budget for it can be enforced
+ * Cost comes from prices in the model list or from the provider reporting it (OpenRouter);
+ * the OpenAI, Anthropic and Gemini model lists carry no prices.
+ * @param {string} providerId - Provider ID
+ * @param {Array} models - The provider's models
+ * @returns {boolean} True if spend for this provider is measured
+ */
+export function canTrackCost(providerId, models = []) {
+  return providerId === 'openrouter' || models.some(m => m.pricing)
+}
+
+/**
+ * Total usage and cost across a conversation's messages
+ * @param {Array} messages - Conversation messages
+ * @returns {Object|null} { inputTokens, outputTokens, totalTokens, cost } or null if no message has usage
+ */
+export function getConversationUsage(messages = []) {
+  let total = null
+
+  for (const message of messages) {
+    if (!message.usage) continue
+    total = total || { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: null }
+    total.inputTokens += message.usage.inputTokens || 0
+    total.outputTokens += message.usage.outputTokens || 0
+    if (typeof message.usage.cost === 'number') {
+      total.cost = (total.cost || 0) + message.usage.cost
+    }
+  }
+
+  if (total) {
+    total.totalTokens = total.inputTokens + total.outputTokens
+  }
+  return total
+}
+
+/**
+ * Format a token count for display
+ * @param {number} tokens - Token count
+ * @returns {string} Formatted count (e.g., "950", "12.3k", "1.2M")
+ */
+export function formatTokenCount(tokens) {
+  if (!tokens) return '0'
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`
+  if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`
+  return String(tokens)
+}
+
+/**
+ * Format a USD cost for display
+ * @param {number|null} cost - Cost in USD
+ * @returns {string} Formatted cost (e.g., "$0.0123"), or '' if unknown
+ */
+export function formatCost(cost) {
+  if (typeof cost !== 'number') return ''
+  if (cost === 0) return '$0'
+  if (cost < 0.0001) return '<$0.0001'
+  if (cost < 1) return `$${cost.toFixed(4)}`
+  return `$${cost.toFixed(2)}`
+}
+
+// Empty totals for one aggregation bucket
+const createUsageBucket = () => ({ inputTokens: 0, outputTokens: 0, cost: 0, responses: 0 })
+
+const addToBucket = (bucket, usage) => {
+  bucket.inputTokens += usage.inputTokens || 0
+  bucket.outputTokens += usage.outputTokens || 0
+  bucket.cost += typeof usage.cost === 'number' ? usage.cost : 0
+  bucket.responses += 1
+}
+
+/**
+ * Get the start of the calendar month containing a date
+ * @param {Date} date - Any date in the month
+ * @returns {Date} Local midnight on the first day of that month
+ */
+export function getMonthStart(date = new Date()) {
+  return new Date(date.getFullYear(), date.getMonth(), 1)
+}
+
+// Calendar month key in local time, e.g. "2025-03"
+const getMonthKey = (date) => date.toLocaleDateString('en-CA').slice(0, 7)
+
+/**
+ * Total known cost per calendar month and provider, for conversation summaries
+ * @param {Array} messages - Conversation messages
+ * @returns {Object} { 'YYYY-MM': { [providerId]: cost } }
+ */
+export function summarizeCostByMonth(messages = []) {
+  const costByMonth = {}
+
+  for (const message of messages) {
+    if (typeof message.usage?.cost !== 'number') continue
+
+    const monthKey = getMonthKey(new Date(message.timestamp))
+    const provider = message.provider || 'unknown'
+    costByMonth[monthKey] = costByMonth[monthKey] || {}
+    costByMonth[monthKey][provider] = (costByMonth[monthKey][provider] || 0) + message.usage.cost
+  }
+
+  return costByMonth
+}
+
+/**
+ * Aggregate usage across conversations, grouped by provider, model and day
+ * @param {Array} conversations - Conversations with messages
+ * @param {Object} options
+ * @param {Date} options.since - Only count responses at or after this time
+ * @returns {Object} { total, byProvider, byModel, byDay } where each group maps a key to
+ *   { inputTokens, outputTokens, cost, responses } (byModel entries also carry provider and model)
+ */
+export function aggregateUsage(conversations = [], { since = null } = {}) {
+  const total = createUsageBucket()
+  const byProvider = {}
+  const byModel = {}
+  const byDay = {}
+
+  for (const conversation of conversations) {
+    for (const message of conversation.messages || []) {
+      if (!message.usage) continue
+
+      const timestamp = new Date(message.timestamp)
+      if (since && timestamp < since) continue
+
+      const provider = message.provider || 'unknown'
+      const model = message.model || 'unknown'
+      const modelKey = `${provider}/${model}`
+      const dayKey = timestamp.toLocaleDateString('en-CA') // YYYY-MM-DD in local time
+
+      byProvider[provider] = byProvider[provider] || createUsageBucket()
+      byModel[modelKey] = byModel[modelKey] || { ...createUsageBucket(), provider, model }
+      byDay[dayKey] = byDay[dayKey] || createUsageBucket()
+
+      addToBucket(total, message.usage)
+      addToBucket(byProvider[provider], message.usage)
+      addToBucket(byModel[modelKey], message.usage)
+      addToBucket(byDay[dayKey], message.usage)
+    }
+  }
+
+  return { total, byProvider, byModel, byDay }
+}
+
+/**
+ * Add a response's cost to a spend ledger under the current month
+ * @param {Object} ledger - { 'YYYY-MM': { [providerId]: cost } }
+ * @param {string} providerId - Provider ID
+ * @param {number} cost - Cost in USD
+ * @param {Date} date - When the response finished
+ * @returns {Object} New ledger
+ */
+export function addToSpendLedger(ledger, providerId, cost, date = new Date()) {
+  const monthKey = getMonthKey(date)
+  const month = ledger?.[monthKey] || {}
+  return {
+    ...ledger,
+    [monthKey]: { ...month, [providerId]: (month[providerId] || 0) + cost }
+  }
+}
+
+/**
+ * A provider's recorded spend this calendar month
+ * @param {Object} ledger - Spend ledger (see addToSpendLedger)
+ * @param {string} providerId - Provider ID
+ * @returns {number} Spend in USD
+ */
+export function getLedgerSpend(ledger, providerId) {
+  return ledger?.[getMonthKey(new Date())]?.[providerId] || 0
+}
+
+/**
+ * Check a provider's spend this calendar month against its budget
+ * Only responses with a known cost count towards the budget. Spend is the larger of the
+ * ledger, which deletes can't lower, and the saved conversations, which also cover
+ * responses from before the ledger was kept.
+ * @param {Array} conversations - Loaded conversations or index summaries (using costByMonth)
+ * @param {string} providerId - Provider ID
+ * @param {Object|null} budget - { limit, block } where limit is USD per month
+ * @param {Object} ledger - Spend ledger (see addToSpendLedger)
+ * @returns {Object|null} { spent, limit, block, exceeded } or null if the provider has no budget
+ */
+export function getBudgetStatus(conversations, providerId, budget, ledger = {}) {
+  if (!budget || !(budget.limit > 0)) return null
+
+  const monthKey = getMonthKey(new Date())
+  const conversationSpend = conversations.reduce((total, conversation) => {
+    const costByMonth = conversation.messages
+      ? summarizeCostByMonth(conversation.messages)
+      : conversation.costByMonth || {}
+    return total + (costByMonth[monthKey]?.[providerId] || 0)
+  }, 0)
+  const spent = Math.max(conversationSpend, getLedgerSpend(ledger, providerId))
+
+  return {
+    spent,
+    limit: budget.limit,
+    block: Boolean(budget.block),
+    exceeded: spent >= budget.limit
+  }
+}